@@ -0,0 +1,194 @@
+/**
+ * Animated exports of a rendered rotation loop: asciinema v2 recordings, SVG animated with CSS
+ * keyframes, and GIF drawn with the built-in bitmap font. All three take the frames as cells
+ * from TerminalRenderer.composeCells (glyphs, codes and brightness levels per cell).
+ */
+
+const path = require('path');
+const { FrameWriter } = require('./frame_writer');
+const { CELL_WIDTH, CELL_HEIGHT, glyphMask } = require('./bitmap_font');
+const { encodeGif } = require('./gif_encoder');
+
+const ANIMATION_FORMATS = ['cast', 'svg', 'gif'];
+// SVG character cell width in px for the 14px monospace font (about 0.6em)
+const SVG_FONT_SIZE = 14;
+const SVG_CELL_WIDTH = 8.4;
+// GIF palette slots used before the per-level colors
+const GIF_BACKGROUND = 0;
+const GIF_FOREGROUND = 1;
+
+// Export format implied by an output file name, or null
+function formatFromPath(file) {
+  const ext = file ? path.extname(file).slice(1).toLowerCase() : '';
+  if (ANIMATION_FORMATS.includes(ext)) return ext;
+  return ext === 'json' ? 'json' : null;
+}
+
+/**
+ * Frames in one seamless loop at `speed` radians per frame: a whole number of frames per turn,
+ * so the last frame leads straight back into the first. A still model needs just one.
+ */
+function loopFrameCount(speed, max = 3600) {
+  if (!speed) return 1;
+  return Math.min(max, Math.max(2, Math.round(2 * Math.PI / Math.abs(speed))));
+}
+
+const toHex = rgb => '#' + rgb.map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0')).join('');
+
+const escapeXml = text => text.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+
+/**
+ * asciinema v2 recording: a JSON header line, then one [time, "o", data] event per frame with
+ * the same diff-encoded escape codes the live view writes. A last empty event holds the final
+ * frame for its full duration, so players that loop restart exactly one frame later.
+ */
+function encodeAsciicast(frames, { width, height, delayMs }) {
+  const header = { version: 2, width, height, env: { TERM: 'xterm-256color' } };
+  const lines = [JSON.stringify(header)];
+  const writer = new FrameWriter(null, { diff: true });
+  const seconds = index => Number((index * delayMs / 1000).toFixed(6));
+
+  frames.forEach((cells, index) => {
+    // Hide the cursor and start from a clean screen; later frames only carry changed cells
+    const prefix = index === 0 ? '\x1b[?25l\x1b[2J' : '';
+    lines.push(JSON.stringify([seconds(index), 'o', prefix + writer.encode(cells, width, height)]));
+  });
+  lines.push(JSON.stringify([seconds(frames.length), 'o', '']));
+  return lines.join('\n') + '\n';
+}
+
+// Foreground and background color of cell `i`: brightness levels when colored, else monochrome
+function cellColors(cells, i, colors) {
+  const fgLevel = cells.fgLevels[i];
+  const bgLevel = cells.bgLevels[i];
+  return {
+    fg: colors.levels && fgLevel >= 0 ? colors.levels[fgLevel] : colors.foreground,
+    bg: colors.levels && bgLevel >= 0 ? colors.levels[bgLevel] : null
+  };
+}
+
+// Runs of cells in one row that share a color, as [start, end) pairs with that color
+function colorRuns(rowStart, width, colorOf) {
+  const runs = [];
+  let run = null;
+  for (let x = 0; x < width; x++) {
+    const color = colorOf(rowStart + x);
+    if (color === null) {
+      run = null;
+      continue;
+    }
+    if (run && run.color === color) {
+      run.end = x + 1;
+    } else {
+      run = { start: x, end: x + 1, color };
+      runs.push(run);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Animated SVG: each frame is a group that CSS keyframes show for one frame's time, staggered
+ * by animation-delay so exactly one is visible at any moment and the cycle repeats forever.
+ * Without `loop` the frames play once and the last one stays up.
+ * Text runs carry textLength, so the grid holds whatever monospace font the viewer picks.
+ */
+function encodeSvg(frames, { width, height, delayMs, cellAspect = 2, colors, loop = true }) {
+  const cellHeight = SVG_CELL_WIDTH * cellAspect;
+  const pixelWidth = +(width * SVG_CELL_WIDTH).toFixed(2);
+  const pixelHeight = +(height * cellHeight).toFixed(2);
+  const total = frames.length * delayMs / 1000;
+  const num = value => +value.toFixed(3);
+
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pixelWidth}" height="${pixelHeight}" viewBox="0 0 ${pixelWidth} ${pixelHeight}">`,
+    '<style>',
+    `text{font-family:ui-monospace,Menlo,Consolas,"DejaVu Sans Mono",monospace;font-size:${SVG_FONT_SIZE}px;white-space:pre}`
+  ];
+  if (frames.length > 1) {
+    out.push(
+      `.f{visibility:hidden;animation:frame ${num(total)}s steps(1,end) ${loop ? 'infinite' : '1'}}`,
+      `@keyframes frame{0%{visibility:visible}${num(100 / frames.length)}%,100%{visibility:hidden}}`
+    );
+    // Played once, the last frame turns visible and keeps the end state
+    if (!loop) out.push(`.l{visibility:hidden;animation:hold ${num(delayMs / 1000)}s steps(1,end) forwards}`, '@keyframes hold{0%,100%{visibility:visible}}');
+  }
+  out.push('</style>', `<rect width="100%" height="100%" fill="${toHex(colors.background)}"/>`);
+
+  frames.forEach((cells, index) => {
+    const delay = frames.length > 1 ? ` style="animation-delay:${num(index * delayMs / 1000)}s"` : '';
+    const last = !loop && index === frames.length - 1;
+    out.push(frames.length > 1 ? `<g class="${last ? 'l' : 'f'}"${delay}>` : '<g>');
+    for (let y = 0; y < height; y++) {
+      const rowStart = y * width;
+      const top = num(y * cellHeight);
+      // Cell backgrounds first, then the glyphs on top
+      const backgrounds = colorRuns(rowStart, width, i => {
+        const { bg } = cellColors(cells, i, colors);
+        return bg ? toHex(bg) : null;
+      });
+      for (const run of backgrounds) {
+        out.push(`<rect x="${num(run.start * SVG_CELL_WIDTH)}" y="${top}" width="${num((run.end - run.start) * SVG_CELL_WIDTH)}" height="${num(cellHeight)}" fill="${run.color}"/>`);
+      }
+      const texts = colorRuns(rowStart, width, i => (cells.glyphs[i] === ' ' ? null : toHex(cellColors(cells, i, colors).fg)));
+      // Baseline about 3/4 down the cell, like a terminal's
+      const baseline = num(y * cellHeight + cellHeight * 0.75);
+      for (const run of texts) {
+        const text = cells.glyphs.slice(rowStart + run.start, rowStart + run.end).join('');
+        const length = run.end - run.start > 1 ? ` textLength="${num((run.end - run.start) * SVG_CELL_WIDTH)}" lengthAdjust="spacingAndGlyphs"` : '';
+        out.push(`<text x="${num(run.start * SVG_CELL_WIDTH)}" y="${baseline}" fill="${run.color}"${length}>${escapeXml(text)}</text>`);
+      }
+    }
+    out.push('</g>');
+  });
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Animated GIF: every cell is drawn with the built-in bitmap font into palette indices.
+ * The palette holds the background, the monochrome foreground and one color per brightness
+ * level (squeezed into the 254 remaining slots when the ramp is longer). Without `loop` it plays once.
+ */
+function encodeAnimatedGif(frames, { width, height, delayMs, colors, loop = true }) {
+  const levels = colors.levels || [];
+  const levelSlots = Math.min(levels.length, 254);
+  const palette = [colors.background, colors.foreground];
+  for (let slot = 0; slot < levelSlots; slot++) {
+    palette.push(levels[levelSlots === levels.length ? slot : Math.round(slot * (levels.length - 1) / (levelSlots - 1))]);
+  }
+  const levelIndex = level => 2 + (levelSlots === levels.length ? level : Math.round(level * (levelSlots - 1) / (levels.length - 1)));
+
+  const imageWidth = width * CELL_WIDTH;
+  const imageHeight = height * CELL_HEIGHT;
+  const images = frames.map(cells => {
+    const pixels = new Uint8Array(imageWidth * imageHeight);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const glyph = cells.glyphs[i];
+        const bg = colors.levels && cells.bgLevels[i] >= 0 ? levelIndex(cells.bgLevels[i]) : GIF_BACKGROUND;
+        if (glyph === ' ' && bg === GIF_BACKGROUND) continue;
+        const fg = colors.levels && cells.fgLevels[i] >= 0 ? levelIndex(cells.fgLevels[i]) : GIF_FOREGROUND;
+        const mask = glyphMask(glyph);
+        for (let py = 0; py < CELL_HEIGHT; py++) {
+          const row = (y * CELL_HEIGHT + py) * imageWidth + x * CELL_WIDTH;
+          for (let px = 0; px < CELL_WIDTH; px++) {
+            pixels[row + px] = mask[py * CELL_WIDTH + px] ? fg : bg;
+          }
+        }
+      }
+    }
+    return pixels;
+  });
+  return encodeGif(images, { width: imageWidth, height: imageHeight, palette, delayMs, loop });
+}
+
+module.exports = {
+  ANIMATION_FORMATS,
+  formatFromPath,
+  loopFrameCount,
+  encodeAsciicast,
+  encodeSvg,
+  encodeAnimatedGif
+};
@@ -0,0 +1,110 @@
+/**
+ * Built-in bitmap font for image exports: a classic 5x7 font for printable ASCII in a 6x12
+ * cell, plus the block and Braille glyphs the sub-pixel modes emit, drawn procedurally.
+ */
+
+const CELL_WIDTH = 6;
+const CELL_HEIGHT = 12;
+// Row of the 5x7 glyphs' top edge inside the cell
+const GLYPH_TOP = 2;
+
+// Column bytes per glyph, least significant bit at the top, for U+0020..U+007E
+const FONT_5X7 = [
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x5f, 0x00, 0x00, 0x00, 0x07, 0x00, 0x07, 0x00, 0x14, 0x7f, 0x14, 0x7f, 0x14, //  !"#
+  0x24, 0x2a, 0x7f, 0x2a, 0x12, 0x23, 0x13, 0x08, 0x64, 0x62, 0x36, 0x49, 0x55, 0x22, 0x50, 0x00, 0x05, 0x03, 0x00, 0x00, // $%&'
+  0x00, 0x1c, 0x22, 0x41, 0x00, 0x00, 0x41, 0x22, 0x1c, 0x00, 0x08, 0x2a, 0x1c, 0x2a, 0x08, 0x08, 0x08, 0x3e, 0x08, 0x08, // ()*+
+  0x00, 0x50, 0x30, 0x00, 0x00, 0x08, 0x08, 0x08, 0x08, 0x08, 0x00, 0x60, 0x60, 0x00, 0x00, 0x20, 0x10, 0x08, 0x04, 0x02, // ,-./
+  0x3e, 0x51, 0x49, 0x45, 0x3e, 0x00, 0x42, 0x7f, 0x40, 0x00, 0x42, 0x61, 0x51, 0x49, 0x46, 0x21, 0x41, 0x45, 0x4b, 0x31, // 0123
+  0x18, 0x14, 0x12, 0x7f, 0x10, 0x27, 0x45, 0x45, 0x45, 0x39, 0x3c, 0x4a, 0x49, 0x49, 0x30, 0x01, 0x71, 0x09, 0x05, 0x03, // 4567
+  0x36, 0x49, 0x49, 0x49, 0x36, 0x06, 0x49, 0x49, 0x29, 0x1e, 0x00, 0x36, 0x36, 0x00, 0x00, 0x00, 0x56, 0x36, 0x00, 0x00, // 89:;
+  0x08, 0x14, 0x22, 0x41, 0x00, 0x14, 0x14, 0x14, 0x14, 0x14, 0x00, 0x41, 0x22, 0x14, 0x08, 0x02, 0x01, 0x51, 0x09, 0x06, // <=>?
+  0x32, 0x49, 0x79, 0x41, 0x3e, 0x7e, 0x11, 0x11, 0x11, 0x7e, 0x7f, 0x49, 0x49, 0x49, 0x36, 0x3e, 0x41, 0x41, 0x41, 0x22, // @ABC
+  0x7f, 0x41, 0x41, 0x22, 0x1c, 0x7f, 0x49, 0x49, 0x49, 0x41, 0x7f, 0x09, 0x09, 0x01, 0x01, 0x3e, 0x41, 0x41, 0x51, 0x32, // DEFG
+  0x7f, 0x08, 0x08, 0x08, 0x7f, 0x00, 0x41, 0x7f, 0x41, 0x00, 0x20, 0x40, 0x41, 0x3f, 0x01, 0x7f, 0x08, 0x14, 0x22, 0x41, // HIJK
+  0x7f, 0x40, 0x40, 0x40, 0x40, 0x7f, 0x02, 0x04, 0x02, 0x7f, 0x7f, 0x04, 0x08, 0x10, 0x7f, 0x3e, 0x41, 0x41, 0x41, 0x3e, // LMNO
+  0x7f, 0x09, 0x09, 0x09, 0x06, 0x3e, 0x41, 0x51, 0x21, 0x5e, 0x7f, 0x09, 0x19, 0x29, 0x46, 0x46, 0x49, 0x49, 0x49, 0x31, // PQRS
+  0x01, 0x01, 0x7f, 0x01, 0x01, 0x3f, 0x40, 0x40, 0x40, 0x3f, 0x1f, 0x20, 0x40, 0x20, 0x1f, 0x7f, 0x20, 0x18, 0x20, 0x7f, // TUVW
+  0x63, 0x14, 0x08, 0x14, 0x63, 0x03, 0x04, 0x78, 0x04, 0x03, 0x61, 0x51, 0x49, 0x45, 0x43, 0x00, 0x7f, 0x41, 0x41, 0x00, // XYZ[
+  0x02, 0x04, 0x08, 0x10, 0x20, 0x00, 0x41, 0x41, 0x7f, 0x00, 0x04, 0x02, 0x01, 0x02, 0x04, 0x40, 0x40, 0x40, 0x40, 0x40, // \]^_
+  0x00, 0x01, 0x02, 0x04, 0x00, 0x20, 0x54, 0x54, 0x54, 0x78, 0x7f, 0x48, 0x44, 0x44, 0x38, 0x38, 0x44, 0x44, 0x44, 0x20, // `abc
+  0x38, 0x44, 0x44, 0x48, 0x7f, 0x38, 0x54, 0x54, 0x54, 0x18, 0x08, 0x7e, 0x09, 0x01, 0x02, 0x08, 0x14, 0x54, 0x54, 0x3c, // defg
+  0x7f, 0x08, 0x04, 0x04, 0x78, 0x00, 0x44, 0x7d, 0x40, 0x00, 0x20, 0x40, 0x44, 0x3d, 0x00, 0x00, 0x7f, 0x10, 0x28, 0x44, // hijk
+  0x00, 0x41, 0x7f, 0x40, 0x00, 0x7c, 0x04, 0x18, 0x04, 0x78, 0x7c, 0x08, 0x04, 0x04, 0x78, 0x38, 0x44, 0x44, 0x44, 0x38, // lmno
+  0x7c, 0x14, 0x14, 0x14, 0x08, 0x08, 0x14, 0x14, 0x18, 0x7c, 0x7c, 0x08, 0x04, 0x04, 0x08, 0x48, 0x54, 0x54, 0x54, 0x20, // pqrs
+  0x04, 0x3f, 0x44, 0x40, 0x20, 0x3c, 0x40, 0x40, 0x20, 0x7c, 0x1c, 0x20, 0x40, 0x20, 0x1c, 0x3c, 0x40, 0x30, 0x40, 0x3c, // tuvw
+  0x44, 0x28, 0x10, 0x28, 0x44, 0x0c, 0x50, 0x50, 0x50, 0x3c, 0x44, 0x64, 0x54, 0x4c, 0x44, 0x00, 0x08, 0x36, 0x41, 0x00, // xyz{
+  0x00, 0x00, 0x7f, 0x00, 0x00, 0x00, 0x41, 0x36, 0x08, 0x00, 0x08, 0x04, 0x08, 0x10, 0x08 // |}~
+];
+
+// Braille dot bit for each of the 2x4 dot positions, row by row
+const BRAILLE_BITS = [[0x01, 0x08], [0x02, 0x10], [0x04, 0x20], [0x40, 0x80]];
+
+// Shade blocks as ordered patterns: which pixels of a 2x2 tile are set
+const SHADE_PATTERNS = {
+  '░': (x, y) => x % 2 === 0 && y % 2 === 0,
+  '▒': (x, y) => (x + y) % 2 === 0,
+  '▓': (x, y) => !(x % 2 === 1 && y % 2 === 1)
+};
+
+function drawAscii(mask, code) {
+  const offset = (code - 0x20) * 5;
+  for (let col = 0; col < 5; col++) {
+    const bits = FONT_5X7[offset + col];
+    for (let row = 0; row < 7; row++) {
+      if (bits & (1 << row)) mask[(GLYPH_TOP + row) * CELL_WIDTH + col] = 1;
+    }
+  }
+}
+
+function drawBraille(mask, bits) {
+  // 2x2 dots on a 3 x 3 pixel grid
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 2; col++) {
+      if (!(bits & BRAILLE_BITS[row][col])) continue;
+      for (let dy = 0; dy < 2; dy++) {
+        for (let dx = 0; dx < 2; dx++) mask[(row * 3 + dy) * CELL_WIDTH + col * 3 + dx] = 1;
+      }
+    }
+  }
+}
+
+function fillRows(mask, fromRow, toRow, test = () => true) {
+  for (let y = fromRow; y < toRow; y++) {
+    for (let x = 0; x < CELL_WIDTH; x++) {
+      if (test(x, y)) mask[y * CELL_WIDTH + x] = 1;
+    }
+  }
+}
+
+const glyphCache = new Map();
+
+/**
+ * Pixel mask (CELL_WIDTH x CELL_HEIGHT, 1 = ink) for one character. Characters the font does
+ * not cover are drawn as a hollow box, like a terminal's missing-glyph placeholder.
+ */
+function glyphMask(ch) {
+  let mask = glyphCache.get(ch);
+  if (mask) return mask;
+
+  mask = new Uint8Array(CELL_WIDTH * CELL_HEIGHT);
+  const code = ch.codePointAt(0);
+  if (code >= 0x20 && code <= 0x7e) {
+    drawAscii(mask, code);
+  } else if (code >= 0x2800 && code <= 0x28ff) {
+    drawBraille(mask, code - 0x2800);
+  } else if (ch === '█') {
+    fillRows(mask, 0, CELL_HEIGHT);
+  } else if (ch === '▀') {
+    fillRows(mask, 0, CELL_HEIGHT / 2);
+  } else if (ch === '▄') {
+    fillRows(mask, CELL_HEIGHT / 2, CELL_HEIGHT);
+  } else if (SHADE_PATTERNS[ch]) {
+    fillRows(mask, 0, CELL_HEIGHT, SHADE_PATTERNS[ch]);
+  } else {
+    fillRows(mask, GLYPH_TOP, GLYPH_TOP + 7, (x, y) => x < 5 && (x === 0 || x === 4 || y === GLYPH_TOP || y === GLYPH_TOP + 6));
+  }
+  glyphCache.set(ch, mask);
+  return mask;
+}
+
+module.exports = { CELL_WIDTH, CELL_HEIGHT, glyphMask };
@@ -0,0 +1,108 @@
+/**
+ * Camera and projection for the renderer.
+ *
+ * View space is the rotated model space: the camera sits at (0, 0, -distance) looking down +z,
+ * so a point's depth in front of the camera is z + distance. Projection maps the field of view
+ * onto the smaller viewport dimension and corrects for non-square sample pixels (terminal cells
+ * are about twice as tall as they are wide).
+ */
+
+const PROJECTIONS = ['perspective', 'orthographic'];
+const DEFAULT_FOV = 45; // degrees across the smaller viewport dimension
+const DEFAULT_CELL_ASPECT = 2.0; // character cell height / width
+const DEFAULT_NEAR = 0.05;
+// Breathing room around an auto-framed bounding sphere
+const FRAME_MARGIN = 1.05;
+
+class Camera {
+  constructor({
+    projection = 'perspective',
+    fov = DEFAULT_FOV,
+    distance = 3,
+    cellAspect = DEFAULT_CELL_ASPECT,
+    near = DEFAULT_NEAR
+  } = {}) {
+    this.projection = PROJECTIONS.includes(projection) ? projection : 'perspective';
+    this.fov = fov;
+    this.tanHalfFov = Math.tan(fov * Math.PI / 360);
+    this.distance = distance;
+    this.cellAspect = cellAspect;
+    this.near = near;
+    this.pan = { x: 0, y: 0 }; // view-space offset of the model, in model units
+
+    this.setViewport(80, 24, cellAspect);
+  }
+
+  get orthographic() {
+    return this.projection === 'orthographic';
+  }
+
+  /**
+   * Sample-pixel size of the render target. pixelAspect is the physical height / width of one
+   * sample pixel: the cell aspect for ascii, cellAspect * subX / subY for sub-pixel modes.
+   * originX is the viewport's left edge in the render target, for side-by-side views.
+   */
+  setViewport(pixelWidth, pixelHeight, pixelAspect = this.cellAspect, originX = 0) {
+    this.pixelWidth = pixelWidth;
+    this.pixelHeight = pixelHeight;
+    this.pixelAspect = pixelAspect;
+    this.originX = originX;
+    // Half the smaller dimension, measured in horizontal pixels
+    this.halfExtent = Math.min(pixelWidth / 2, pixelHeight / 2 * pixelAspect);
+  }
+
+  /**
+   * Auto-framing: move the camera so a sphere of `radius` around the origin fills the view at
+   * any rotation. Perspective keeps the sphere's silhouette inside the field of view,
+   * orthographic sizes it to the view at the model's depth. Returns the new distance.
+   */
+  frameSphere(radius) {
+    const sinHalfFov = this.tanHalfFov / Math.sqrt(1 + this.tanHalfFov * this.tanHalfFov);
+    this.distance = this.orthographic
+      ? FRAME_MARGIN * radius / this.tanHalfFov
+      : FRAME_MARGIN * radius / sinHalfFov;
+    return this.distance;
+  }
+
+  // Depth in front of the camera of a view-space z
+  depth(z, distance = this.distance) {
+    return z + distance;
+  }
+
+  /**
+   * Project a view-space point into out[offset..offset+2] as sub-pixel x, y and its depth in
+   * front of the camera (what the rasterizer interpolates and depth-tests).
+   * Points closer than the near plane must be clipped first; `distance` overrides the
+   * camera distance for older callers that pass one explicitly.
+   */
+  project(x, y, z, out, offset, distance = this.distance) {
+    // Orthographic keeps the scale perspective has at the model's center, so zooming by
+    // distance works the same way for both
+    const depth = this.orthographic ? distance : z + distance;
+    const ndcScale = this.halfExtent / (depth * this.tanHalfFov);
+    out[offset] = this.originX + this.pixelWidth / 2 + x * ndcScale;
+    out[offset + 1] = this.pixelHeight / 2 - y * ndcScale / this.pixelAspect;
+    out[offset + 2] = z + distance;
+  }
+
+  // Inverse of project(): view-space x, y, z of sub-pixel (sx, sy) at `depth` in front of the camera
+  unproject(sx, sy, depth, out) {
+    const ndcScale = this.halfExtent / ((this.orthographic ? this.distance : depth) * this.tanHalfFov);
+    out[0] = (sx - this.originX - this.pixelWidth / 2) / ndcScale;
+    out[1] = -(sy - this.pixelHeight / 2) * this.pixelAspect / ndcScale;
+    out[2] = depth - this.distance;
+    return out;
+  }
+
+  // Model units covered by one horizontal sample pixel at the model's depth
+  unitsPerPixel() {
+    return this.distance * this.tanHalfFov / this.halfExtent;
+  }
+
+  // Shallow copy with another distance, for callers that still pass one per draw
+  withDistance(distance) {
+    return Object.assign(Object.create(Camera.prototype), this, { distance });
+  }
+}
+
+module.exports = { Camera, PROJECTIONS, DEFAULT_FOV, DEFAULT_CELL_ASPECT };
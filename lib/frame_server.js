@@ -0,0 +1,292 @@
+/**
+ * Serve mode: stream the animation to many viewers at once, like the classic telnet ASCII
+ * animation servers. Telnet (or raw TCP) clients get the escape codes the live view writes,
+ * sized to their window through NAWS negotiation (RFC 1073); browsers get a small page that
+ * shows frames sent as server-sent events; curl on the HTTP port gets the raw stream. Every
+ * client renders at its own size, and all of them follow one shared clock.
+ */
+
+const net = require('net');
+const http = require('http');
+const { FrameWriter } = require('./frame_writer');
+
+// Telnet commands (RFC 854) and the options negotiated here
+const IAC = 255;
+const SE = 240;
+const SB = 250;
+const WILL = 251;
+const DONT = 254;
+const DO = 253;
+const ECHO = 1;
+const SUPPRESS_GO_AHEAD = 3;
+const NAWS = 31;
+
+// Server echoes nothing, sends no go-aheads (character mode) and asks for the window size
+const TELNET_GREETING = Buffer.from([IAC, WILL, ECHO, IAC, WILL, SUPPRESS_GO_AHEAD, IAC, DO, NAWS]);
+const SCREEN_ON = '\x1b[?1049h\x1b[?25l\x1b[2J';
+const SCREEN_OFF = '\x1b[0m\x1b[?25h\x1b[?1049l';
+// Ctrl+C, Ctrl+D and q end a telnet session
+const QUIT_BYTES = [3, 4, 0x71];
+
+// Renders cost CPU per client, so sizes and numbers are bounded
+const MAX_WIDTH = 400;
+const MAX_HEIGHT = 200;
+const MAX_CLIENTS = 32;
+
+// Split telnet input into plain bytes and window sizes; commands may span chunks
+class TelnetDecoder {
+  constructor() {
+    this.state = 'data';
+    this.subnegotiation = [];
+  }
+
+  // Returns { data: Buffer, sizes: [{ width, height }] } for one chunk
+  push(chunk) {
+    const data = [];
+    const sizes = [];
+    for (const byte of chunk) {
+      switch (this.state) {
+        case 'data':
+          if (byte === IAC) this.state = 'command';
+          else data.push(byte);
+          break;
+        case 'command':
+          // IAC IAC is a literal 255; WILL, WONT, DO and DONT take an option byte
+          if (byte === IAC) data.push(byte);
+          this.state = byte === SB ? 'sub' : byte >= WILL && byte <= DONT ? 'option' : 'data';
+          this.subnegotiation = [];
+          break;
+        case 'option':
+          this.state = 'data';
+          break;
+        case 'sub':
+          if (byte === IAC) this.state = 'sub-command';
+          else this.subnegotiation.push(byte);
+          break;
+        case 'sub-command':
+          if (byte === IAC) {
+            this.subnegotiation.push(byte);
+            this.state = 'sub';
+            break;
+          }
+          this.state = 'data';
+          if (byte === SE) {
+            const [option, w1, w2, h1, h2] = this.subnegotiation;
+            if (option === NAWS && this.subnegotiation.length === 5) sizes.push({ width: w1 << 8 | w2, height: h1 << 8 | h2 });
+          }
+          break;
+      }
+    }
+    return { data: Buffer.from(data), sizes };
+  }
+}
+
+// Client-reported size within bounds; 0 (unknown) or garbage falls back to `fallback`
+function clampSize(width, height, fallback) {
+  const fit = (value, max, otherwise) => (Number.isInteger(value) && value > 0 ? Math.min(value, max) : otherwise);
+  return { width: fit(width, MAX_WIDTH, fallback.width), height: fit(height, MAX_HEIGHT, fallback.height) };
+}
+
+// Browser viewer: fills the window with cells and reconnects at the new size after a resize
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>STL to ASCII</title>
+<style>
+  html, body { margin: 0; height: 100%; background: #000; overflow: hidden; }
+  pre { margin: 0; color: #fff; font: 14px/1.2 monospace; }
+</style>
+</head>
+<body>
+<pre id="screen"></pre>
+<script>
+  const screen = document.getElementById('screen');
+  let source = null;
+  let timer = null;
+  function connect() {
+    screen.textContent = 'M';
+    const { width, height } = screen.getBoundingClientRect();
+    const cols = Math.max(1, Math.floor(innerWidth / width));
+    const rows = Math.max(1, Math.floor(innerHeight / height));
+    if (source) source.close();
+    source = new EventSource('frames?cols=' + cols + '&rows=' + rows);
+    source.onmessage = event => { screen.textContent = JSON.parse(event.data); };
+  }
+  addEventListener('resize', () => {
+    clearTimeout(timer);
+    timer = setTimeout(connect, 200);
+  });
+  connect();
+</script>
+</body>
+</html>
+`;
+
+class FrameServer {
+  /**
+   * openView(width, height) makes one client's view: an object with a `renderer` (a scene from
+   * scene.clone). draw(view, seconds) poses and rasterizes it at a time on the shared clock.
+   * Clients that do not report a size get `defaultSize`; log receives connection messages.
+   */
+  constructor({ openView, draw, frameIntervalMs = 60, defaultSize = { width: 80, height: 24 }, log = () => {} }) {
+    this.openView = openView;
+    this.draw = draw;
+    this.frameIntervalMs = frameIntervalMs;
+    this.defaultSize = defaultSize;
+    this.log = log;
+    this.clients = new Set();
+    this.servers = [];
+    this.startTime = Date.now();
+    this.timer = null;
+  }
+
+  // Listen for telnet clients; resolves with the bound address
+  listenTelnet(port, host) {
+    return this.listen(net.createServer(socket => this.acceptTelnet(socket)), port, host);
+  }
+
+  // Listen for browsers (/, with frames on /frames) and curl (/ as a raw stream)
+  listenHttp(port, host) {
+    return this.listen(http.createServer((req, res) => this.handleRequest(req, res)), port, host);
+  }
+
+  listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        this.servers.push(server);
+        if (!this.timer) this.timer = setInterval(() => this.tick(), this.frameIntervalMs);
+        resolve(server.address());
+      });
+    });
+  }
+
+  // Stop listening and end every session, restoring telnet screens
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+    return Promise.all(this.servers.map(server => new Promise(resolve => server.close(resolve))));
+  }
+
+  // One frame for every client that has taken the last one, all at the same moment
+  tick() {
+    const seconds = (Date.now() - this.startTime) / 1000;
+    for (const client of this.clients) {
+      if (client.pending()) continue;
+      this.draw(client.view, seconds);
+      client.send();
+    }
+  }
+
+  // Each client costs a render per frame, so the number watching at once is capped
+  get full() {
+    return this.clients.size >= MAX_CLIENTS;
+  }
+
+  // Start sending frames to a client; client.closed() takes it off the list again
+  admit(client, name) {
+    this.clients.add(client);
+    this.log(`${name} connected (${this.clients.size} watching)`);
+    client.closed = () => {
+      if (this.clients.delete(client)) this.log(`${name} left (${this.clients.size} watching)`);
+    };
+  }
+
+  // Escape-code stream client over a socket or an HTTP response
+  streamClient(stream, size, end) {
+    const view = this.openView(size.width, size.height);
+    const writer = new FrameWriter(stream);
+    return {
+      view,
+      pending: () => writer.pending,
+      send: () => writer.writeFrame(view.renderer.composeCells(), view.renderer.width, view.renderer.height),
+      resize({ width, height }) {
+        if (width === view.renderer.width && height === view.renderer.height) return;
+        view.renderer.resize(width, height);
+        writer.invalidate();
+        stream.write('\x1b[2J');
+      },
+      end
+    };
+  }
+
+  acceptTelnet(socket) {
+    const name = `telnet ${socket.remoteAddress}:${socket.remotePort}`;
+    // A dropped connection just ends its session
+    socket.on('error', () => {});
+    if (this.full) {
+      socket.end('Too many viewers, try again later\r\n');
+      return;
+    }
+    const client = this.streamClient(socket, this.defaultSize, () => socket.end(SCREEN_OFF));
+    this.admit(client, name);
+    socket.setNoDelay(true);
+    socket.write(TELNET_GREETING);
+    socket.write(SCREEN_ON);
+
+    const decoder = new TelnetDecoder();
+    socket.on('data', chunk => {
+      const { data, sizes } = decoder.push(chunk);
+      sizes.forEach(size => client.resize(clampSize(size.width, size.height, this.defaultSize)));
+      if (data.some(byte => QUIT_BYTES.includes(byte))) {
+        client.closed();
+        client.end();
+      }
+    });
+    socket.on('close', () => client.closed());
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const size = clampSize(Number(url.searchParams.get('cols')), Number(url.searchParams.get('rows')), this.defaultSize);
+    const name = `http ${req.socket.remoteAddress}:${req.socket.remotePort}`;
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' }).end();
+      return;
+    }
+
+    const stream = url.pathname === '/' && (/^curl\//.test(req.headers['user-agent'] || '') || url.searchParams.has('raw'));
+    if (url.pathname !== '/' && url.pathname !== '/frames') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found\n');
+    } else if (url.pathname === '/' && !stream) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(PAGE);
+    } else if (this.full) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' }).end('Too many viewers, try again later\n');
+    } else if (stream) {
+      // Terminal clients get the escape-code stream, sized by ?cols=&rows=
+      const client = this.streamClient(res, size, () => res.end(SCREEN_OFF));
+      this.admit(client, name);
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-cache' });
+      res.write(SCREEN_ON);
+      res.on('close', () => client.closed());
+    } else {
+      this.acceptEvents(res, size, name);
+    }
+  }
+
+  // Server-sent events: one JSON string of plain text lines per frame
+  acceptEvents(res, size, name) {
+    const view = this.openView(size.width, size.height);
+    let waiting = false;
+    const client = {
+      view,
+      pending: () => waiting,
+      send() {
+        const text = view.renderer.toLines({ color: false }).join('\n');
+        waiting = !res.write(`data: ${JSON.stringify(text)}\n\n`);
+      },
+      end: () => res.end()
+    };
+    this.admit(client, name);
+    res.on('drain', () => { waiting = false; });
+    res.on('close', () => client.closed());
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.flushHeaders();
+  }
+}
+
+module.exports = { FrameServer, TelnetDecoder };
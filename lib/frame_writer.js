@@ -0,0 +1,164 @@
+/**
+ * Terminal frame output: repaints only the cells that changed since the previous frame,
+ * wraps each frame in synchronized-output markers (DEC mode 2026) so terminals that support
+ * them never show a half-drawn frame, and paces frames to what the output link can carry.
+ */
+
+const ANSI_RESET = '\x1b[0m';
+const SYNC_BEGIN = '\x1b[?2026h';
+const SYNC_END = '\x1b[?2026l';
+
+// A cursor move costs ~8 bytes, so short unchanged gaps are cheaper to rewrite than to skip
+const MAX_GAP = 6;
+// Smoothing factor for the running byte and throughput averages
+const EWMA_ALPHA = 0.2;
+// Keep the link this much below its measured capacity so output never queues up
+const THROUGHPUT_HEADROOM = 1.25;
+
+// Terminals known to honour DEC 2026; others ignore the private mode, so this only avoids noise
+function supportsSynchronizedOutput(env = process.env) {
+  if (['iTerm.app', 'WezTerm', 'vscode', 'ghostty', 'contour', 'tmux'].includes(env.TERM_PROGRAM)) return true;
+  return /kitty|foot|alacritty|contour|wezterm|ghostty/.test(env.TERM || '');
+}
+
+const moveTo = (row, col) => `\x1b[${row + 1};${col + 1}H`;
+
+class FrameWriter {
+  constructor(stream = process.stdout, { diff = true, sync = false } = {}) {
+    this.stream = stream;
+    this.diff = diff;
+    this.sync = sync;
+
+    // Cells on screen after the last frame; null forces a full repaint
+    this.prevGlyphs = null;
+    this.prevCodes = null;
+
+    this.frames = 0;
+    this.lastBytes = 0;
+    this.averageBytes = 0;
+    this.throughput = null; // bytes per second the stream flushed while it pushed back
+    this.pending = false; // the stream is still draining the last frame
+    this.blockedMs = 0; // how long the last write call itself blocked
+  }
+
+  // Next frame repaints everything (after a resize or anything else drawing on the screen)
+  invalidate() {
+    this.prevGlyphs = null;
+    this.prevCodes = null;
+  }
+
+  // Build the escape sequence for one frame of cells as produced by TerminalRenderer.composeCells
+  encode({ glyphs, codes }, width, height, status = null) {
+    const full = !this.diff || !this.prevGlyphs || this.prevGlyphs.length !== glyphs.length;
+    let out = this.sync ? SYNC_BEGIN : '';
+    let activeCode = ANSI_RESET; // SGR state survives cursor moves, so track it across the frame
+
+    const emitRun = (start, end) => {
+      for (let i = start; i <= end; i++) {
+        if (codes[i] !== activeCode) {
+          out += codes[i];
+          activeCode = codes[i];
+        }
+        out += glyphs[i];
+      }
+    };
+
+    for (let y = 0; y < height; y++) {
+      const rowStart = y * width;
+      if (full) {
+        out += moveTo(y, 0);
+        emitRun(rowStart, rowStart + width - 1);
+        continue;
+      }
+      let x = 0;
+      while (x < width) {
+        const i = rowStart + x;
+        if (glyphs[i] === this.prevGlyphs[i] && codes[i] === this.prevCodes[i]) {
+          x++;
+          continue;
+        }
+        // Extend the run over later changes separated by short unchanged gaps
+        let end = x;
+        for (let k = x + 1, gap = 0; k < width; k++) {
+          const j = rowStart + k;
+          if (glyphs[j] !== this.prevGlyphs[j] || codes[j] !== this.prevCodes[j]) {
+            end = k;
+            gap = 0;
+          } else if (++gap > MAX_GAP) {
+            break;
+          }
+        }
+        out += moveTo(y, x);
+        emitRun(rowStart + x, rowStart + end);
+        x = end + 1;
+      }
+    }
+
+    if (activeCode !== ANSI_RESET) out += ANSI_RESET;
+    if (status !== null) out += moveTo(height, 0) + status + '\x1b[K';
+    if (this.sync) out += SYNC_END;
+
+    if (!this.prevGlyphs || this.prevGlyphs.length !== glyphs.length) {
+      this.prevGlyphs = glyphs.slice();
+      this.prevCodes = codes.slice();
+    } else {
+      for (let i = 0; i < glyphs.length; i++) {
+        this.prevGlyphs[i] = glyphs[i];
+        this.prevCodes[i] = codes[i];
+      }
+    }
+    return out;
+  }
+
+  // Encode and write one frame; returns the number of bytes written
+  writeFrame(cells, width, height, status = null) {
+    const out = this.encode(cells, width, height, status);
+    const bytes = Buffer.byteLength(out);
+    // Whatever earlier frames left queued goes out ahead of this one
+    const queued = (this.stream.writableLength || 0) + bytes;
+    const started = Date.now();
+    const accepted = this.stream.write(out);
+    // Blocking writes (TTYs on most platforms) return once the kernel took the data, which
+    // waits while a slow link keeps its buffer full
+    const blockedMs = Date.now() - started;
+    this.blockedMs = blockedMs;
+
+    if (accepted) {
+      this.pending = false;
+      if (blockedMs > 0) this.sampleThroughput(queued, blockedMs);
+      // Taken without backpressure: the link may have room to spare, so let the estimate rise
+      else if (this.throughput !== null) this.throughput *= 1 + EWMA_ALPHA;
+    } else {
+      // Queued past the stream's high-water mark: the frame is out once the queue drains
+      this.pending = true;
+      this.stream.once('drain', () => {
+        this.pending = false;
+        this.sampleThroughput(queued, Date.now() - started);
+      });
+    }
+
+    this.lastBytes = bytes;
+    this.averageBytes = this.frames === 0 ? bytes : this.averageBytes + (bytes - this.averageBytes) * EWMA_ALPHA;
+    this.frames++;
+    return bytes;
+  }
+
+  sampleThroughput(bytes, ms) {
+    const sample = bytes / Math.max(ms, 1) * 1000;
+    this.throughput = this.throughput === null ? sample : this.throughput + (sample - this.throughput) * EWMA_ALPHA;
+  }
+
+  // Delay before the next frame: the target interval, stretched when the link cannot keep up
+  nextDelay(targetMs) {
+    if (!this.throughput) return targetMs;
+    const linkMs = this.averageBytes / this.throughput * 1000 * THROUGHPUT_HEADROOM;
+    return Math.max(targetMs, linkMs - this.blockedMs);
+  }
+
+  // Frames per second the current pacing allows
+  effectiveFps(targetMs) {
+    return 1000 / Math.max(this.nextDelay(targetMs), 1);
+  }
+}
+
+module.exports = { FrameWriter, supportsSynchronizedOutput, SYNC_BEGIN, SYNC_END };
@@ -0,0 +1,115 @@
+/**
+ * Geometry primitives shared by the parsers and the renderer
+ */
+
+class Vector3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  add(v) {
+    return new Vector3(this.x + v.x, this.y + v.y, this.z + v.z);
+  }
+
+  subtract(v) {
+    return new Vector3(this.x - v.x, this.y - v.y, this.z - v.z);
+  }
+
+  multiply(scalar) {
+    return new Vector3(this.x * scalar, this.y * scalar, this.z * scalar);
+  }
+
+  dot(v) {
+    return this.x * v.x + this.y * v.y + this.z * v.z;
+  }
+
+  cross(v) {
+    return new Vector3(
+      this.y * v.z - this.z * v.y,
+      this.z * v.x - this.x * v.z,
+      this.x * v.y - this.y * v.x
+    );
+  }
+
+  normalize() {
+    const length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    if (length === 0) return new Vector3();
+    return new Vector3(this.x / length, this.y / length, this.z / length);
+  }
+
+  length() {
+    return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+  }
+}
+
+class Triangle {
+  constructor(v1, v2, v3, normal = null) {
+    this.v1 = v1;
+    this.v2 = v2;
+    this.v3 = v3;
+    this.normal = normal || this.calculateNormal();
+    // Per-vertex normals (supplied by some file formats, otherwise filled later from adjacency averaging)
+    this.vn1 = null;
+    this.vn2 = null;
+    this.vn3 = null;
+  }
+
+  calculateNormal() {
+    const edge1 = this.v2.subtract(this.v1);
+    const edge2 = this.v3.subtract(this.v1);
+    return edge1.cross(edge2).normalize();
+  }
+}
+
+function createRotationMatrix(angleX, angleY, angleZ) {
+  // Normalize angles to prevent precision issues
+  angleX = angleX % (2 * Math.PI);
+  angleY = angleY % (2 * Math.PI);
+  angleZ = angleZ % (2 * Math.PI);
+  
+  const cosX = Math.cos(angleX), sinX = Math.sin(angleX);
+  const cosY = Math.cos(angleY), sinY = Math.sin(angleY);
+  const cosZ = Math.cos(angleZ), sinZ = Math.sin(angleZ);
+
+  // Combined rotation matrix (Z * Y * X)
+  return [
+    [cosY * cosZ, -cosY * sinZ, sinY],
+    [sinX * sinY * cosZ + cosX * sinZ, -sinX * sinY * sinZ + cosX * cosZ, -sinX * cosY],
+    [-cosX * sinY * cosZ + sinX * sinZ, cosX * sinY * sinZ + sinX * cosZ, cosX * cosY]
+  ];
+}
+
+// Rotation matrix for a spin of `angle` radians around a single axis
+function rotationForAxis(axis, angle) {
+  return createRotationMatrix(
+    axis === 'x' ? angle : 0,
+    axis === 'y' ? angle : 0,
+    axis === 'z' ? angle : 0
+  );
+}
+
+// Product of two 3x3 matrices: applying the result equals applying b, then a
+function multiplyMatrices(a, b) {
+  return a.map(row => [0, 1, 2].map(col => row[0] * b[0][col] + row[1] * b[1][col] + row[2] * b[2][col]));
+}
+
+// Axis-aligned bounds of all triangle vertices as { min, max }
+function computeBounds(triangles) {
+  const min = new Vector3(Infinity, Infinity, Infinity);
+  const max = new Vector3(-Infinity, -Infinity, -Infinity);
+  triangles.forEach(t => {
+    [t.v1, t.v2, t.v3].forEach(v => {
+      if (v.x < min.x) min.x = v.x;
+      if (v.y < min.y) min.y = v.y;
+      if (v.z < min.z) min.z = v.z;
+      if (v.x > max.x) max.x = v.x;
+      if (v.y > max.y) max.y = v.y;
+      if (v.z > max.z) max.z = v.z;
+    });
+  });
+  return { min, max };
+}
+
+module.exports = { Vector3, Triangle, createRotationMatrix, rotationForAxis, multiplyMatrices, computeBounds };
@@ -0,0 +1,132 @@
+/**
+ * Minimal animated GIF (GIF89a) writer for indexed frames with one global palette of up to
+ * 256 colors. Each frame after the first only stores the rectangle that changed, so a
+ * spinning model on a still background stays small.
+ */
+
+const MAX_CODE_SIZE = 12; // LZW codes never grow past 12 bits (4096 entries)
+
+// LZW-compress palette indices into GIF image data sub-blocks (minimum code size 8)
+function lzwEncode(indices) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  const emit = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const value = indices[i];
+    const key = prefix * 256 + value;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode < 1 << MAX_CODE_SIZE) {
+      // The decoder adds this entry one step later, so the width grows once it is in use
+      if (nextCode === 1 << codeSize) codeSize++;
+      dictionary.set(key, nextCode++);
+    } else {
+      // Table full: start over with a fresh dictionary
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = value;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) out.push(bitBuffer & 0xff);
+
+  // Data goes out in sub-blocks of at most 255 bytes, ended by an empty one
+  const blocks = [minCodeSize];
+  for (let i = 0; i < out.length; i += 255) {
+    const chunk = out.slice(i, i + 255);
+    blocks.push(chunk.length, ...chunk);
+  }
+  blocks.push(0);
+  return Buffer.from(blocks);
+}
+
+// Smallest rectangle where two frames differ, or null when they are identical
+function changedRect(previous, current, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (previous[i] === current[i]) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+const uint16 = value => [value & 0xff, (value >> 8) & 0xff];
+
+/**
+ * Encode frames (Uint8Array palette indices, width * height each) as a looping GIF.
+ * palette: array of [r, g, b], at most 256 entries. delayMs: time each frame is shown.
+ */
+function encodeGif(frames, { width, height, palette, delayMs = 60, loop = true }) {
+  if (palette.length > 256) throw new Error('GIF palettes hold at most 256 colors');
+  const parts = [];
+  const colorTable = new Uint8Array(256 * 3);
+  palette.forEach(([r, g, b], i) => colorTable.set([r, g, b], i * 3));
+
+  parts.push(Buffer.from('GIF89a', 'ascii'));
+  // Logical screen: size, global 256-color table (8 bits per channel), background index 0
+  parts.push(Buffer.from([...uint16(width), ...uint16(height), 0xf7, 0, 0]));
+  parts.push(Buffer.from(colorTable));
+  if (loop) {
+    // NETSCAPE2.0 extension: repeat forever
+    parts.push(Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0x00, 0x00, 0x00]));
+  }
+
+  // GIF delays are in hundredths of a second
+  const delay = Math.max(2, Math.round(delayMs / 10));
+  // A frame identical to the one before is not stored; the previous one just stays up longer
+  const stored = [];
+  frames.forEach((pixels, index) => {
+    const rect = index === 0 ? { x: 0, y: 0, width, height } : changedRect(frames[index - 1], pixels, width, height);
+    if (rect) stored.push({ pixels, rect, delay });
+    else stored[stored.length - 1].delay += delay;
+  });
+
+  for (const { pixels, rect, delay: frameDelay } of stored) {
+    const sub = new Uint8Array(rect.width * rect.height);
+    for (let y = 0; y < rect.height; y++) {
+      const row = (rect.y + y) * width + rect.x;
+      sub.set(pixels.subarray(row, row + rect.width), y * rect.width);
+    }
+    // Graphic control: keep the previous frame underneath (disposal 1), no transparency
+    parts.push(Buffer.from([0x21, 0xf9, 0x04, 0x04, ...uint16(frameDelay), 0x00, 0x00]));
+    parts.push(Buffer.from([0x2c, ...uint16(rect.x), ...uint16(rect.y), ...uint16(rect.width), ...uint16(rect.height), 0x00]));
+    parts.push(lzwEncode(sub));
+  }
+
+  parts.push(Buffer.from([0x3b]));
+  return Buffer.concat(parts);
+}
+
+module.exports = { encodeGif, lzwEncode };
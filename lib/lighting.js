@@ -0,0 +1,170 @@
+/**
+ * Lighting and materials: turns a surface normal (and, when needed, its view-space position)
+ * into a brightness in [0, 1] that the renderer maps onto the glyph ramp.
+ *
+ * Lights live in view space, like the interactive key light: x right, y up, z away from the
+ * viewer. Directional lights give the direction towards the light; point lights a position.
+ */
+
+const DEFAULT_MATERIAL = {
+  ambient: 0.35, // moderate ambient to fill gaps
+  diffuse: 0.7,
+  diffuseExponent: 1.2, // slightly softer response than Lambert
+  floor: 0.25, // gentle minimum to avoid dark banding
+  specular: 0,
+  shininess: 32,
+  rim: 0,
+  rimPower: 2
+};
+
+// "dir:x,y,z[@intensity]" or "point:x,y,z[@intensity]", several separated by ";"
+const LIGHT_SPEC_PATTERN = /^(dir|directional|point):\s*(-?[\d.e+-]+)\s*,\s*(-?[\d.e+-]+)\s*,\s*(-?[\d.e+-]+)\s*(?:@\s*([\d.e+-]+))?$/i;
+
+function checkVector(value, what) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    throw new Error(`${what} must be three numbers`);
+  }
+  return value;
+}
+
+function checkIntensity(value) {
+  if (!Number.isFinite(value) || value < 0) throw new Error('light intensity must be a number >= 0');
+  return value;
+}
+
+/**
+ * Normalize light definitions from a CLI spec string or a config array of
+ * { type: 'directional', direction: [x, y, z] } / { type: 'point', position: [x, y, z], range }
+ * objects (both with an optional intensity, default 1). Throws on malformed input.
+ */
+function parseLights(value) {
+  if (value == null || value === '') return [];
+  if (typeof value === 'string') {
+    return value.split(';').map(s => s.trim()).filter(Boolean).map(spec => {
+      const match = LIGHT_SPEC_PATTERN.exec(spec);
+      if (!match) throw new Error(`invalid light "${spec}", expected dir:x,y,z@intensity or point:x,y,z@intensity`);
+      const vector = [Number(match[2]), Number(match[3]), Number(match[4])];
+      const light = match[1].toLowerCase() === 'point'
+        ? { type: 'point', position: checkVector(vector, 'point light position') }
+        : { type: 'directional', direction: checkVector(vector, 'light direction') };
+      light.intensity = match[5] === undefined ? 1 : checkIntensity(Number(match[5]));
+      return light;
+    });
+  }
+  if (!Array.isArray(value)) throw new Error('lights must be a spec string or an array of light objects');
+
+  return value.map(light => {
+    if (!light || typeof light !== 'object') throw new Error('each light must be an object');
+    const intensity = light.intensity === undefined ? 1 : checkIntensity(light.intensity);
+    if (light.type === 'point') {
+      if (light.range !== undefined && !(light.range > 0)) throw new Error('point light range must be > 0');
+      return { type: 'point', position: checkVector(light.position, 'point light position'), intensity, range: light.range };
+    }
+    if (light.type === 'directional' || light.type === 'dir') {
+      return { type: 'directional', direction: checkVector(light.direction, 'light direction'), intensity };
+    }
+    throw new Error(`unknown light type "${light.type}", expected directional or point`);
+  });
+}
+
+class LightingModel {
+  constructor({ material = {}, lights = [] } = {}) {
+    this.material = { ...DEFAULT_MATERIAL };
+    // Undefined entries keep the defaults, so option objects can be passed straight through
+    for (const [key, value] of Object.entries(material)) {
+      if (value !== undefined && value !== null) this.material[key] = value;
+    }
+
+    // Flattened for the per-pixel loop: type, x, y, z, intensity, range per light
+    this.extraLights = parseLights(lights).map(light => {
+      const [x, y, z] = light.type === 'point' ? light.position : light.direction;
+      const length = light.type === 'point' ? 1 : Math.hypot(x, y, z) || 1;
+      return { point: light.type === 'point', x: x / length, y: y / length, z: z / length, intensity: light.intensity, range: light.range || 0 };
+    });
+    this.keyLight = { point: false, x: 0, y: 0, z: -1, intensity: 1, range: 0 };
+    this.lights = [this.keyLight, ...this.extraLights];
+
+    // Where the viewer is: the eye point for perspective, a fixed direction for orthographic
+    this.orthographic = false;
+    this.eyeZ = -3;
+  }
+
+  // Positions are only interpolated per pixel when something depends on them
+  get needsPosition() {
+    return this.material.specular > 0 || this.material.rim > 0 || this.extraLights.some(light => light.point);
+  }
+
+  // Per-draw state: the interactive key light (direction towards it) and the camera
+  setFrame(keyDirection, camera = null) {
+    if (keyDirection) {
+      this.keyLight.x = keyDirection.x;
+      this.keyLight.y = keyDirection.y;
+      this.keyLight.z = keyDirection.z;
+    }
+    if (camera) {
+      this.orthographic = camera.orthographic;
+      this.eyeZ = -camera.distance;
+    }
+  }
+
+  /**
+   * Brightness in [0, 1] for normal (nx, ny, nz), which need not be unit length, at view-space
+   * point (px, py, pz). The point only matters for point lights, specular and rim terms.
+   */
+  shade(nx, ny, nz, px = 0, py = 0, pz = 0) {
+    const m = this.material;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length === 0) return Math.min(1, Math.max(m.floor, m.ambient));
+
+    // Direction towards the viewer
+    let vx = 0, vy = 0, vz = -1;
+    if (!this.orthographic && (m.specular > 0 || m.rim > 0)) {
+      vx = -px;
+      vy = -py;
+      vz = this.eyeZ - pz;
+      const vLength = Math.sqrt(vx * vx + vy * vy + vz * vz) || 1;
+      vx /= vLength;
+      vy /= vLength;
+      vz /= vLength;
+    }
+
+    let diffuse = 0;
+    let specular = 0;
+    for (const light of this.lights) {
+      let lx = light.x, ly = light.y, lz = light.z;
+      let strength = light.intensity;
+      if (light.point) {
+        lx -= px;
+        ly -= py;
+        lz -= pz;
+        const distance = Math.sqrt(lx * lx + ly * ly + lz * lz) || 1;
+        lx /= distance;
+        ly /= distance;
+        lz /= distance;
+        if (light.range) strength /= 1 + (distance / light.range) ** 2;
+      }
+
+      const nDotL = (nx * lx + ny * ly + nz * lz) / length;
+      if (nDotL <= 0) continue;
+      diffuse += strength * Math.pow(nDotL, m.diffuseExponent);
+
+      if (m.specular > 0) {
+        // Blinn-Phong: highlight where the normal lines up with the half vector
+        let hx = lx + vx, hy = ly + vy, hz = lz + vz;
+        const hLength = Math.sqrt(hx * hx + hy * hy + hz * hz) || 1;
+        const nDotH = (nx * hx + ny * hy + nz * hz) / (length * hLength);
+        if (nDotH > 0) specular += strength * Math.pow(nDotH, m.shininess);
+      }
+    }
+
+    let intensity = m.ambient + m.diffuse * diffuse + m.specular * specular;
+    if (m.rim > 0) {
+      // Fresnel-style rim: surfaces turning away from the viewer light up at the silhouette
+      const nDotV = Math.max(0, (nx * vx + ny * vy + nz * vz) / length);
+      intensity += m.rim * Math.pow(1 - nDotV, m.rimPower);
+    }
+    return Math.min(1, Math.max(m.floor, intensity));
+  }
+}
+
+module.exports = { LightingModel, parseLights, DEFAULT_MATERIAL };
@@ -0,0 +1,403 @@
+/**
+ * Mesh loaders for formats other than STL
+ * Every parser returns an array of Triangles, so the rest of the pipeline does not care
+ * which format a model came from.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Vector3, Triangle } = require('./geometry');
+
+// Split a polygon into a triangle fan around its first vertex
+function fanTriangulate(indices, emit) {
+  for (let i = 1; i < indices.length - 1; i++) {
+    emit(indices[0], indices[i], indices[i + 1]);
+  }
+}
+
+class OBJParser {
+  static parseOBJ(filePath) {
+    return this.parseOBJText(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  static parseOBJText(text) {
+    const positions = [];
+    const normals = [];
+    const triangles = [];
+
+    // OBJ indices are 1-based; negative indices count back from the latest element
+    function resolveIndex(raw, list) {
+      const index = parseInt(raw, 10);
+      if (Number.isNaN(index)) return -1;
+      return index < 0 ? list.length + index : index - 1;
+    }
+
+    const lines = text.split(/\r?\n/);
+    for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+      // Join lines continued with a trailing backslash
+      let line = lines[lineNumber];
+      while (line.endsWith('\\') && lineNumber + 1 < lines.length) {
+        line = line.slice(0, -1) + ' ' + lines[++lineNumber];
+      }
+      const parts = line.trim().split(/\s+/);
+
+      if (parts[0] === 'v' || parts[0] === 'vn') {
+        // x y z, optionally followed by w or vertex colors, which are ignored
+        const [x, y, z] = parts.slice(1, 4).map(Number);
+        if (parts.length < 4 || ![x, y, z].every(Number.isFinite)) {
+          throw new Error(`Invalid ${parts[0] === 'v' ? 'vertex' : 'normal'} on OBJ line ${lineNumber + 1}: expected 3 numbers, got "${line.trim()}"`);
+        }
+        if (parts[0] === 'v') positions.push(new Vector3(x, y, z));
+        else normals.push(new Vector3(x, y, z).normalize());
+      } else if (parts[0] === 'f') {
+        // Face corners look like v, v/vt, v//vn or v/vt/vn
+        const corners = parts.slice(1).map(corner => {
+          const [v, , vn] = corner.split('/');
+          return {
+            position: positions[resolveIndex(v, positions)],
+            normal: vn ? normals[resolveIndex(vn, normals)] : null
+          };
+        });
+        if (corners.length < 3 || corners.some(c => !c.position)) {
+          throw new Error(`Invalid face on OBJ line ${lineNumber + 1}`);
+        }
+
+        fanTriangulate(corners, (a, b, c) => {
+          const triangle = new Triangle(a.position, b.position, c.position);
+          if (a.normal && b.normal && c.normal) {
+            triangle.vn1 = a.normal;
+            triangle.vn2 = b.normal;
+            triangle.vn3 = c.normal;
+          }
+          triangles.push(triangle);
+        });
+      }
+    }
+
+    return triangles;
+  }
+}
+
+// PLY scalar types and their byte sizes (both the classic and the sized names)
+const PLY_TYPES = {
+  char: ['Int8', 1], int8: ['Int8', 1],
+  uchar: ['Uint8', 1], uint8: ['Uint8', 1],
+  short: ['Int16', 2], int16: ['Int16', 2],
+  ushort: ['Uint16', 2], uint16: ['Uint16', 2],
+  int: ['Int32', 4], int32: ['Int32', 4],
+  uint: ['Uint32', 4], uint32: ['Uint32', 4],
+  float: ['Float32', 4], float32: ['Float32', 4],
+  double: ['Float64', 8], float64: ['Float64', 8]
+};
+
+class PLYParser {
+  static parsePLY(filePath) {
+    return this.parsePLYBuffer(fs.readFileSync(filePath));
+  }
+
+  static parseHeader(data) {
+    const end = data.indexOf('end_header');
+    if (data.toString('latin1', 0, 3) !== 'ply' || end === -1) {
+      throw new Error('Not a PLY file (missing "ply" magic or end_header)');
+    }
+    // Body starts after the newline that terminates end_header
+    let bodyOffset = end + 'end_header'.length;
+    if (data[bodyOffset] === 0x0d) bodyOffset++;
+    if (data[bodyOffset] === 0x0a) bodyOffset++;
+
+    const header = { format: null, elements: [], bodyOffset };
+    data.toString('latin1', 0, end).split(/\r?\n/).forEach(line => {
+      const parts = line.trim().split(/\s+/);
+      if (parts[0] === 'format') {
+        header.format = parts[1];
+      } else if (parts[0] === 'element') {
+        header.elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+      } else if (parts[0] === 'property') {
+        const element = header.elements[header.elements.length - 1];
+        if (!element) throw new Error('PLY property declared before any element');
+        if (parts[1] === 'list') {
+          element.properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+        } else {
+          element.properties.push({ name: parts[2], list: false, type: parts[1] });
+        }
+      }
+    });
+
+    if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(header.format)) {
+      throw new Error(`Unsupported PLY format: ${header.format}`);
+    }
+    header.elements.forEach(element => element.properties.forEach(prop => {
+      [prop.type, prop.countType].filter(Boolean).forEach(type => {
+        if (!PLY_TYPES[type]) throw new Error(`Unsupported PLY property type: ${type}`);
+      });
+    }));
+    return header;
+  }
+
+  static parsePLYBuffer(data) {
+    const header = this.parseHeader(data);
+    const readRow = header.format === 'ascii'
+      ? this.asciiRowReader(data.toString('latin1', header.bodyOffset))
+      : this.binaryRowReader(data, header.bodyOffset, header.format === 'binary_little_endian');
+
+    const positions = [];
+    const normals = [];
+    const triangles = [];
+
+    header.elements.forEach(element => {
+      for (let i = 0; i < element.count; i++) {
+        const row = readRow(element.properties);
+        if (element.name === 'vertex') {
+          if (![row.x, row.y, row.z].every(Number.isFinite)) {
+            throw new Error(`Invalid PLY vertex ${i}: expected finite x, y and z, got ${[row.x, row.y, row.z].join(', ')}`);
+          }
+          positions.push(new Vector3(row.x, row.y, row.z));
+          if (row.nx !== undefined) {
+            if (![row.nx, row.ny, row.nz].every(Number.isFinite)) {
+              throw new Error(`Invalid PLY normal on vertex ${i}: expected finite nx, ny and nz, got ${[row.nx, row.ny, row.nz].join(', ')}`);
+            }
+            normals.push(new Vector3(row.nx, row.ny, row.nz).normalize());
+          }
+        } else if (element.name === 'face') {
+          const indices = row.vertex_indices || row.vertex_index;
+          if (!indices) throw new Error('PLY face element has no vertex_indices list');
+          fanTriangulate(indices, (a, b, c) => {
+            if (!positions[a] || !positions[b] || !positions[c]) {
+              throw new Error(`PLY face ${i} references a missing vertex`);
+            }
+            const triangle = new Triangle(positions[a], positions[b], positions[c]);
+            if (normals.length === positions.length) {
+              triangle.vn1 = normals[a];
+              triangle.vn2 = normals[b];
+              triangle.vn3 = normals[c];
+            }
+            triangles.push(triangle);
+          });
+        }
+      }
+    });
+
+    return triangles;
+  }
+
+  static asciiRowReader(body) {
+    const tokens = body.split(/\s+/).filter(Boolean);
+    let pos = 0;
+    const next = () => {
+      if (pos >= tokens.length) throw new Error('Unexpected end of PLY data');
+      return Number(tokens[pos++]);
+    };
+    return properties => {
+      const row = {};
+      properties.forEach(prop => {
+        if (prop.list) {
+          const count = next();
+          row[prop.name] = Array.from({ length: count }, next);
+        } else {
+          row[prop.name] = next();
+        }
+      });
+      return row;
+    };
+  }
+
+  static binaryRowReader(data, offset, littleEndian) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let pos = offset;
+    const next = type => {
+      const [method, size] = PLY_TYPES[type];
+      if (pos + size > data.length) throw new Error('Unexpected end of PLY data');
+      const value = view[`get${method}`](pos, littleEndian);
+      pos += size;
+      return value;
+    };
+    return properties => {
+      const row = {};
+      properties.forEach(prop => {
+        if (prop.list) {
+          const count = next(prop.countType);
+          row[prop.name] = Array.from({ length: count }, () => next(prop.type));
+        } else {
+          row[prop.name] = next(prop.type);
+        }
+      });
+      return row;
+    };
+  }
+}
+
+// Read the entries of a zip archive (stored or deflated, no ZIP64) into a name -> Buffer map
+function readZipEntries(data) {
+  // End of central directory record sits in the last 22 + up to 65535 (comment) bytes
+  let eocd = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 22 - 0xffff); i--) {
+    if (data.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Invalid zip archive (no end of central directory)');
+
+  const entryCount = data.readUInt16LE(eocd + 10);
+  let pos = data.readUInt32LE(eocd + 16);
+  if (pos === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (data.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = data.readUInt16LE(pos + 10);
+    const compressedSize = data.readUInt32LE(pos + 20);
+    const nameLength = data.readUInt16LE(pos + 28);
+    const extraLength = data.readUInt16LE(pos + 30);
+    const commentLength = data.readUInt16LE(pos + 32);
+    const localOffset = data.readUInt32LE(pos + 42);
+    const name = data.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    // Local header repeats name/extra lengths, which may differ from the central copy
+    const start = localOffset + 30 + data.readUInt16LE(localOffset + 26) + data.readUInt16LE(localOffset + 28);
+    const raw = data.subarray(start, start + compressedSize);
+    entries.set(name, { method, raw });
+  }
+
+  return {
+    names: [...entries.keys()],
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      if (entry.method === 0) return entry.raw;
+      if (entry.method === 8) return zlib.inflateRawSync(entry.raw);
+      throw new Error(`Unsupported zip compression method ${entry.method} for ${name}`);
+    }
+  };
+}
+
+function parseXmlAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(tag))) attributes[match[1]] = match[2];
+  return attributes;
+}
+
+// 3MF transforms are 3x4 matrices for row vectors: "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"
+const IDENTITY_TRANSFORM = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+function parseTransform(value) {
+  if (!value) return IDENTITY_TRANSFORM;
+  const m = value.trim().split(/\s+/).map(Number);
+  if (m.length !== 12 || m.some(Number.isNaN)) throw new Error(`Invalid 3MF transform "${value}"`);
+  return m;
+}
+
+function applyTransform(m, v) {
+  return new Vector3(
+    v.x * m[0] + v.y * m[3] + v.z * m[6] + m[9],
+    v.x * m[1] + v.y * m[4] + v.z * m[7] + m[10],
+    v.x * m[2] + v.y * m[5] + v.z * m[8] + m[11]
+  );
+}
+
+// Combined transform of applying `inner` first, then `outer`
+function multiplyTransforms(inner, outer) {
+  const p = (x, y, z, w) => [
+    x * outer[0] + y * outer[3] + z * outer[6] + w * outer[9],
+    x * outer[1] + y * outer[4] + z * outer[7] + w * outer[10],
+    x * outer[2] + y * outer[5] + z * outer[8] + w * outer[11]
+  ];
+  return [
+    ...p(inner[0], inner[1], inner[2], 0),
+    ...p(inner[3], inner[4], inner[5], 0),
+    ...p(inner[6], inner[7], inner[8], 0),
+    ...p(inner[9], inner[10], inner[11], 1)
+  ];
+}
+
+class ThreeMFParser {
+  static parse3MF(filePath) {
+    const zip = readZipEntries(fs.readFileSync(filePath));
+    // The main model part is conventionally 3D/3dmodel.model; fall back to any .model part
+    const modelName = zip.names.find(n => n.toLowerCase() === '3d/3dmodel.model')
+      || zip.names.find(n => n.toLowerCase().endsWith('.model'));
+    if (!modelName) throw new Error('3MF archive contains no .model part');
+    return this.parseModelXml(zip.read(modelName).toString('utf8'));
+  }
+
+  static parseModelXml(xml) {
+    // Collect every <object>: either a mesh or a list of components referencing other objects
+    const objects = new Map();
+    const objectPattern = /<(?:\w+:)?object\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?object>/g;
+    let match;
+    while ((match = objectPattern.exec(xml))) {
+      const { id } = parseXmlAttributes(match[1]);
+      const body = match[2];
+      const vertices = [];
+      const vertexPattern = /<(?:\w+:)?vertex\b([^>]*)\/?>/g;
+      let v;
+      while ((v = vertexPattern.exec(body))) {
+        const a = parseXmlAttributes(v[1]);
+        const [x, y, z] = [a.x, a.y, a.z].map(parseFloat);
+        if (![x, y, z].every(Number.isFinite)) {
+          throw new Error(`Invalid vertex ${vertices.length} in 3MF object ${id}: expected finite x, y and z, got ${v[0]}`);
+        }
+        vertices.push(new Vector3(x, y, z));
+      }
+      const faces = [];
+      const trianglePattern = /<(?:\w+:)?triangle\b([^>]*)\/?>/g;
+      let t;
+      while ((t = trianglePattern.exec(body))) {
+        const a = parseXmlAttributes(t[1]);
+        faces.push([parseInt(a.v1, 10), parseInt(a.v2, 10), parseInt(a.v3, 10)]);
+      }
+      const components = [];
+      const componentPattern = /<(?:\w+:)?component\b([^>]*)\/?>/g;
+      let c;
+      while ((c = componentPattern.exec(body))) {
+        const a = parseXmlAttributes(c[1]);
+        components.push({ objectId: a.objectid, transform: parseTransform(a.transform) });
+      }
+      objects.set(id, { vertices, faces, components });
+    }
+    if (objects.size === 0) throw new Error('3MF model contains no objects');
+
+    const triangles = [];
+    const emitObject = (id, transform, depth) => {
+      const object = objects.get(id);
+      if (!object) throw new Error(`3MF references unknown object ${id}`);
+      if (depth > 16) throw new Error('3MF component nesting is too deep (cyclic reference?)');
+      object.faces.forEach(([a, b, c]) => {
+        if (!object.vertices[a] || !object.vertices[b] || !object.vertices[c]) {
+          throw new Error(`3MF object ${id} has a triangle with an invalid vertex index`);
+        }
+        triangles.push(new Triangle(
+          applyTransform(transform, object.vertices[a]),
+          applyTransform(transform, object.vertices[b]),
+          applyTransform(transform, object.vertices[c])
+        ));
+      });
+      object.components.forEach(component => {
+        emitObject(component.objectId, multiplyTransforms(component.transform, transform), depth + 1);
+      });
+    };
+
+    // Render what the <build> section places; without one, show every top-level object as-is
+    const items = [];
+    const itemPattern = /<(?:\w+:)?item\b([^>]*)\/?>/g;
+    while ((match = itemPattern.exec(xml))) {
+      const a = parseXmlAttributes(match[1]);
+      items.push({ objectId: a.objectid, transform: parseTransform(a.transform) });
+    }
+    if (items.length > 0) {
+      items.forEach(item => emitObject(item.objectId, item.transform, 0));
+    } else {
+      const referenced = new Set([...objects.values()].flatMap(o => o.components.map(c => c.objectId)));
+      objects.forEach((_, id) => {
+        if (!referenced.has(id)) emitObject(id, IDENTITY_TRANSFORM, 0);
+      });
+    }
+
+    return triangles;
+  }
+}
+
+module.exports = { OBJParser, PLYParser, ThreeMFParser, readZipEntries };
@@ -0,0 +1,215 @@
+/**
+ * Mesh inspection for the `info` command: measurements of the model as stored in the file
+ * (before any centering or scaling), facet problems, and edge topology checks that tell
+ * whether the mesh is watertight enough to print.
+ *
+ * Topology is checked on the welded mesh, so facets that only share vertex positions still
+ * count as connected.
+ */
+
+const { Vector3, computeBounds } = require('./geometry');
+const { DEFAULT_WELD_TOLERANCE, weldVertices } = require('./mesh_processing');
+
+// Facets smaller than this fraction of the squared bounding-box diagonal count as degenerate
+const DEGENERATE_AREA = 1e-12;
+
+// STL has no units; these are the ones models are commonly exported in, as millimeters each
+const UNITS = [
+  { unit: 'mm', name: 'millimeters', mm: 1 },
+  { unit: 'cm', name: 'centimeters', mm: 10 },
+  { unit: 'in', name: 'inches', mm: 25.4 },
+  { unit: 'm', name: 'meters', mm: 1000 }
+];
+// Largest dimension of a typical printable part, in millimeters
+const PLAUSIBLE_SIZE_MM = [5, 500];
+const TYPICAL_SIZE_MM = 100;
+
+/**
+ * Guess the file's units from the largest dimension. Millimeters win whenever the part has a
+ * plausible size in them (most exporters write millimeters); otherwise the unit that brings it
+ * closest to a typical part size is picked, marked uncertain when even that is implausible.
+ */
+function guessUnits(maxDimension) {
+  const [low, high] = PLAUSIBLE_SIZE_MM;
+  const plausible = ({ mm }) => maxDimension * mm >= low && maxDimension * mm <= high;
+  let guess = UNITS[0];
+  if (!plausible(guess)) {
+    const distance = ({ mm }) => Math.abs(Math.log(maxDimension * mm / TYPICAL_SIZE_MM));
+    guess = UNITS.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+  }
+  return { unit: guess.unit, name: guess.name, certain: plausible(guess), scaleToMm: guess.mm };
+}
+
+// Defect kinds for diagnostic rendering, in rising order of severity
+const DEFECTS = {
+  BACK_FACE: 1, // facing away from the camera, only drawn with culling off
+  DUPLICATE: 2,
+  INCONSISTENT: 3, // wound against a neighbour
+  FLIPPED_NORMAL: 4,
+  OPEN_EDGE: 5,
+  NON_MANIFOLD_EDGE: 6
+};
+
+/**
+ * Every edge of an indexed mesh (3 vertex indices per face) with the faces using it. An edge
+ * used once is open (a hole), more than twice is non-manifold, and an edge whose two faces run
+ * along it in the same direction means one of them is wound the wrong way.
+ * Returns a Map of edge key -> { a, b, count, direction, faces }.
+ */
+function analyzeEdges(indices, vertexCount) {
+  const edges = new Map();
+  for (let f = 0; f < indices.length / 3; f++) {
+    for (let i = 0; i < 3; i++) {
+      const a = indices[f * 3 + i];
+      const b = indices[f * 3 + (i + 1) % 3];
+      const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { a, b, count: 0, direction: 0, faces: [] };
+        edges.set(key, edge);
+      }
+      edge.count++;
+      edge.direction += a < b ? 1 : -1;
+      edge.faces.push(f);
+    }
+  }
+  return edges;
+}
+
+const isInconsistent = edge => edge.count === 2 && edge.direction !== 0;
+
+function summarizeEdges(edges) {
+  const result = { total: edges.size, open: 0, nonManifold: 0, inconsistent: 0 };
+  for (const edge of edges.values()) {
+    if (edge.count === 1) result.open++;
+    else if (edge.count > 2) result.nonManifold++;
+    else if (isInconsistent(edge)) result.inconsistent++;
+  }
+  return result;
+}
+
+// Faces that repeat an earlier face's three vertices, in any order
+function findDuplicateFaces(indices) {
+  const seen = new Set();
+  const duplicates = [];
+  for (let f = 0; f < indices.length / 3; f++) {
+    const key = [indices[f * 3], indices[f * 3 + 1], indices[f * 3 + 2]].sort((a, b) => a - b).join(',');
+    if (seen.has(key)) duplicates.push(f);
+    else seen.add(key);
+  }
+  return duplicates;
+}
+
+/**
+ * Defects of a RenderMesh for diagnostic rendering: the most severe face defect per face, and
+ * the open and non-manifold edges as { count, vertices: [a, b per edge], kinds }.
+ */
+function findDefects(mesh) {
+  const { indices, positions, normals, faceNormalIndices } = mesh;
+  const faceDefects = new Uint8Array(mesh.faceCount);
+  const mark = (f, kind) => {
+    if (faceDefects[f] < kind) faceDefects[f] = kind;
+  };
+
+  findDuplicateFaces(indices).forEach(f => mark(f, DEFECTS.DUPLICATE));
+  for (let f = 0; f < mesh.faceCount; f++) {
+    // The face normal (the stored one where the file had it) against the winding order
+    const a = indices[f * 3] * 3, b = indices[f * 3 + 1] * 3, c = indices[f * 3 + 2] * 3;
+    const e1x = positions[b] - positions[a], e1y = positions[b + 1] - positions[a + 1], e1z = positions[b + 2] - positions[a + 2];
+    const e2x = positions[c] - positions[a], e2y = positions[c + 1] - positions[a + 1], e2z = positions[c + 2] - positions[a + 2];
+    const n = faceNormalIndices[f] * 3;
+    const dot = normals[n] * (e1y * e2z - e1z * e2y) + normals[n + 1] * (e1z * e2x - e1x * e2z) + normals[n + 2] * (e1x * e2y - e1y * e2x);
+    if (dot < 0) mark(f, DEFECTS.FLIPPED_NORMAL);
+  }
+
+  const vertices = [];
+  const kinds = [];
+  for (const edge of analyzeEdges(indices, mesh.vertexCount).values()) {
+    if (isInconsistent(edge)) {
+      edge.faces.forEach(f => mark(f, DEFECTS.INCONSISTENT));
+    } else if (edge.count !== 2) {
+      vertices.push(edge.a, edge.b);
+      kinds.push(edge.count === 1 ? DEFECTS.OPEN_EDGE : DEFECTS.NON_MANIFOLD_EDGE);
+    }
+  }
+  return { faceDefects, edges: { count: kinds.length, vertices: Uint32Array.from(vertices), kinds: Uint8Array.from(kinds) } };
+}
+
+/**
+ * Measure and check triangles as loaded from a model file. Returns a plain object (ready for
+ * JSON) with the original bounding box, surface area, signed volume, centroid, facet problem
+ * counts, edge checks and a units guess. Lengths are in file units.
+ */
+function inspectMesh(triangles, { weldTolerance = DEFAULT_WELD_TOLERANCE } = {}) {
+  const { min, max } = computeBounds(triangles);
+  const bounds = { min, max, size: max.subtract(min) };
+  const diagonal = bounds.size.length();
+  const degenerateArea = DEGENERATE_AREA * diagonal * diagonal;
+
+  let area = 0;
+  let volume = 0;
+  let flippedNormals = 0;
+  const degenerate = new Set();
+  const areaMoment = new Vector3();
+  const volumeMoment = new Vector3();
+  triangles.forEach((t, i) => {
+    const cross = t.v2.subtract(t.v1).cross(t.v3.subtract(t.v1));
+    const faceArea = cross.length() / 2;
+    if (faceArea <= degenerateArea) {
+      degenerate.add(i);
+      return;
+    }
+    area += faceArea;
+    const sum = t.v1.add(t.v2).add(t.v3);
+    areaMoment.x += sum.x * faceArea / 3;
+    areaMoment.y += sum.y * faceArea / 3;
+    areaMoment.z += sum.z * faceArea / 3;
+
+    // Signed volume of the tetrahedron from the origin; the sum is the enclosed volume
+    const tetra = t.v1.dot(t.v2.cross(t.v3)) / 6;
+    volume += tetra;
+    volumeMoment.x += sum.x * tetra / 4;
+    volumeMoment.y += sum.y * tetra / 4;
+    volumeMoment.z += sum.z * tetra / 4;
+
+    // The stored normal points against the winding order
+    if (t.normal.dot(cross) < 0) flippedNormals++;
+  });
+
+  const mesh = weldVertices(triangles, weldTolerance);
+  // Welding drops facets whose corners merge; those are degenerate too
+  const kept = new Set(mesh.faceSource);
+  triangles.forEach((_, i) => {
+    if (!kept.has(i)) degenerate.add(i);
+  });
+  const faceIndices = mesh.faces.flat();
+  const edges = summarizeEdges(analyzeEdges(faceIndices, mesh.positions.length));
+  const watertight = mesh.faces.length > 0 && edges.open === 0 && edges.nonManifold === 0;
+
+  // The volume centroid only means something for a closed surface; otherwise use the surface's
+  const useVolume = watertight && Math.abs(volume) > degenerateArea * diagonal;
+  const centroid = useVolume ? volumeMoment.multiply(1 / volume) : area > 0 ? areaMoment.multiply(1 / area) : bounds.min.add(bounds.size.multiply(0.5));
+
+  return {
+    triangles: triangles.length,
+    vertices: mesh.positions.length,
+    boundingBox: bounds,
+    surfaceArea: area,
+    volume,
+    centroid,
+    centroidOf: useVolume ? 'volume' : 'surface',
+    facets: {
+      degenerate: degenerate.size,
+      duplicate: findDuplicateFaces(faceIndices).length,
+      flippedNormals
+    },
+    edges,
+    watertight,
+    manifold: edges.nonManifold === 0,
+    // Closed and consistently wound, but enclosing negative volume: every facet faces inward
+    insideOut: watertight && edges.inconsistent === 0 && volume < 0,
+    units: guessUnits(Math.max(bounds.size.x, bounds.size.y, bounds.size.z))
+  };
+}
+
+module.exports = { DEFECTS, inspectMesh, findDefects, guessUnits };
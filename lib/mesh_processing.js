@@ -0,0 +1,343 @@
+/**
+ * Mesh preprocessing: vertex welding into an indexed mesh, crease-aware normal smoothing
+ * and quadric edge-collapse decimation.
+ *
+ * An indexed mesh is { positions: Vector3[], faces: [a, b, c][], faceSource: number[] | null },
+ * where faceSource maps each face back to the input triangle it came from (null once the
+ * topology has been changed by decimation).
+ */
+
+const { Vector3, Triangle } = require('./geometry');
+
+const DEFAULT_WELD_TOLERANCE = 1e-5;
+const DEFAULT_CREASE_ANGLE = 60; // degrees; faces meeting at a sharper angle keep a hard edge
+
+// Merge vertices closer than `tolerance` (model units). Faces that collapse are dropped.
+function weldVertices(triangles, tolerance = DEFAULT_WELD_TOLERANCE) {
+  const positions = [];
+  const faces = [];
+  const faceSource = [];
+  const grid = new Map(); // cell key -> indices of welded vertices in that cell
+  // Cells twice the tolerance wide: a tolerance box then touches at most 2 cells per axis
+  const cellSize = tolerance > 0 ? tolerance * 2 : 0;
+  const cellOf = value => (cellSize > 0 ? Math.floor(value / cellSize) : value);
+
+  function indexOf(v) {
+    if (cellSize === 0) {
+      const key = `${v.x},${v.y},${v.z}`;
+      const existing = grid.get(key);
+      if (existing) return existing[0];
+      grid.set(key, [positions.length]);
+      positions.push(v);
+      return positions.length - 1;
+    }
+
+    const x0 = cellOf(v.x - tolerance), x1 = cellOf(v.x + tolerance);
+    const y0 = cellOf(v.y - tolerance), y1 = cellOf(v.y + tolerance);
+    const z0 = cellOf(v.z - tolerance), z1 = cellOf(v.z + tolerance);
+    const toleranceSq = tolerance * tolerance;
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let z = z0; z <= z1; z++) {
+          const bucket = grid.get(`${x},${y},${z}`);
+          if (!bucket) continue;
+          for (const index of bucket) {
+            const p = positions[index];
+            const dx = p.x - v.x, dy = p.y - v.y, dz = p.z - v.z;
+            if (dx * dx + dy * dy + dz * dz <= toleranceSq) return index;
+          }
+        }
+      }
+    }
+
+    const key = `${cellOf(v.x)},${cellOf(v.y)},${cellOf(v.z)}`;
+    const bucket = grid.get(key);
+    if (bucket) bucket.push(positions.length);
+    else grid.set(key, [positions.length]);
+    positions.push(v);
+    return positions.length - 1;
+  }
+
+  triangles.forEach((t, i) => {
+    const a = indexOf(t.v1);
+    const b = indexOf(t.v2);
+    const c = indexOf(t.v3);
+    if (a === b || b === c || a === c) return;
+    faces.push([a, b, c]);
+    faceSource.push(i);
+  });
+
+  return { positions, faces, faceSource };
+}
+
+// Unnormalized face normal: its length is twice the face area
+function faceCross(positions, [a, b, c]) {
+  return positions[b].subtract(positions[a]).cross(positions[c].subtract(positions[a]));
+}
+
+function computeFaceNormals(mesh) {
+  return mesh.faces.map(face => faceCross(mesh.positions, face).normalize());
+}
+
+function buildVertexFaces(mesh) {
+  const vertexFaces = Array.from(mesh.positions, () => []);
+  mesh.faces.forEach((face, f) => face.forEach(v => vertexFaces[v].push(f)));
+  return vertexFaces;
+}
+
+/**
+ * Per-corner normals: each corner averages the normals of the faces around its vertex that
+ * are within `creaseAngle` degrees of its own face, so hard edges stay sharp while curved
+ * surfaces shade smoothly. 180 smooths everything (the old behaviour).
+ * Returns an array of [n0, n1, n2] per face.
+ */
+function computeVertexNormals(mesh, creaseAngle = DEFAULT_CREASE_ANGLE, faceNormals = computeFaceNormals(mesh)) {
+  const cosCrease = Math.cos(Math.min(180, Math.max(0, creaseAngle)) * Math.PI / 180);
+  const vertexFaces = buildVertexFaces(mesh);
+
+  return mesh.faces.map((face, f) => face.map(v => {
+    const own = faceNormals[f];
+    let sum = new Vector3();
+    vertexFaces[v].forEach(g => {
+      if (g === f || own.dot(faceNormals[g]) >= cosCrease - 1e-9) sum = sum.add(faceNormals[g]);
+    });
+    const normal = sum.normalize();
+    return normal.length() > 0 ? normal : own;
+  }));
+}
+
+// Symmetric 4x4 quadric stored as its 10 upper-triangle entries
+function planeQuadric(n, d, weight) {
+  const { x: a, y: b, z: c } = n;
+  return [
+    a * a * weight, a * b * weight, a * c * weight, a * d * weight,
+    b * b * weight, b * c * weight, b * d * weight,
+    c * c * weight, c * d * weight,
+    d * d * weight
+  ];
+}
+
+function addQuadric(q, r) {
+  for (let i = 0; i < 10; i++) q[i] += r[i];
+  return q;
+}
+
+function quadricError(q, v) {
+  const { x, y, z } = v;
+  return q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x
+    + q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y
+    + q[7] * z * z + 2 * q[8] * z
+    + q[9];
+}
+
+// Minimal binary heap keyed on `cost`
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= item.cost) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = item;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        if (left >= items.length) break;
+        const right = left + 1;
+        const child = right < items.length && items[right].cost < items[left].cost ? right : left;
+        if (items[child].cost >= last.cost) break;
+        items[i] = items[child];
+        i = child;
+      }
+      items[i] = last;
+    }
+    return top;
+  }
+}
+
+/**
+ * Quadric error metric edge-collapse decimation (Garland & Heckbert) down to roughly
+ * `targetFaces` faces. Each collapse moves the surviving vertex to the cheapest of the edge's
+ * endpoints and midpoint, and collapses that would flip a neighbouring face are skipped.
+ * Returns a new indexed mesh; the input is not modified.
+ */
+function decimate(mesh, targetFaces) {
+  const positions = mesh.positions.slice();
+  const faces = mesh.faces.map(face => face.slice());
+  if (faces.length <= targetFaces) return { positions, faces, faceSource: mesh.faceSource };
+
+  const faceAlive = new Array(faces.length).fill(true);
+  const vertexFaces = buildVertexFaces({ positions, faces }).map(list => new Set(list));
+  const version = new Array(positions.length).fill(0);
+  const alive = new Array(positions.length).fill(true);
+
+  const quadrics = Array.from(positions, () => new Array(10).fill(0));
+  faces.forEach(face => {
+    const cross = faceCross(positions, face);
+    const area = cross.length() / 2;
+    if (area === 0) return;
+    const n = cross.normalize();
+    const q = planeQuadric(n, -n.dot(positions[face[0]]), area);
+    face.forEach(v => addQuadric(quadrics[v], q));
+  });
+
+  const heap = new MinHeap();
+  function pushEdge(a, b) {
+    const q = addQuadric(quadrics[a].slice(), quadrics[b]);
+    const candidates = [positions[a], positions[b], positions[a].add(positions[b]).multiply(0.5)];
+    let best = candidates[0];
+    let cost = Infinity;
+    candidates.forEach(p => {
+      const error = quadricError(q, p);
+      if (error < cost) {
+        cost = error;
+        best = p;
+      }
+    });
+    heap.push({ cost, a, b, target: best, va: version[a], vb: version[b] });
+  }
+
+  const seen = new Set();
+  faces.forEach(face => {
+    for (let i = 0; i < 3; i++) {
+      const a = Math.min(face[i], face[(i + 1) % 3]);
+      const b = Math.max(face[i], face[(i + 1) % 3]);
+      const key = a * positions.length + b;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      pushEdge(a, b);
+    }
+  });
+
+  // Would moving the merged vertex to `target` flip any face that survives the collapse?
+  function flips(keep, remove, target) {
+    for (const v of [keep, remove]) {
+      for (const f of vertexFaces[v]) {
+        const face = faces[f];
+        if (face.includes(keep) && face.includes(remove)) continue; // removed by the collapse
+        const before = faceCross(positions, face);
+        const moved = face.map(i => (i === keep || i === remove ? target : positions[i]));
+        const after = moved[1].subtract(moved[0]).cross(moved[2].subtract(moved[0]));
+        if (before.normalize().dot(after.normalize()) < 0.2) return true;
+      }
+    }
+    return false;
+  }
+
+  let faceCount = faces.length;
+  while (faceCount > targetFaces && heap.size > 0) {
+    const { a, b, target, va, vb } = heap.pop();
+    if (!alive[a] || !alive[b] || version[a] !== va || version[b] !== vb) continue; // stale entry
+    if (flips(a, b, target)) continue;
+
+    // Merge b into a
+    positions[a] = target;
+    addQuadric(quadrics[a], quadrics[b]);
+    alive[b] = false;
+    version[a]++;
+    for (const f of vertexFaces[b]) {
+      const face = faces[f];
+      if (face.includes(a)) {
+        faceAlive[f] = false;
+        faceCount--;
+        face.forEach(v => {
+          if (v !== b) vertexFaces[v].delete(f);
+        });
+      } else {
+        face[face.indexOf(b)] = a;
+        vertexFaces[a].add(f);
+      }
+    }
+    vertexFaces[b].clear();
+
+    const neighbours = new Set();
+    vertexFaces[a].forEach(f => faces[f].forEach(v => {
+      if (v !== a) neighbours.add(v);
+    }));
+    neighbours.forEach(v => {
+      version[v]++;
+      pushEdge(Math.min(a, v), Math.max(a, v));
+    });
+  }
+
+  // Compact into a fresh indexed mesh
+  const remap = new Array(positions.length).fill(-1);
+  const compactPositions = [];
+  const compactFaces = [];
+  faces.forEach((face, f) => {
+    if (!faceAlive[f]) return;
+    compactFaces.push(face.map(v => {
+      if (remap[v] === -1) {
+        remap[v] = compactPositions.length;
+        compactPositions.push(positions[v]);
+      }
+      return remap[v];
+    }));
+  });
+  return { positions: compactPositions, faces: compactFaces, faceSource: null };
+}
+
+/**
+ * Run the whole preprocessing chain and return render-ready Triangles with per-vertex
+ * normals. Normals supplied by the file (vn1..vn3) are kept unless decimation changed the mesh.
+ */
+function processMesh(triangles, {
+  weldTolerance = DEFAULT_WELD_TOLERANCE,
+  creaseAngle = DEFAULT_CREASE_ANGLE,
+  targetTriangles = null
+} = {}) {
+  let mesh = weldVertices(triangles, weldTolerance);
+  if (targetTriangles && mesh.faces.length > targetTriangles) {
+    mesh = decimate(mesh, targetTriangles);
+  }
+
+  const computedNormals = computeFaceNormals(mesh);
+  // Shading and culling follow the stored facet normal when the face maps back to the input
+  const faceNormals = mesh.faceSource
+    ? mesh.faceSource.map((source, f) => (triangles[source].normal.length() > 0 ? triangles[source].normal : computedNormals[f]))
+    : computedNormals;
+  const cornerNormals = computeVertexNormals(mesh, creaseAngle, faceNormals);
+
+  return mesh.faces.map((face, f) => {
+    const [a, b, c] = face;
+    const source = mesh.faceSource ? triangles[mesh.faceSource[f]] : null;
+    const triangle = new Triangle(mesh.positions[a], mesh.positions[b], mesh.positions[c], faceNormals[f]);
+    if (source && source.vn1 && source.vn2 && source.vn3) {
+      triangle.vn1 = source.vn1;
+      triangle.vn2 = source.vn2;
+      triangle.vn3 = source.vn3;
+    } else {
+      [triangle.vn1, triangle.vn2, triangle.vn3] = cornerNormals[f];
+    }
+    return triangle;
+  });
+}
+
+module.exports = {
+  DEFAULT_WELD_TOLERANCE,
+  DEFAULT_CREASE_ANGLE,
+  weldVertices,
+  computeFaceNormals,
+  computeVertexNormals,
+  decimate,
+  processMesh
+};
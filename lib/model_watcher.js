@@ -0,0 +1,76 @@
+/**
+ * Watch mode: reload model files when they change on disk, e.g. each time a CAD tool re-exports
+ * an STL. Files are polled rather than watched with fs.watch, which loses track of a file that
+ * an exporter replaces by renaming a new one over it.
+ */
+
+const fs = require('fs');
+
+// Parser warnings that mean the file ends early, most likely because it is still being written
+const INCOMPLETE_WARNINGS = ['count-mismatch', 'missing-endsolid'];
+
+class ModelWatcher {
+  /**
+   * files: model paths in scene order, with `models` holding the triangles already loaded from
+   * each. load(file, { onWarning }) parses one file (loadMesh). A changed file is parsed once its
+   * size and time have held still for `settleMs`; onReload(models, file) then gets the full list,
+   * or onError(error, file) gets why it could not be used (also when onReload throws), while the
+   * last good models stay.
+   */
+  constructor({ files, models, load, onReload, onError, interval = 250, settleMs = 300 }) {
+    this.files = files;
+    this.models = models.slice();
+    this.load = load;
+    this.onReload = onReload;
+    this.onError = onError;
+    this.interval = interval;
+    this.settleMs = settleMs;
+    this.timers = new Map();
+    this.listeners = new Map();
+  }
+
+  start() {
+    this.files.forEach((file, index) => {
+      const listener = () => this.changed(index);
+      this.listeners.set(file, listener);
+      fs.watchFile(file, { interval: this.interval }, listener);
+    });
+  }
+
+  stop() {
+    this.listeners.forEach((listener, file) => fs.unwatchFile(file, listener));
+    this.listeners.clear();
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  // Every write restarts the wait, so a file is parsed once, after the exporter is done with it
+  changed(index) {
+    clearTimeout(this.timers.get(index));
+    this.timers.set(index, setTimeout(() => {
+      this.timers.delete(index);
+      this.reload(index);
+    }, this.settleMs));
+  }
+
+  reload(index) {
+    const file = this.files[index];
+    try {
+      const incomplete = [];
+      const models = this.models.slice();
+      models[index] = this.load(file, {
+        onWarning: warning => {
+          if (INCOMPLETE_WARNINGS.includes(warning.code)) incomplete.push(warning.message);
+        }
+      });
+      if (incomplete.length) throw new Error(`file looks partly written: ${incomplete[0]}`);
+      // Kept only once the scene took them
+      this.onReload(models, file);
+      this.models = models;
+    } catch (error) {
+      this.onError(error, file);
+    }
+  }
+}
+
+module.exports = { ModelWatcher };
@@ -0,0 +1,244 @@
+/**
+ * Brightness ramps: the glyphs the ascii renderer steps through from dark to bright.
+ *
+ * Besides the built-in named ramps, a ramp can be calibrated against a bitmap font (BDF or
+ * PSF): every candidate glyph's ink coverage is measured, the glyphs are sorted by it, and
+ * evenly spaced coverage levels are picked so each step adds about the same amount of ink in
+ * the font the terminal actually uses.
+ */
+
+const fs = require('fs');
+
+// Darkest to brightest; "standard" is the original hand-picked ramp
+const RAMPS = {
+  standard: ' .:-+*=%@#',
+  short: ' .:-=+*#%@',
+  long: ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$',
+  blocks: ' ░▒▓█'
+};
+// "custom" takes the glyphs from --chars
+const RAMP_NAMES = [...Object.keys(RAMPS), 'custom'];
+
+const PSF1_MAGIC = 0x0436;
+const PSF2_MAGIC = 0x864ab572;
+const PSF1_MODE512 = 0x01;
+const PSF1_MODEHASTAB = 0x02;
+const PSF1_MODESEQ = 0x04;
+const PSF2_HAS_UNICODE_TABLE = 0x01;
+
+function countBits(byte) {
+  let count = 0;
+  for (; byte; byte &= byte - 1) count++;
+  return count;
+}
+
+/**
+ * Parse a BDF font into { format, width, height, glyphs }, where glyphs maps each encoded
+ * character to its number of inked pixels and width x height is the font's bounding box.
+ */
+function parseBDF(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^STARTFONT\b/.test(lines[0] || '')) throw new Error('Not a BDF font (missing STARTFONT)');
+
+  const font = { format: 'bdf', width: 0, height: 0, glyphs: new Map() };
+  let glyph = null;
+  for (let i = 0; i < lines.length; i++) {
+    const [keyword, ...args] = lines[i].trim().split(/\s+/);
+    if (keyword === 'FONTBOUNDINGBOX') {
+      font.width = Number(args[0]);
+      font.height = Number(args[1]);
+    } else if (keyword === 'STARTCHAR') {
+      glyph = { code: -1, width: font.width, height: 0 };
+    } else if (keyword === 'ENCODING' && glyph) {
+      glyph.code = Number(args[0]);
+    } else if (keyword === 'BBX' && glyph) {
+      glyph.width = Number(args[0]);
+      glyph.height = Number(args[1]);
+    } else if (keyword === 'BITMAP' && glyph) {
+      let ink = 0;
+      for (let row = 0; row < glyph.height; row++) {
+        const hex = (lines[++i] || '').trim();
+        // Rows are padded to whole bytes; only the first `width` bits are pixels
+        for (let digit = 0; digit < hex.length && digit * 4 < glyph.width; digit++) {
+          const bits = parseInt(hex[digit], 16);
+          if (Number.isNaN(bits)) throw new Error(`Invalid BDF bitmap row "${hex}" on line ${i + 1}`);
+          const valid = Math.min(4, glyph.width - digit * 4);
+          ink += countBits(bits >> (4 - valid));
+        }
+      }
+      if (glyph.code >= 0) font.glyphs.set(String.fromCodePoint(glyph.code), ink);
+      glyph = null;
+    }
+  }
+  if (!(font.width > 0 && font.height > 0)) throw new Error('BDF font has no FONTBOUNDINGBOX');
+  return font;
+}
+
+// Inked pixels of one PSF glyph bitmap (rows padded to whole bytes)
+function psfGlyphInk(data, offset, width, height) {
+  const rowBytes = Math.ceil(width / 8);
+  let ink = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[offset + y * rowBytes + (x >> 3)] & (0x80 >> (x & 7))) ink++;
+    }
+  }
+  return ink;
+}
+
+/**
+ * Parse a PC Screen Font (PSF1 or PSF2, as used by the Linux console) into the same shape as
+ * parseBDF. Fonts without a Unicode table map glyph n to code point n.
+ */
+function parsePSF(data) {
+  let width, height, count, charSize, glyphOffset, tableOffset = -1, psf2;
+  if (data.length >= 4 && data.readUInt16LE(0) === PSF1_MAGIC) {
+    const mode = data[2];
+    psf2 = false;
+    width = 8;
+    height = charSize = data[3];
+    count = mode & PSF1_MODE512 ? 512 : 256;
+    glyphOffset = 4;
+    if (mode & (PSF1_MODEHASTAB | PSF1_MODESEQ)) tableOffset = glyphOffset + count * charSize;
+  } else if (data.length >= 32 && data.readUInt32LE(0) === PSF2_MAGIC) {
+    psf2 = true;
+    glyphOffset = data.readUInt32LE(8);
+    const flags = data.readUInt32LE(12);
+    count = data.readUInt32LE(16);
+    charSize = data.readUInt32LE(20);
+    height = data.readUInt32LE(24);
+    width = data.readUInt32LE(28);
+    if (flags & PSF2_HAS_UNICODE_TABLE) tableOffset = glyphOffset + count * charSize;
+  } else {
+    throw new Error('Not a PSF font (bad magic)');
+  }
+  if (glyphOffset + count * charSize > data.length) throw new Error('PSF font is truncated');
+
+  const font = { format: psf2 ? 'psf2' : 'psf1', width, height, glyphs: new Map() };
+  const inkOf = index => psfGlyphInk(data, glyphOffset + index * charSize, width, height);
+  if (tableOffset === -1) {
+    for (let index = 0; index < count; index++) font.glyphs.set(String.fromCodePoint(index), inkOf(index));
+    return font;
+  }
+
+  // One entry per glyph: its code points, then optional combining sequences, then a terminator.
+  // Sequences are skipped since the renderer only draws single characters.
+  let pos = tableOffset;
+  for (let index = 0; index < count && pos < data.length; index++) {
+    const ink = inkOf(index);
+    if (psf2) {
+      const start = pos;
+      while (pos < data.length && data[pos] !== 0xfe && data[pos] !== 0xff) pos++;
+      for (const ch of data.toString('utf8', start, pos)) {
+        if (!font.glyphs.has(ch)) font.glyphs.set(ch, ink);
+      }
+      while (pos < data.length && data[pos] !== 0xff) pos++;
+      pos++;
+    } else {
+      let inSequence = false;
+      for (; pos + 1 < data.length; pos += 2) {
+        const value = data.readUInt16LE(pos);
+        if (value === 0xffff) break;
+        if (value === 0xfffe) inSequence = true;
+        else if (!inSequence && !font.glyphs.has(String.fromCharCode(value))) font.glyphs.set(String.fromCharCode(value), ink);
+      }
+      pos += 2;
+    }
+  }
+  return font;
+}
+
+// Read a BDF or PSF font file, telling the formats apart by their magic bytes
+function loadBitmapFont(filePath) {
+  const data = fs.readFileSync(filePath);
+  if (data.length >= 4 && (data.readUInt16LE(0) === PSF1_MAGIC || data.readUInt32LE(0) === PSF2_MAGIC)) {
+    return parsePSF(data);
+  }
+  return parseBDF(data.toString('latin1'));
+}
+
+/**
+ * Ink coverage (0..1 of the font's cell) of each character in `chars`. Characters the font
+ * has no glyph for are listed in `missing`; space always counts as empty.
+ */
+function measureCoverage(font, chars) {
+  const area = font.width * font.height;
+  const coverage = new Map();
+  const missing = [];
+  for (const ch of chars) {
+    if (coverage.has(ch)) continue;
+    if (font.glyphs.has(ch)) coverage.set(ch, Math.min(1, font.glyphs.get(ch) / area));
+    else if (ch === ' ') coverage.set(ch, 0);
+    else missing.push(ch);
+  }
+  return { coverage, missing };
+}
+
+/**
+ * Sort characters by measured coverage and pick `levels` of them whose coverage is as close as
+ * possible to evenly spaced steps between the emptiest and the densest glyph.
+ * Returns { chars, coverage } with coverage[i] belonging to chars[i].
+ */
+function calibrateRamp(coverage, levels = coverage.size) {
+  // Stable sort, so glyphs with equal coverage keep their ramp order
+  const sorted = [...coverage].sort((a, b) => a[1] - b[1]);
+  if (sorted.length < 2) throw new Error('Need at least two glyphs to calibrate a ramp');
+  const count = Math.min(Math.max(2, levels), sorted.length);
+
+  const picked = [];
+  const low = sorted[0][1];
+  const high = sorted[sorted.length - 1][1];
+  let next = 0;
+  for (let level = 0; level < count; level++) {
+    const target = low + (high - low) * level / (count - 1);
+    // Leave enough glyphs for the remaining levels so every level gets a distinct glyph
+    const last = sorted.length - (count - level);
+    let best = next;
+    for (let i = next + 1; i <= last; i++) {
+      if (Math.abs(sorted[i][1] - target) < Math.abs(sorted[best][1] - target)) best = i;
+    }
+    picked.push(sorted[best]);
+    next = best + 1;
+  }
+  return {
+    chars: picked.map(([ch]) => ch).join(''),
+    coverage: picked.map(([, value]) => value)
+  };
+}
+
+/**
+ * The ramp a set of options asks for: --chars (custom) or a named ramp, calibrated against
+ * --font when one is given. Returns { name, chars, coverage, missing, font }; coverage and
+ * font are null without a font.
+ */
+function resolveRamp({ ramp = 'standard', chars = null, font = null, rampLevels = null } = {}) {
+  const name = chars ? 'custom' : ramp;
+  if (name === 'custom' && !chars) throw new Error('--ramp custom needs the glyphs in --chars');
+  if (!RAMPS[name] && name !== 'custom') throw new Error(`Unknown ramp "${name}", expected one of: ${RAMP_NAMES.join(', ')}`);
+  const candidates = chars || RAMPS[name];
+
+  if (!font) {
+    return { name, chars: candidates, coverage: null, missing: [], font: null };
+  }
+
+  let bitmapFont;
+  try {
+    bitmapFont = loadBitmapFont(font);
+  } catch (err) {
+    throw new Error(`Cannot use font ${font}: ${err.message}`);
+  }
+  const { coverage, missing } = measureCoverage(bitmapFont, candidates);
+  const calibrated = calibrateRamp(coverage, rampLevels || coverage.size);
+  return { name, chars: calibrated.chars, coverage: calibrated.coverage, missing, font: bitmapFont };
+}
+
+module.exports = {
+  RAMPS,
+  RAMP_NAMES,
+  parseBDF,
+  parsePSF,
+  loadBitmapFont,
+  measureCoverage,
+  calibrateRamp,
+  resolveRamp
+};
@@ -0,0 +1,129 @@
+/**
+ * Packed, indexed mesh for the render hot path
+ * Positions and normals live in Float32Arrays with shared entries deduplicated, so each frame
+ * transforms every distinct vertex and normal once instead of once per triangle corner.
+ */
+
+class RenderMesh {
+  constructor({ positions, normals, indices, faceNormalIndices, cornerNormalIndices }) {
+    this.positions = positions; // Float32Array, xyz per vertex
+    this.normals = normals; // Float32Array, xyz per distinct normal (face and corner normals share the table)
+    this.indices = indices; // Uint32Array, 3 vertex indices per face
+    this.faceNormalIndices = faceNormalIndices; // Uint32Array, 1 per face
+    this.cornerNormalIndices = cornerNormalIndices; // Uint32Array, 3 per face
+
+    this.vertexCount = positions.length / 3;
+    this.normalCount = normals.length / 3;
+    this.faceCount = indices.length / 3;
+
+    // Per-frame working buffers, allocated once per mesh
+    this.viewPositions = new Float64Array(positions.length);
+    this.screenPositions = new Float64Array(positions.length); // pixel x, pixel y, view z
+    this.viewNormals = new Float64Array(normals.length);
+    this.frontFacing = new Uint8Array(this.faceCount); // 1 where the face was facing the camera
+
+    this.edgeCache = null;
+  }
+
+  /**
+   * Every distinct edge with the faces on either side, for outline rendering. An edge is a
+   * feature when its faces meet at more than `creaseAngle` degrees, or when it has only one
+   * face (an open boundary) or more than two (non-manifold). Cached until the angle changes.
+   * Returns { count, vertices: [a, b per edge], faces: [f0, f1 per edge, -1 when missing], feature }.
+   */
+  featureEdges(creaseAngle) {
+    if (this.edgeCache && this.edgeCache.creaseAngle === creaseAngle) return this.edgeCache;
+
+    const { indices, normals, faceNormalIndices, vertexCount } = this;
+    const edgeIndex = new Map();
+    const vertices = [];
+    const faces = [];
+    const faceCounts = [];
+    for (let f = 0; f < this.faceCount; f++) {
+      for (let k = 0; k < 3; k++) {
+        const a = indices[f * 3 + k], b = indices[f * 3 + (k + 1) % 3];
+        const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+        let e = edgeIndex.get(key);
+        if (e === undefined) {
+          e = faceCounts.length;
+          edgeIndex.set(key, e);
+          vertices.push(a, b);
+          faces.push(f, -1);
+          faceCounts.push(1);
+        } else {
+          if (faceCounts[e] === 1) faces[e * 2 + 1] = f;
+          faceCounts[e]++;
+        }
+      }
+    }
+
+    const count = faceCounts.length;
+    const feature = new Uint8Array(count);
+    const cosLimit = Math.cos(creaseAngle * Math.PI / 180);
+    for (let e = 0; e < count; e++) {
+      if (faceCounts[e] !== 2) {
+        feature[e] = 1;
+        continue;
+      }
+      const n0 = faceNormalIndices[faces[e * 2]] * 3, n1 = faceNormalIndices[faces[e * 2 + 1]] * 3;
+      const dot = normals[n0] * normals[n1] + normals[n0 + 1] * normals[n1 + 1] + normals[n0 + 2] * normals[n1 + 2];
+      const lengths = Math.hypot(normals[n0], normals[n0 + 1], normals[n0 + 2]) * Math.hypot(normals[n1], normals[n1 + 1], normals[n1 + 2]);
+      if (dot < cosLimit * lengths) feature[e] = 1;
+    }
+
+    this.edgeCache = {
+      creaseAngle,
+      count,
+      vertices: Uint32Array.from(vertices),
+      faces: Int32Array.from(faces),
+      feature
+    };
+    return this.edgeCache;
+  }
+
+  // Pack Triangles (with optional vn1..vn3 corner normals) into typed arrays
+  static fromTriangles(triangles) {
+    const positionIndex = new Map();
+    const normalIndex = new Map();
+    const positions = [];
+    const normals = [];
+
+    const intern = (v, map, list) => {
+      // Key on the float32 values actually stored so equal entries always collapse
+      const x = Math.fround(v.x), y = Math.fround(v.y), z = Math.fround(v.z);
+      const key = `${x},${y},${z}`;
+      let index = map.get(key);
+      if (index === undefined) {
+        index = list.length / 3;
+        list.push(x, y, z);
+        map.set(key, index);
+      }
+      return index;
+    };
+
+    const faceCount = triangles.length;
+    const indices = new Uint32Array(faceCount * 3);
+    const faceNormalIndices = new Uint32Array(faceCount);
+    const cornerNormalIndices = new Uint32Array(faceCount * 3);
+
+    triangles.forEach((t, f) => {
+      indices[f * 3] = intern(t.v1, positionIndex, positions);
+      indices[f * 3 + 1] = intern(t.v2, positionIndex, positions);
+      indices[f * 3 + 2] = intern(t.v3, positionIndex, positions);
+      faceNormalIndices[f] = intern(t.normal, normalIndex, normals);
+      cornerNormalIndices[f * 3] = intern(t.vn1 || t.normal, normalIndex, normals);
+      cornerNormalIndices[f * 3 + 1] = intern(t.vn2 || t.normal, normalIndex, normals);
+      cornerNormalIndices[f * 3 + 2] = intern(t.vn3 || t.normal, normalIndex, normals);
+    });
+
+    return new RenderMesh({
+      positions: Float32Array.from(positions),
+      normals: Float32Array.from(normals),
+      indices,
+      faceNormalIndices,
+      cornerNormalIndices
+    });
+  }
+}
+
+module.exports = { RenderMesh };
@@ -0,0 +1,88 @@
+/**
+ * Several models in one scene: per-model placement transforms, applied to the triangles as
+ * loaded before the scene is centered and scaled.
+ *
+ * A transform scales first, then rotates around the file origin, then moves, all in file units,
+ * so parts exported in one coordinate system can be put back together as an assembly.
+ */
+
+const { Vector3, Triangle, createRotationMatrix } = require('./geometry');
+
+// Number of values each transform piece takes
+const TRANSFORM_PIECES = { move: [3], rotate: [3], scale: [1, 3] };
+const TRANSFORM_PIECE_PATTERN = /^([a-z]+):(.+)$/i;
+
+// Check one transform's pieces; returns { move, rotate, scale } with three numbers each, or null
+function normalizeTransform(transform) {
+  if (!transform || typeof transform !== 'object') throw new Error('each transform must be an object');
+  const result = { move: [0, 0, 0], rotate: [0, 0, 0], scale: [1, 1, 1] };
+  let empty = true;
+  for (const [key, value] of Object.entries(transform)) {
+    const counts = TRANSFORM_PIECES[key];
+    if (!counts) throw new Error(`unknown transform "${key}", expected move, rotate or scale`);
+    const values = [].concat(value).map(Number);
+    if (!counts.includes(values.length) || !values.every(Number.isFinite)) {
+      throw new Error(`${key} expects ${counts.join(' or ')} numbers, got "${[].concat(value).join(',')}"`);
+    }
+    if (key === 'scale' && values.includes(0)) throw new Error('scale must not be 0');
+    result[key] = values.length === 1 ? [values[0], values[0], values[0]] : values;
+    empty = false;
+  }
+  return empty ? null : result;
+}
+
+/**
+ * Per-model transforms in file order. A string holds one entry per model separated by ";",
+ * each made of move:x,y,z, rotate:x,y,z (degrees) and scale:s or scale:x,y,z pieces; an empty
+ * entry leaves its model in place. Arrays of { move, rotate, scale } objects (or null) work too.
+ * Returns a transform or null per model. Throws on malformed input.
+ */
+function parseTransforms(value) {
+  if (value == null || value === '') return [];
+  let transforms;
+  if (typeof value === 'string') {
+    transforms = value.split(';').map(entry => {
+      const transform = {};
+      for (const piece of entry.trim().split(/\s+/).filter(Boolean)) {
+        const match = TRANSFORM_PIECE_PATTERN.exec(piece);
+        if (!match) throw new Error(`invalid transform "${piece}", expected move:x,y,z, rotate:x,y,z or scale:s`);
+        transform[match[1].toLowerCase()] = match[2].split(',');
+      }
+      return normalizeTransform(transform);
+    });
+  } else if (Array.isArray(value)) {
+    transforms = value.map(transform => (transform == null ? null : normalizeTransform(transform)));
+  } else {
+    throw new Error('transforms must be a spec string or an array of transform objects');
+  }
+  // A trailing ";" does not add a model
+  while (transforms.length && transforms[transforms.length - 1] === null) transforms.pop();
+  return transforms;
+}
+
+/**
+ * New triangles placed by `transform` (the input is returned as is for null). Stored and
+ * per-vertex normals follow the rotation and the inverse scale, so they stay perpendicular to
+ * stretched faces; a mirroring scale swaps two corners to keep the winding facing out.
+ */
+function transformTriangles(triangles, transform) {
+  if (!transform) return triangles;
+  const [sx, sy, sz] = transform.scale;
+  const [[m00, m01, m02], [m10, m11, m12], [m20, m21, m22]] = createRotationMatrix(...transform.rotate.map(deg => deg * Math.PI / 180));
+  const [mx, my, mz] = transform.move;
+  const rotate = (x, y, z) => new Vector3(m00 * x + m01 * y + m02 * z, m10 * x + m11 * y + m12 * z, m20 * x + m21 * y + m22 * z);
+  const place = v => rotate(v.x * sx, v.y * sy, v.z * sz).add(new Vector3(mx, my, mz));
+  const turn = n => n && rotate(n.x / sx, n.y / sy, n.z / sz).normalize();
+  const mirrored = sx * sy * sz < 0;
+
+  return triangles.map(t => {
+    const [c2, c3, n2, n3] = mirrored ? [t.v3, t.v2, t.vn3, t.vn2] : [t.v2, t.v3, t.vn2, t.vn3];
+    const placed = new Triangle(place(t.v1), place(c2), place(c3), turn(t.normal));
+    placed.vn1 = turn(t.vn1);
+    placed.vn2 = turn(n2);
+    placed.vn3 = turn(n3);
+    return placed;
+  });
+}
+
+module.exports = { parseTransforms, transformTriangles };
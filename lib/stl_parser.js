@@ -0,0 +1,340 @@
+/**
+ * Streaming STL parser
+ * Reads binary and ASCII STL in fixed-size chunks so large models never sit in memory twice
+ * (file buffer + decoded text). Problems are reported as STLParseError with a line number
+ * (ASCII) or byte offset (binary); recoverable issues go to an onWarning callback.
+ */
+
+const fs = require('fs');
+const { Vector3, Triangle } = require('./geometry');
+
+const CHUNK_SIZE = 1 << 20; // 1 MiB reads
+const HEADER_SIZE = 84; // 80-byte header + uint32 triangle count
+const RECORD_SIZE = 50; // 12 floats + uint16 attribute byte count
+const SNIFF_SIZE = 1024;
+// Only the first few warnings of each kind are reported individually, then a summary
+const MAX_WARNINGS_PER_KIND = 5;
+
+class STLParseError extends Error {
+  constructor(message, { line = null, offset = null } = {}) {
+    const where = line != null ? ` (line ${line})` : offset != null ? ` (byte offset ${offset})` : '';
+    super(message + where);
+    this.name = 'STLParseError';
+    this.line = line;
+    this.offset = offset;
+  }
+}
+
+// Rate-limits warnings so a broken file with millions of bad facets stays readable
+class WarningCollector {
+  constructor(onWarning) {
+    this.onWarning = onWarning || (() => {});
+    this.counts = new Map();
+  }
+
+  warn(code, message, location = {}) {
+    const count = (this.counts.get(code) || 0) + 1;
+    this.counts.set(code, count);
+    if (count <= MAX_WARNINGS_PER_KIND) {
+      const where = location.line != null ? ` (line ${location.line})` : location.offset != null ? ` (byte offset ${location.offset})` : '';
+      this.onWarning({ code, message: message + where, ...location });
+    }
+  }
+
+  flush() {
+    this.counts.forEach((count, code) => {
+      if (count > MAX_WARNINGS_PER_KIND) {
+        this.onWarning({ code, message: `${count - MAX_WARNINGS_PER_KIND} more "${code}" warnings suppressed (${count} total)` });
+      }
+    });
+  }
+}
+
+// Build a Triangle from 12 numbers (normal + 3 vertices), or return null if it must be skipped
+function buildTriangle(values, warnings, location) {
+  for (let i = 3; i < 12; i++) {
+    if (!Number.isFinite(values[i])) {
+      warnings.warn('nan-vertex', 'Skipped facet with a NaN or infinite vertex coordinate', location);
+      return null;
+    }
+  }
+  const v1 = new Vector3(values[3], values[4], values[5]);
+  const v2 = new Vector3(values[6], values[7], values[8]);
+  const v3 = new Vector3(values[9], values[10], values[11]);
+
+  // Many exporters write zero (or garbage) normals; fall back to the winding order
+  let normal = new Vector3(values[0], values[1], values[2]);
+  if (![normal.x, normal.y, normal.z].every(Number.isFinite) || normal.length() < 1e-12) {
+    normal = null;
+  }
+  const triangle = new Triangle(v1, v2, v3, normal);
+
+  if (v2.subtract(v1).cross(v3.subtract(v1)).length() < 1e-12) {
+    warnings.warn('degenerate-facet', 'Degenerate facet with zero area', location);
+  }
+  return triangle;
+}
+
+class BinarySTLReader {
+  constructor(warnings) {
+    this.warnings = warnings;
+    this.triangles = [];
+    this.header = Buffer.alloc(0);
+    this.declaredCount = null;
+    this.carry = Buffer.alloc(0); // partial record left over from the previous chunk
+    this.offset = 0; // absolute offset of the first byte in `carry`
+    this.trailingBytes = 0;
+    this.trailingOffset = null; // where the bytes past the declared facets start
+    this.skippedCount = 0; // records dropped for NaN coordinates still count towards the header total
+    this.values = new Array(12);
+  }
+
+  push(chunk) {
+    if (this.declaredCount === null) {
+      this.header = Buffer.concat([this.header, chunk]);
+      if (this.header.length < HEADER_SIZE) return;
+      this.declaredCount = this.header.readUInt32LE(80);
+      chunk = this.header.subarray(HEADER_SIZE);
+      this.header = null;
+      this.offset = HEADER_SIZE;
+    }
+
+    const data = this.carry.length ? Buffer.concat([this.carry, chunk]) : chunk;
+    let pos = 0;
+    while (pos + RECORD_SIZE <= data.length) {
+      // A count of 0 with records following is a common exporter bug: read what is there
+      if (this.declaredCount !== 0 && this.triangles.length + this.skippedCount >= this.declaredCount) {
+        if (this.trailingOffset === null) this.trailingOffset = this.offset + pos;
+        this.trailingBytes += data.length - pos;
+        this.carry = Buffer.alloc(0);
+        this.offset += data.length;
+        return;
+      }
+      for (let i = 0; i < 12; i++) {
+        this.values[i] = data.readFloatLE(pos + i * 4);
+      }
+      const triangle = buildTriangle(this.values, this.warnings, { offset: this.offset + pos });
+      if (triangle) this.triangles.push(triangle);
+      else this.skippedCount++;
+      pos += RECORD_SIZE;
+    }
+    // Copy the remainder so the (possibly large) chunk can be released
+    this.carry = Buffer.from(data.subarray(pos));
+    this.offset += pos;
+  }
+
+  finish() {
+    if (this.declaredCount === null) {
+      throw new STLParseError(`File too small to be a binary STL (${this.header.length} bytes)`);
+    }
+    const parsed = this.triangles.length + this.skippedCount;
+    const leftover = this.carry.length + this.trailingBytes;
+    if (this.declaredCount === 0 && parsed > 0) {
+      this.warnings.warn('count-mismatch', `Header declares 0 facets but the file contains ${parsed}`);
+    } else if (parsed < this.declaredCount) {
+      this.warnings.warn('count-mismatch', `Header declares ${this.declaredCount} facets but the file only contains ${parsed} (truncated?)`);
+    }
+    if (leftover > 0) {
+      this.warnings.warn('trailing-bytes', `Ignored ${leftover} trailing bytes after the last facet`, { offset: this.trailingOffset === null ? this.offset : this.trailingOffset });
+    }
+    return this.triangles;
+  }
+}
+
+// Token sequence of one facet after the "facet" keyword; null marks a number
+const FACET_PATTERN = [
+  'normal', null, null, null,
+  'outer', 'loop',
+  'vertex', null, null, null,
+  'vertex', null, null, null,
+  'vertex', null, null, null,
+  'endloop', 'endfacet'
+];
+const NUMBER_TOKEN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$|^[+-]?(nan|inf|infinity)$/i;
+
+class AsciiSTLReader {
+  constructor(warnings) {
+    this.warnings = warnings;
+    this.triangles = [];
+    this.pending = ''; // partial token at the end of the previous chunk
+    this.line = 1;
+    this.skipLine = false; // skipping the free-form name after solid/endsolid
+    this.solidOpen = false;
+    this.sawSolid = false;
+    this.patternIndex = -1; // position in FACET_PATTERN, -1 outside a facet
+    this.facetLine = 0;
+    this.values = [];
+  }
+
+  push(chunk) {
+    const text = this.pending + chunk.toString('latin1');
+    const tokenPattern = /\S+|\n/g;
+    let match;
+    let consumed = 0;
+    while ((match = tokenPattern.exec(text))) {
+      // A token touching the end of the chunk may continue in the next one
+      if (match[0] !== '\n' && match.index + match[0].length === text.length) break;
+      consumed = match.index + match[0].length;
+      if (match[0] === '\n') {
+        this.line++;
+        this.skipLine = false;
+      } else {
+        this.token(match[0]);
+      }
+    }
+    this.pending = text.slice(consumed).replace(/^[^\S\n]+/, '');
+  }
+
+  token(token) {
+    if (this.skipLine) return;
+    const keyword = token.toLowerCase();
+
+    if (this.patternIndex >= 0) {
+      const expected = FACET_PATTERN[this.patternIndex];
+      if (expected === null) {
+        if (!NUMBER_TOKEN.test(token)) {
+          throw new STLParseError(`Expected a number but found "${token}"`, { line: this.line });
+        }
+        this.values.push(Number(/^[+-]?nan$/i.test(token) ? NaN : token.replace(/inf(inity)?$/i, 'Infinity')));
+      } else if (keyword !== expected) {
+        throw new STLParseError(`Expected "${expected}" but found "${token}"`, { line: this.line });
+      }
+      this.patternIndex++;
+      if (this.patternIndex === FACET_PATTERN.length) {
+        const triangle = buildTriangle(this.values, this.warnings, { line: this.facetLine });
+        if (triangle) this.triangles.push(triangle);
+        this.patternIndex = -1;
+      }
+      return;
+    }
+
+    if (keyword === 'solid') {
+      if (this.solidOpen) {
+        this.warnings.warn('missing-endsolid', 'New "solid" started before "endsolid"', { line: this.line });
+      }
+      this.solidOpen = true;
+      this.sawSolid = true;
+      this.skipLine = true;
+    } else if (keyword === 'endsolid') {
+      this.solidOpen = false;
+      this.skipLine = true;
+    } else if (keyword === 'facet') {
+      this.patternIndex = 0;
+      this.facetLine = this.line;
+      this.values = [];
+    } else {
+      throw new STLParseError(`Unexpected "${token}" outside of a facet`, { line: this.line });
+    }
+  }
+
+  finish() {
+    if (this.pending) {
+      this.token(this.pending);
+      this.pending = '';
+    }
+    if (this.patternIndex >= 0) {
+      throw new STLParseError(`Unexpected end of file inside the facet starting at line ${this.facetLine}`, { line: this.line });
+    }
+    if (!this.sawSolid) {
+      this.warnings.warn('missing-solid', 'ASCII STL does not start with "solid"');
+    } else if (this.solidOpen) {
+      this.warnings.warn('missing-endsolid', 'File ends without "endsolid"', { line: this.line });
+    }
+    return this.triangles;
+  }
+}
+
+// ASCII STL starts with "solid", but so do many binary headers. It is ASCII when a "facet" or
+// "endsolid" keyword follows the name line, and binary when the file size (if known) fits the
+// layout of 84 + 50 * count bytes. Otherwise the content decides: text has no control bytes
+// besides whitespace, binary records nearly always do. The name may hold UTF-8 and spaces.
+function detectFormat(sample, size = null) {
+  const text = sample.toString('latin1');
+  if (!/^\s*solid\b/i.test(text)) return 'binary';
+  if (/^\s*solid\b[^\n]*\n\s*(facet|endsolid)\b/i.test(text)) return 'ascii';
+  if (size !== null && sample.length >= HEADER_SIZE && size === HEADER_SIZE + RECORD_SIZE * sample.readUInt32LE(80)) return 'binary';
+  return /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text) ? 'binary' : 'ascii';
+}
+
+function createReader(format, warnings) {
+  return format === 'ascii' ? new AsciiSTLReader(warnings) : new BinarySTLReader(warnings);
+}
+
+class STLParser {
+  // options.onWarning({ code, message, line?, offset? }) receives recoverable problems
+  static parseSTL(filePath, options = {}) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const { size } = fs.fstatSync(fd);
+      if (size === 0) throw new STLParseError(`File is empty: ${filePath}`);
+
+      const buffer = Buffer.alloc(Math.min(CHUNK_SIZE, size));
+      let bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      const format = detectFormat(buffer.subarray(0, Math.min(bytesRead, SNIFF_SIZE)), size);
+
+      const warnings = new WarningCollector(options.onWarning);
+      const reader = createReader(format, warnings);
+      let position = 0;
+      while (bytesRead > 0) {
+        reader.push(buffer.subarray(0, bytesRead));
+        position += bytesRead;
+        bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position);
+      }
+      const triangles = reader.finish();
+      warnings.flush();
+      return triangles;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Parse from any readable stream (file, stdin, HTTP body) without buffering it whole
+  static async parseStream(readable, options = {}) {
+    const warnings = new WarningCollector(options.onWarning);
+    let reader = null;
+    let head = Buffer.alloc(0);
+
+    for await (const chunk of readable) {
+      if (reader) {
+        reader.push(chunk);
+        continue;
+      }
+      head = Buffer.concat([head, chunk]);
+      if (head.length >= SNIFF_SIZE) {
+        reader = createReader(detectFormat(head.subarray(0, SNIFF_SIZE)), warnings);
+        reader.push(head);
+        head = null;
+      }
+    }
+    if (!reader) {
+      if (head.length === 0) throw new STLParseError('Stream is empty');
+      // The whole stream fits in the sample, so its size is known
+      reader = createReader(detectFormat(head, head.length), warnings);
+      reader.push(head);
+    }
+
+    const triangles = reader.finish();
+    warnings.flush();
+    return triangles;
+  }
+
+  static parseBinarySTL(data, options = {}) {
+    const warnings = new WarningCollector(options.onWarning);
+    const reader = new BinarySTLReader(warnings);
+    reader.push(data);
+    const triangles = reader.finish();
+    warnings.flush();
+    return triangles;
+  }
+
+  static parseAsciiSTL(text, options = {}) {
+    const warnings = new WarningCollector(options.onWarning);
+    const reader = new AsciiSTLReader(warnings);
+    reader.push(Buffer.from(text, 'latin1'));
+    const triangles = reader.finish();
+    warnings.flush();
+    return triangles;
+  }
+}
+
+module.exports = { STLParser, STLParseError };
@@ -0,0 +1,142 @@
+/**
+ * Raw terminal input decoding for the live view: keys (with readline-style names) and xterm
+ * SGR mouse reports. readline's keypress parser splits mouse reports into stray keys, so the
+ * live view decodes stdin itself.
+ */
+
+// Button-event tracking (press, release, drag) with SGR extended coordinates
+const MOUSE_ON = '\x1b[?1002h\x1b[?1006h';
+const MOUSE_OFF = '\x1b[?1006l\x1b[?1002l';
+
+// A lone ESC is the Escape key unless the rest of a sequence follows this quickly
+const ESCAPE_TIMEOUT_MS = 50;
+
+const CSI_KEYS = { A: 'up', B: 'down', C: 'right', D: 'left', H: 'home', F: 'end' };
+const TILDE_KEYS = { 1: 'home', 2: 'insert', 3: 'delete', 4: 'end', 5: 'pageup', 6: 'pagedown' };
+
+// Complete sequences: SGR mouse, CSI with parameters, SS3 cursor keys
+const MOUSE_PATTERN = /^\x1b\[<(\d+);(\d+);(\d+)([Mm])/;
+const CSI_PATTERN = /^\x1b\[([\d;]*)([A-Za-z~])/;
+const SS3_PATTERN = /^\x1bO([A-Za-z])/;
+// Prefixes that may still be completed by the next chunk
+const PARTIAL_PATTERN = /^\x1b(\[[<\d;]*|O)?$/;
+
+// Decode an SGR mouse report; x and y are zero-based cell coordinates
+function parseMouse(code, col, row, final) {
+  const button = code & 3;
+  const mouse = {
+    x: col - 1,
+    y: row - 1,
+    button: button === 0 ? 'left' : button === 1 ? 'middle' : 'right',
+    shift: !!(code & 4),
+    meta: !!(code & 8),
+    ctrl: !!(code & 16),
+    action: final === 'm' ? 'release' : code & 32 ? 'drag' : 'press'
+  };
+  if (code & 64) {
+    mouse.action = 'wheel';
+    mouse.button = button === 0 ? 'wheelup' : 'wheeldown';
+  }
+  return mouse;
+}
+
+// Key event shaped like readline's keypress `key` argument
+function keyEvent(name, sequence, { ctrl = false, shift = false, meta = false } = {}) {
+  return { name, sequence, ctrl, shift, meta };
+}
+
+function charKey(ch) {
+  const code = ch.charCodeAt(0);
+  if (ch === '\r' || ch === '\n') return keyEvent('return', ch);
+  if (ch === '\t') return keyEvent('tab', ch);
+  if (ch === ' ') return keyEvent('space', ch);
+  if (ch === '\x7f' || ch === '\b') return keyEvent('backspace', ch);
+  if (code > 0 && code <= 26) return keyEvent(String.fromCharCode(code + 96), ch, { ctrl: true });
+  if (/[A-Z]/.test(ch)) return keyEvent(ch.toLowerCase(), ch, { shift: true });
+  if (/[a-z0-9]/.test(ch)) return keyEvent(ch, ch);
+  return keyEvent(undefined, ch);
+}
+
+class TerminalInput {
+  constructor({ onKey = () => {}, onMouse = () => {} } = {}) {
+    this.onKey = onKey;
+    this.onMouse = onMouse;
+    this.pending = '';
+    this.escapeTimer = null;
+  }
+
+  // Start decoding a raw-mode stream (usually process.stdin)
+  attach(stream) {
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => this.feed(chunk));
+  }
+
+  feed(chunk) {
+    clearTimeout(this.escapeTimer);
+    let data = this.pending + chunk;
+    this.pending = '';
+
+    while (data.length > 0) {
+      if (data[0] !== '\x1b') {
+        const ch = String.fromCodePoint(data.codePointAt(0));
+        this.onKey(ch, charKey(ch));
+        data = data.slice(ch.length);
+        continue;
+      }
+
+      let match = MOUSE_PATTERN.exec(data);
+      if (match) {
+        this.onMouse(parseMouse(Number(match[1]), Number(match[2]), Number(match[3]), match[4]));
+        data = data.slice(match[0].length);
+        continue;
+      }
+
+      match = CSI_PATTERN.exec(data) || SS3_PATTERN.exec(data);
+      if (match) {
+        const final = match[match.length - 1];
+        const params = match.length === 3 ? match[1].split(';') : [];
+        // Modifier parameter is 1 + (shift 1 | meta 2 | ctrl 4)
+        const modifier = Math.max(0, Number(params[1] || 1) - 1);
+        const name = final === '~' ? TILDE_KEYS[params[0]] : CSI_KEYS[final];
+        this.onKey(undefined, keyEvent(name, match[0], {
+          shift: !!(modifier & 1),
+          meta: !!(modifier & 2),
+          ctrl: !!(modifier & 4)
+        }));
+        data = data.slice(match[0].length);
+        continue;
+      }
+
+      if (PARTIAL_PATTERN.test(data)) {
+        // Wait briefly for the rest of the sequence before treating it as typed keys
+        this.pending = data;
+        this.escapeTimer = setTimeout(() => this.flushPending(), ESCAPE_TIMEOUT_MS);
+        return;
+      }
+
+      // ESC followed by something that is not a sequence: Alt+key or a bare Escape
+      if (data.length > 1 && data[1] !== '\x1b') {
+        const ch = String.fromCodePoint(data.codePointAt(1));
+        this.onKey(ch, { ...charKey(ch), sequence: '\x1b' + ch, meta: true });
+        data = data.slice(1 + ch.length);
+      } else {
+        this.onKey(undefined, keyEvent('escape', '\x1b'));
+        data = data.slice(1);
+      }
+    }
+  }
+
+  flushPending() {
+    const data = this.pending;
+    this.pending = '';
+    if (data === '\x1b') {
+      this.onKey(undefined, keyEvent('escape', data));
+    } else if (data) {
+      // An unfinished sequence never completed: report ESC, then the rest as plain keys
+      this.onKey(undefined, keyEvent('escape', '\x1b'));
+      this.feed(data.slice(1));
+    }
+  }
+}
+
+module.exports = { TerminalInput, parseMouse, MOUSE_ON, MOUSE_OFF };
@@ -0,0 +1,188 @@
+/**
+ * Camera timelines: JSON keyframes that choreograph the model rotation, camera distance and pan,
+ * and the key light, for product intros, splash screens and exported loops.
+ *
+ *   {
+ *     "loop": true,
+ *     "easing": "ease-in-out",
+ *     "keyframes": [
+ *       { "time": 0, "rotation": [0, 0, 0], "distance": 1.4, "lightAngle": 0 },
+ *       { "time": 3, "rotation": [15, 180, 0], "distance": 1, "easing": "ease-out" },
+ *       { "time": 6, "rotation": [0, 360, 0], "lightAngle": 90, "lightTilt": 0.5 }
+ *     ]
+ *   }
+ *
+ * Times are in seconds, angles in degrees. Each property moves on its own between the keyframes
+ * that set it, eased by the curve of the keyframe its segment starts from (the timeline's
+ * `easing` by default), and holds still before its first and after its last keyframe.
+ */
+
+const fs = require('fs');
+
+// Properties a keyframe can set: number of values and the value used when no keyframe sets it
+const TRACKS = {
+  rotation: { size: 3, fallback: [0, 0, 0] }, // degrees around x, y and z
+  distance: { size: 1, fallback: 1 }, // camera distance relative to the starting one
+  pan: { size: 2, fallback: [0, 0] }, // view-space offset of the model, in scene units
+  lightAngle: { size: 1, fallback: null }, // degrees around the light ring; null keeps the scene's
+  lightTilt: { size: 1, fallback: 0 } // height of the light ring, like the [ and ] keys
+};
+const TIMELINE_KEYS = ['loop', 'easing', 'duration', 'keyframes'];
+
+// CSS timing functions as cubic Bézier control points
+const EASING_CURVES = {
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+const EASING_NAMES = ['linear', 'step', ...Object.keys(EASING_CURVES), 'cubic-bezier(x1,y1,x2,y2)'];
+const CUBIC_BEZIER_PATTERN = /^cubic-bezier\(([^)]*)\)$/;
+
+// Progress along a cubic Bézier timing curve from (0,0) to (1,1): solve x for u, return y
+function cubicBezier(x1, y1, x2, y2) {
+  const at = (a, b, s) => 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+  return u => {
+    // x rises monotonically for control points within [0, 1], so bisection always converges
+    let low = 0, high = 1;
+    for (let i = 0; i < 30; i++) {
+      const mid = (low + high) / 2;
+      if (at(x1, x2, mid) < u) low = mid;
+      else high = mid;
+    }
+    return at(y1, y2, (low + high) / 2);
+  };
+}
+
+// Easing function for a name from EASING_NAMES; throws for anything else
+function parseEasing(name) {
+  if (name === 'linear') return u => u;
+  // Jump at the end of the segment
+  if (name === 'step') return u => (u < 1 ? 0 : 1);
+  if (EASING_CURVES[name]) return cubicBezier(...EASING_CURVES[name]);
+  const match = typeof name === 'string' && CUBIC_BEZIER_PATTERN.exec(name.replace(/\s+/g, ''));
+  const points = match ? match[1].split(',').map(Number) : [];
+  if (points.length !== 4 || !points.every(Number.isFinite) || points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+    throw new Error(`unknown easing "${name}", expected one of ${EASING_NAMES.join(', ')} (x1 and x2 within 0..1)`);
+  }
+  return cubicBezier(...points);
+}
+
+class Timeline {
+  /**
+   * Build a timeline from its parsed JSON (see the format above). Throws an Error naming the
+   * offending keyframe or key when the definition is malformed.
+   */
+  constructor(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('a timeline must be a JSON object with a "keyframes" array');
+    }
+    const unknown = Object.keys(definition).find(key => !TIMELINE_KEYS.includes(key));
+    if (unknown) throw new Error(`unknown timeline key "${unknown}", expected ${TIMELINE_KEYS.join(', ')}`);
+    const { loop = true, easing = 'linear', keyframes, duration } = definition;
+    if (typeof loop !== 'boolean') throw new Error('"loop" must be true or false');
+    const defaultEasing = parseEasing(easing);
+    if (!Array.isArray(keyframes) || keyframes.length === 0) throw new Error('"keyframes" must be a non-empty array');
+
+    this.loop = loop;
+    // Per property: keyframe times, values (arrays of `size` numbers) and outgoing easings
+    this.tracks = {};
+    let previousTime = -Infinity;
+    keyframes.forEach((keyframe, index) => {
+      const where = `keyframe ${index + 1}`;
+      if (!keyframe || typeof keyframe !== 'object') throw new Error(`${where} must be an object`);
+      const { time } = keyframe;
+      if (!Number.isFinite(time) || time < 0) throw new Error(`${where}: "time" must be a number of seconds >= 0`);
+      if (time <= previousTime) throw new Error(`${where}: times must increase from one keyframe to the next`);
+      previousTime = time;
+      const curve = keyframe.easing === undefined ? defaultEasing : parseEasing(keyframe.easing);
+
+      for (const [key, value] of Object.entries(keyframe)) {
+        if (key === 'time' || key === 'easing') continue;
+        const spec = TRACKS[key];
+        if (!spec) throw new Error(`${where}: unknown property "${key}", expected ${Object.keys(TRACKS).join(', ')}`);
+        const values = spec.size === 1 && typeof value === 'number' ? [value] : value;
+        if (!Array.isArray(values) || values.length !== spec.size || !values.every(Number.isFinite)) {
+          throw new Error(`${where}: "${key}" must be ${spec.size === 1 ? 'a number' : `an array of ${spec.size} numbers`}`);
+        }
+        if (key === 'distance' && !(values[0] > 0)) throw new Error(`${where}: "distance" must be > 0`);
+        const track = this.tracks[key] || (this.tracks[key] = { times: [], values: [], easings: [] });
+        track.times.push(time);
+        track.values.push(values);
+        track.easings.push(curve);
+      }
+    });
+
+    // One pass lasts until the last keyframe unless a longer duration holds the end pose
+    const end = keyframes[keyframes.length - 1].time;
+    if (duration !== undefined && !(Number.isFinite(duration) && duration >= end)) {
+      throw new Error(`"duration" must be a number of seconds >= the last keyframe time (${end})`);
+    }
+    this.duration = duration === undefined ? end : duration;
+  }
+
+  // Time within one pass: looping wraps around, otherwise the end pose holds
+  localTime(seconds) {
+    if (this.duration <= 0) return 0;
+    if (this.loop) return ((seconds % this.duration) + this.duration) % this.duration;
+    return Math.min(Math.max(seconds, 0), this.duration);
+  }
+
+  /**
+   * The pose `seconds` after the start: { rotation: [x, y, z], distance, pan: [x, y],
+   * lightAngle, lightTilt }, with TRACKS' fallbacks for properties no keyframe sets.
+   */
+  sample(seconds) {
+    const t = this.localTime(seconds);
+    const pose = {};
+    for (const [key, spec] of Object.entries(TRACKS)) {
+      const track = this.tracks[key];
+      if (!track) {
+        pose[key] = Array.isArray(spec.fallback) ? spec.fallback.slice() : spec.fallback;
+        continue;
+      }
+      const { times, values, easings } = track;
+      let value;
+      if (t <= times[0]) {
+        value = values[0];
+      } else if (t >= times[times.length - 1]) {
+        value = values[values.length - 1];
+      } else {
+        let i = 0;
+        while (times[i + 1] <= t) i++;
+        const eased = easings[i]((t - times[i]) / (times[i + 1] - times[i]));
+        value = values[i].map((from, k) => from + (values[i + 1][k] - from) * eased);
+      }
+      pose[key] = spec.size === 1 ? value[0] : value.slice();
+    }
+    return pose;
+  }
+
+  /**
+   * Frames needed to play one pass `intervalMs` apart. A loop leaves out the closing frame,
+   * which would repeat the first; a single pass ends on it.
+   */
+  frameCount(intervalMs) {
+    const steps = Math.round(this.duration * 1000 / intervalMs);
+    return this.loop ? Math.max(1, steps) : steps + 1;
+  }
+}
+
+// A Timeline from a JSON file path, a parsed definition, or a Timeline (returned as is)
+function loadTimeline(source) {
+  if (source instanceof Timeline) return source;
+  if (typeof source !== 'string') return new Timeline(source);
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read timeline ${source}: ${err.message}`);
+  }
+  try {
+    return new Timeline(definition);
+  } catch (err) {
+    throw new Error(`Invalid timeline ${source}: ${err.message}`);
+  }
+}
+
+module.exports = { Timeline, loadTimeline, parseEasing, EASING_NAMES };
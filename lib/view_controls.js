@@ -0,0 +1,159 @@
+/**
+ * Interactive view state for the live renderer: auto-spin, orbit, zoom and pan, driven by
+ * keys and mouse events from lib/terminal_input.js.
+ */
+
+const { createRotationMatrix, rotationForAxis, multiplyMatrices } = require('./geometry');
+
+const ORBIT_STEP = Math.PI / 36; // 5° per key press
+const ZOOM_STEP = 1.15; // camera distance factor per key press or wheel notch
+const PAN_STEP = 0.05; // fraction of the view per key press
+// Zoom limits relative to the starting distance
+const MIN_ZOOM_DISTANCE = 0.1;
+const MAX_ZOOM_DISTANCE = 20;
+// Radians a drag across the whole viewport turns the model (half a turn)
+const DRAG_ORBIT_SPEED = Math.PI;
+
+class ViewController {
+  constructor({ axis = 'y', speed = 0.04, camera }) {
+    this.axis = axis;
+    this.speed = speed;
+    this.camera = camera;
+    this.initialDistance = camera.distance;
+    this.paused = false;
+    this.drag = null;
+    this.reset();
+  }
+
+  // Back to the starting view; the pause state is kept
+  reset() {
+    this.base = null;
+    this.spin = 0;
+    this.yaw = 0;
+    this.pitch = 0;
+    this.camera.distance = this.initialDistance;
+    this.camera.pan = { x: 0, y: 0 };
+  }
+
+  // Advance the auto-spin by one frame unless paused
+  advance() {
+    if (this.paused) return;
+    // Keep angle between 0 and 2π to prevent accumulation
+    this.spin = (this.spin + this.speed) % (2 * Math.PI);
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+  }
+
+  orbit(dYaw, dPitch) {
+    this.yaw = (this.yaw + dYaw) % (2 * Math.PI);
+    this.pitch = (this.pitch + dPitch) % (2 * Math.PI);
+  }
+
+  zoom(factor) {
+    const distance = this.camera.distance * factor;
+    this.camera.distance = Math.min(this.initialDistance * MAX_ZOOM_DISTANCE,
+      Math.max(this.initialDistance * MIN_ZOOM_DISTANCE, distance));
+  }
+
+  panBy(dx, dy) {
+    this.camera.pan.x += dx;
+    this.camera.pan.y += dy;
+  }
+
+  // Take over from a pose set elsewhere, such as a timeline: spin and orbit continue from its
+  // rotation, and the camera keeps its distance and pan. Resetting goes back to the start.
+  startFrom(rotationMatrix) {
+    this.base = rotationMatrix;
+    this.spin = 0;
+    this.yaw = 0;
+    this.pitch = 0;
+  }
+
+  // Spin around the configured axis first, then the user's orbit (yaw, then pitch)
+  rotationMatrix() {
+    const orbit = multiplyMatrices(createRotationMatrix(this.pitch, 0, 0), createRotationMatrix(0, this.yaw, 0));
+    const spun = multiplyMatrices(orbit, rotationForAxis(this.axis, this.spin));
+    return this.base ? multiplyMatrices(spun, this.base) : spun;
+  }
+
+  /**
+   * Apply a camera key. Arrows or h/j/k/l orbit, Shift+arrows or H/J/K/L pan, +/- zoom,
+   * space pauses and r resets. Returns false for keys it does not use.
+   */
+  handleKey(str, key = {}) {
+    const name = key.name;
+    const panStep = PAN_STEP * this.camera.unitsPerPixel() * this.camera.halfExtent * 2;
+    const moves = {
+      left: [-1, 0], h: [-1, 0],
+      right: [1, 0], l: [1, 0],
+      up: [0, -1], k: [0, -1],
+      down: [0, 1], j: [0, 1]
+    };
+    if (moves[name] && !key.ctrl && !key.meta) {
+      const [dx, dy] = moves[name];
+      if (key.shift) {
+        this.panBy(dx * panStep, -dy * panStep);
+      } else {
+        // The side facing the camera follows the key
+        this.orbit(-dx * ORBIT_STEP, -dy * ORBIT_STEP);
+      }
+      return true;
+    }
+    if (str === '+' || str === '=') {
+      this.zoom(1 / ZOOM_STEP);
+      return true;
+    }
+    if (str === '-' || str === '_') {
+      this.zoom(ZOOM_STEP);
+      return true;
+    }
+    if (name === 'space') {
+      this.togglePause();
+      return true;
+    }
+    if (str === 'r') {
+      this.reset();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Apply a mouse event over the renderer's viewport (cell coordinates): left-drag orbits,
+   * right/middle- or Shift-drag pans, the wheel zooms.
+   */
+  handleMouse(mouse, viewport) {
+    if (mouse.action === 'wheel') {
+      this.zoom(mouse.button === 'wheelup' ? 1 / ZOOM_STEP : ZOOM_STEP);
+      return;
+    }
+    if (mouse.action === 'press') {
+      this.drag = { x: mouse.x, y: mouse.y, pan: mouse.shift || mouse.button !== 'left' };
+      return;
+    }
+    if (mouse.action === 'release') {
+      this.drag = null;
+      return;
+    }
+    if (!this.drag) return;
+
+    const dx = mouse.x - this.drag.x;
+    const dy = mouse.y - this.drag.y;
+    this.drag.x = mouse.x;
+    this.drag.y = mouse.y;
+    if (this.drag.pan) {
+      // The model follows the pointer: convert cells to sample pixels, then to model units
+      const unitsPerPixel = this.camera.unitsPerPixel();
+      this.panBy(
+        dx * (viewport.pixelWidth / viewport.width) * unitsPerPixel,
+        -dy * (viewport.pixelHeight / viewport.height) * unitsPerPixel * this.camera.pixelAspect
+      );
+    } else {
+      this.orbit(-dx / viewport.width * DRAG_ORBIT_SPEED, -dy / viewport.height * DRAG_ORBIT_SPEED);
+    }
+  }
+}
+
+module.exports = { ViewController };
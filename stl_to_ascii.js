@@ -6,249 +6,623 @@
  */
 
 const fs = require('fs');
-const readline = require('readline');
+const os = require('os');
+const path = require('path');
+const { Vector3, Triangle, createRotationMatrix, rotationForAxis, computeBounds } = require('./lib/geometry');
+const { STLParser, STLParseError } = require('./lib/stl_parser');
+const { OBJParser, PLYParser, ThreeMFParser } = require('./lib/loaders');
+const { DEFAULT_WELD_TOLERANCE, DEFAULT_CREASE_ANGLE, processMesh } = require('./lib/mesh_processing');
+const { RenderMesh } = require('./lib/render_mesh');
+const { Camera, PROJECTIONS, DEFAULT_FOV, DEFAULT_CELL_ASPECT } = require('./lib/camera');
+const { LightingModel, parseLights, DEFAULT_MATERIAL } = require('./lib/lighting');
+const { RAMPS, RAMP_NAMES, resolveRamp } = require('./lib/ramps');
+const { FrameWriter, supportsSynchronizedOutput, SYNC_END } = require('./lib/frame_writer');
+const { TerminalInput, MOUSE_ON, MOUSE_OFF } = require('./lib/terminal_input');
+const { ViewController } = require('./lib/view_controls');
+const { DEFECTS, inspectMesh, findDefects } = require('./lib/mesh_inspection');
+const { ANIMATION_FORMATS, formatFromPath, loopFrameCount, encodeAsciicast, encodeSvg, encodeAnimatedGif } = require('./lib/animation_export');
+const { parseTransforms, transformTriangles } = require('./lib/scene_models');
+const { loadTimeline } = require('./lib/timeline');
+const { ModelWatcher } = require('./lib/model_watcher');
+const { FrameServer } = require('./lib/frame_server');
 
-class Vector3 {
-  constructor(x = 0, y = 0, z = 0) {
-    this.x = x;
-    this.y = y;
-    this.z = z;
-  }
+// Default brightness ramp, darkest to brightest (more named ramps live in lib/ramps.js)
+const DEFAULT_CHARS = RAMPS.standard;
 
-  add(v) {
-    return new Vector3(this.x + v.x, this.y + v.y, this.z + v.z);
-  }
+// Mesh loader registry. A loader is picked by file extension first, then by sniffing the
+// first bytes; every loader returns an array of Triangles.
+const MESH_LOADERS = [];
 
-  subtract(v) {
-    return new Vector3(this.x - v.x, this.y - v.y, this.z - v.z);
-  }
+function registerLoader(loader) {
+  MESH_LOADERS.push(loader);
+}
 
-  multiply(scalar) {
-    return new Vector3(this.x * scalar, this.y * scalar, this.z * scalar);
-  }
+registerLoader({
+  name: 'stl',
+  extensions: ['.stl'],
+  sniff: head => head.toString('latin1', 0, 5).toLowerCase() === 'solid' || head.length >= 84,
+  load: (filePath, options) => STLParser.parseSTL(filePath, options)
+});
+registerLoader({
+  name: 'obj',
+  extensions: ['.obj'],
+  sniff: head => /^(#.*\r?\n|\s)*(v|vn|vt|o|g|mtllib)\s/m.test(head.toString('latin1')),
+  load: filePath => OBJParser.parseOBJ(filePath)
+});
+registerLoader({
+  name: 'ply',
+  extensions: ['.ply'],
+  sniff: head => /^ply\r?\n/.test(head.toString('latin1', 0, 5)),
+  load: filePath => PLYParser.parsePLY(filePath)
+});
+registerLoader({
+  name: '3mf',
+  extensions: ['.3mf'],
+  sniff: head => head.length >= 4 && head.readUInt32LE(0) === 0x04034b50, // zip local file header
+  load: filePath => ThreeMFParser.parse3MF(filePath)
+});
 
-  dot(v) {
-    return this.x * v.x + this.y * v.y + this.z * v.z;
-  }
+function findLoader(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const byExtension = MESH_LOADERS.find(loader => loader.extensions.includes(ext));
+  if (byExtension) return byExtension;
 
-  cross(v) {
-    return new Vector3(
-      this.y * v.z - this.z * v.y,
-      this.z * v.x - this.x * v.z,
-      this.x * v.y - this.y * v.x
-    );
-  }
-
-  normalize() {
-    const length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
-    if (length === 0) return new Vector3();
-    return new Vector3(this.x / length, this.y / length, this.z / length);
+  // Unknown extension: look at the magic bytes. Specific signatures win over the STL fallback.
+  const head = Buffer.alloc(512);
+  const fd = fs.openSync(filePath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, head, 0, head.length, 0);
+  } finally {
+    fs.closeSync(fd);
   }
+  const sample = head.subarray(0, bytesRead);
+  const ordered = [...MESH_LOADERS.filter(l => l.name !== 'stl'), ...MESH_LOADERS.filter(l => l.name === 'stl')];
+  const loader = ordered.find(l => l.sniff(sample));
+  if (!loader) throw new Error(`Unrecognized model format: ${filePath}`);
+  return loader;
+}
 
-  length() {
-    return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
-  }
+// Load any supported model file into an array of Triangles.
+// options.onWarning receives recoverable parse problems from loaders that report them.
+function loadMesh(filePath, options = {}) {
+  const triangles = findLoader(filePath).load(filePath, options);
+  if (triangles.length === 0) throw new Error(`No triangles found in ${filePath}`);
+  return triangles;
 }
 
-class Triangle {
-  constructor(v1, v2, v3, normal = null) {
-    this.v1 = v1;
-    this.v2 = v2;
-    this.v3 = v3;
-    this.normal = normal || this.calculateNormal();
-    // Per-vertex normals (filled later from adjacency averaging)
-    this.vn1 = null;
-    this.vn2 = null;
-    this.vn3 = null;
-  }
+// ANSI color output. Brightness still picks the glyph; color modes additionally tint the
+// glyph (fg) or the whole cell (bg) with the material color scaled by the same intensity.
+const COLOR_MODES = ['auto', 'none', '16', '256', 'truecolor'];
+const ANSI_RESET = '\x1b[0m';
 
-  calculateNormal() {
-    const edge1 = this.v2.subtract(this.v1);
-    const edge2 = this.v3.subtract(this.v1);
-    return edge1.cross(edge2).normalize();
-  }
+// Standard xterm values for the 16 basic colors (0-7 normal, 8-15 bright)
+const ANSI16_PALETTE = [
+  [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+  [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+  [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+  [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+];
+
+// Resolve 'auto' from the environment: NO_COLOR, COLORTERM and TERM, plain ASCII when not a TTY
+function detectColorMode(env = process.env, stream = process.stdout) {
+  if ('NO_COLOR' in env) return 'none';
+  if (!stream || !stream.isTTY) return 'none';
+  const colorterm = (env.COLORTERM || '').toLowerCase();
+  if (colorterm === 'truecolor' || colorterm === '24bit') return 'truecolor';
+  const term = (env.TERM || '').toLowerCase();
+  if (!term || term === 'dumb') return 'none';
+  if (term.includes('256color') || term.includes('truecolor')) return '256';
+  return '16';
 }
 
-class STLParser {
-  static parseSTL(filePath) {
-    const data = fs.readFileSync(filePath);
-    
-    // Check if it's binary STL (first 80 bytes are header, then 4 bytes for triangle count)
-    if (data.length > 84) {
-      const triangleCount = data.readUInt32LE(80);
-      const expectedSize = 80 + 4 + (triangleCount * 50); // 50 bytes per triangle
-      
-      if (data.length === expectedSize) {
-        return this.parseBinarySTL(data);
-      }
-    }
-    
-    // Try ASCII STL
-    return this.parseAsciiSTL(data.toString());
-  }
+function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!match) return null;
+  let digits = match[1];
+  if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
 
-  static parseBinarySTL(data) {
-    const triangleCount = data.readUInt32LE(80);
-    const triangles = [];
-    
-    let offset = 84; // Skip header and triangle count
-    
-    for (let i = 0; i < triangleCount; i++) {
-      // Read normal vector (3 floats)
-      const nx = data.readFloatLE(offset);
-      const ny = data.readFloatLE(offset + 4);
-      const nz = data.readFloatLE(offset + 8);
-      const normal = new Vector3(nx, ny, nz);
-      
-      // Read 3 vertices (9 floats total)
-      const v1 = new Vector3(
-        data.readFloatLE(offset + 12),
-        data.readFloatLE(offset + 16),
-        data.readFloatLE(offset + 20)
-      );
-      const v2 = new Vector3(
-        data.readFloatLE(offset + 24),
-        data.readFloatLE(offset + 28),
-        data.readFloatLE(offset + 32)
-      );
-      const v3 = new Vector3(
-        data.readFloatLE(offset + 36),
-        data.readFloatLE(offset + 40),
-        data.readFloatLE(offset + 44)
-      );
-      
-      triangles.push(new Triangle(v1, v2, v3, normal));
-      
-      offset += 50; // Move to next triangle (50 bytes per triangle)
-    }
-    
-    return triangles;
+function rgbTo256(r, g, b) {
+  // Near-greys map better onto the 24-step grayscale ramp than onto the 6x6x6 cube
+  if (Math.max(r, g, b) - Math.min(r, g, b) < 10) {
+    if (r < 8) return 16;
+    if (r > 248) return 231;
+    return 232 + Math.round((r - 8) / 247 * 23);
   }
+  const toCube = c => Math.round(c / 255 * 5);
+  return 16 + 36 * toCube(r) + 6 * toCube(g) + toCube(b);
+}
 
-  static parseAsciiSTL(text) {
-    const triangles = [];
-    const lines = text.split('\n').map(line => line.trim());
-    
-    let i = 0;
-    while (i < lines.length) {
-      const line = lines[i];
-      
-      if (line.startsWith('facet normal')) {
-        // Parse normal
-        const normalParts = line.split(/\s+/);
-        const normal = new Vector3(
-          parseFloat(normalParts[2]),
-          parseFloat(normalParts[3]),
-          parseFloat(normalParts[4])
-        );
-        
-        i++; // Skip "outer loop"
-        i++;
-        
-        // Parse 3 vertices
-        const vertices = [];
-        for (let j = 0; j < 3; j++) {
-          const vertexLine = lines[i];
-          const vertexParts = vertexLine.split(/\s+/);
-          vertices.push(new Vector3(
-            parseFloat(vertexParts[1]),
-            parseFloat(vertexParts[2]),
-            parseFloat(vertexParts[3])
-          ));
-          i++;
-        }
-        
-        triangles.push(new Triangle(vertices[0], vertices[1], vertices[2], normal));
-        
-        i++; // Skip "endloop"
-        i++; // Skip "endfacet"
-      } else {
-        i++;
-      }
+function rgbTo16(r, g, b) {
+  let best = 0;
+  let bestDist = Infinity;
+  ANSI16_PALETTE.forEach(([pr, pg, pb], i) => {
+    const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = i;
     }
-    
-    return triangles;
+  });
+  return best;
+}
+
+// SGR escape sequence selecting `rgb` as foreground ('fg') or background ('bg') color
+function ansiColorCode(mode, rgb, target = 'fg') {
+  const [r, g, b] = rgb.map(c => Math.max(0, Math.min(255, Math.round(c))));
+  const bg = target === 'bg';
+  if (mode === 'truecolor') return `\x1b[${bg ? 48 : 38};2;${r};${g};${b}m`;
+  if (mode === '256') return `\x1b[${bg ? 48 : 38};5;${rgbTo256(r, g, b)}m`;
+  if (mode === '16') {
+    const index = rgbTo16(r, g, b);
+    const base = index < 8 ? (bg ? 40 : 30) : (bg ? 100 : 90);
+    return `\x1b[${base + (index % 8)}m`;
   }
+  return '';
 }
 
+// Character-cell layouts: ascii samples once per cell, half-blocks twice vertically,
+// Braille patterns 2x4. Values are [samples across, samples down] per cell.
+const RENDER_MODES = ['ascii', 'halfblock', 'braille'];
+const SUBPIXELS = { ascii: [1, 1], halfblock: [1, 2], braille: [2, 4] };
+const SHADE_BLOCKS = ['░', '▒', '▓', '█'];
+// Unicode Braille dot numbering: bit for the dot at [row][column] within a cell
+const BRAILLE_DOT_BITS = [[0x01, 0x08], [0x02, 0x10], [0x04, 0x20], [0x40, 0x80]];
+const BAYER_4X4 = [[0, 8, 2, 10], [12, 4, 14, 6], [3, 11, 1, 9], [15, 7, 13, 5]];
+const DITHER_MODES = ['none', 'ordered', 'diffusion'];
+// Outline pass: on top of the shading, or lines only with or without hidden lines removed
+const OUTLINE_MODES = ['off', 'overlay', 'hidden-line', 'wireframe'];
+const DEFAULT_OUTLINE_ANGLE = 45;
+// Glyph per edge buffer code; 0 is no edge
+const EDGE_GLYPHS = [' ', '-', '_', '|', '/', '\\'];
+// Lines this close behind the surface (relative to depth) still count as on it
+const OUTLINE_DEPTH_BIAS = 0.01;
+// --diagnose: glyph and color per defect kind (index = DEFECTS value), picked to stay out of the ramps
+const DEFECT_GLYPHS = [null, '~', '&', '?', '!', 'o', 'X'];
+const DEFECT_COLORS = [null, [80, 120, 255], [0, 200, 255], [255, 140, 0], [255, 220, 0], [255, 0, 0], [255, 0, 255]];
+
 class TerminalRenderer {
   constructor(width = null, height = null, options = {}) {
     // Auto-detect terminal size if not provided
     this.width = width || process.stdout.columns || 120;
     this.height = height || process.stdout.rows || 40;
     
-    // Ensure we use the full terminal width and height
-    console.log(`Terminal size: ${this.width}x${this.height}`);
-    
     // Options
     this.usePerPixelLighting = !!options.perPixelLighting;
     this.frameIntervalMs = typeof options.frameIntervalMs === 'number' ? options.frameIntervalMs : 50;
 
+    // Sub-pixel modes rasterize several samples per character cell
+    this.mode = RENDER_MODES.includes(options.mode) ? options.mode : 'ascii';
+
+    // Scratch space so the per-triangle path allocates nothing: 3 projected points, 3 normals
+    this.scratchPoints = new Float64Array(9);
+    this.scratchNormals = new Float64Array(9);
+    // Near-plane clipping: 3 view-space corners in, up to 4 out (position + normal each)
+    this.scratchCorners = new Float64Array(18);
+    this.scratchPolygon = new Float64Array(24);
+    this.unprojectScratch = new Float64Array(3);
+    this.scratchSegment = new Float64Array(6);
+
+    // Lights and material; 'ordered' or 'diffusion' dithering spreads in-between brightness across glyphs
+    this.lighting = options.lightingModel || new LightingModel();
+    this.dither = DITHER_MODES.includes(options.dither) ? options.dither : 'none';
+
+    // Silhouette and crease lines; creases are edges whose faces meet at more than outlineAngle degrees
+    this.outline = OUTLINE_MODES.includes(options.outline) ? options.outline : 'off';
+    this.outlineAngle = typeof options.outlineAngle === 'number' ? options.outlineAngle : DEFAULT_OUTLINE_ANGLE;
+
+    // Backface culling can be turned off to show inside-out regions; diagnostics mark mesh defects
+    this.culling = options.culling !== 'off';
+    this.diagnose = !!options.diagnose;
+    this.faceDefect = 0; // DEFECTS kind of the face being rasterized
+
+    this.camera = options.camera || new Camera({ projection: options.projection, fov: options.fov, cellAspect: options.cellAspect });
+    // Split screen: one camera per side-by-side viewport (see setViewports), null for one full view
+    this.viewportCameras = null;
+    this.resize(this.width, this.height);
+    
+    // Back to the original character set that looked better
+    this.asciiChars = options.chars || DEFAULT_CHARS;
+
+    // Color output: 'none' keeps plain ASCII; 'auto' is resolved from the environment
+    this.colorMode = !options.colorMode || options.colorMode === 'auto'
+      ? detectColorMode()
+      : options.colorMode;
+    this.colorTarget = options.colorTarget === 'bg' ? 'bg' : 'fg';
+    this.materialColor = options.materialColor || [255, 255, 255];
+    this.fgCodes = this.buildColorCodes('fg');
+    this.bgCodes = this.buildColorCodes('bg');
+    this.defectCodes = this.colorMode === 'none' ? null : DEFECT_COLORS.map(rgb => (rgb ? ANSI_RESET + ansiColorCode(this.colorMode, rgb) : ANSI_RESET));
+  }
+
+  /**
+   * Size the render target in character cells: reallocates every per-pixel buffer and refits the
+   * camera's viewport. Called again when the terminal is resized; temporal smoothing starts over.
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    const [subX, subY] = SUBPIXELS[this.mode];
+    this.pixelWidth = this.width * subX;
+    this.pixelHeight = this.height * subY;
+
     // Character buffers
     this.buffer = Array(this.height).fill().map(() => Array(this.width).fill(' '));
+    // Flat typed buffers indexed by y * pixelWidth + x (one entry per sample pixel)
+    const pixelCount = this.pixelWidth * this.pixelHeight;
     // Stores numeric brightness index for this frame
-    this.indexBuffer = Array(this.height).fill().map(() => Array(this.width).fill(-1));
+    this.indexBuffer = new Int16Array(pixelCount).fill(-1);
     // Stores numeric brightness index from previous frame (for temporal smoothing)
-    this.prevIndexBuffer = Array(this.height).fill().map(() => Array(this.width).fill(-1));
+    this.prevIndexBuffer = new Int16Array(pixelCount).fill(-1);
     // Depth buffer
-    this.depthBuffer = Array(this.height).fill().map(() => Array(this.width).fill(Infinity));
-    
-    // Back to the original character set that looked better
-    this.asciiChars = ' .:-+*=%@#';
+    this.depthBuffer = new Float32Array(pixelCount).fill(Infinity);
+    // Unquantized ramp position per pixel, kept for error-diffusion dithering
+    this.levelBuffer = new Float32Array(pixelCount);
+    this.diffusionError = null;
+    // Outline pass: edge glyph code (index into EDGE_GLYPHS) and depth of the nearest line per pixel
+    this.edgeBuffer = new Uint8Array(pixelCount);
+    this.edgeDepthBuffer = new Float32Array(pixelCount).fill(Infinity);
+    // Diagnostics: DEFECTS kind of the nearest face or defect edge per pixel, 0 for none
+    this.defectBuffer = new Uint8Array(pixelCount);
+
+    // Projection; sample pixels are square in sub-pixel modes, cell-shaped in ascii
+    this.camera.setViewport(this.pixelWidth, this.pixelHeight, this.camera.cellAspect * subX / subY);
+    this.clipLeft = 0;
+    this.clipRight = this.pixelWidth;
+    if (this.viewportCameras) this.fitViewports();
+  }
+
+  /**
+   * Split the screen into equal side-by-side viewports, one per camera in order from the left.
+   * Each mesh drawn with one of these cameras is projected into and clipped to its own columns,
+   * so the viewports share the buffers but never their depth. Pass null for one full view.
+   */
+  setViewports(cameras) {
+    this.viewportCameras = cameras && cameras.length ? cameras : null;
+    if (this.viewportCameras) this.fitViewports();
+    else this.camera.setViewport(this.pixelWidth, this.pixelHeight, this.camera.pixelAspect);
+  }
+
+  // Viewports of whole cells and equal width, so every camera gets the same scale; the columns
+  // left over when the width does not divide evenly are split between both sides
+  fitViewports() {
+    const [subX, subY] = SUBPIXELS[this.mode];
+    const count = this.viewportCameras.length;
+    const width = Math.floor(this.width / count);
+    const left = Math.floor((this.width - width * count) / 2);
+    this.viewportCameras.forEach((camera, i) => {
+      camera.setViewport(width * subX, this.pixelHeight, camera.cellAspect * subX / subY, (left + i * width) * subX);
+    });
+  }
+
+  // The camera a draw call uses; rasterization stays inside its viewport's columns
+  setActiveCamera(camera) {
+    this.activeCamera = camera;
+    this.clipLeft = Math.max(0, camera.originX);
+    this.clipRight = Math.min(this.pixelWidth, camera.originX + camera.pixelWidth);
+  }
+
+  // One escape sequence per ramp level, so coloring a cell is a table lookup
+  buildColorCodes(target) {
+    if (this.colorMode === 'none') return null;
+    return Array.from(this.asciiChars, (_, idx) => ansiColorCode(this.colorMode, this.levelColor(idx), target));
+  }
+
+  // Material color scaled for brightness level `idx` (unrounded RGB)
+  levelColor(idx) {
+    // Keep a little base color on the darkest level so shadowed faces stay visible
+    const shade = 0.2 + 0.8 * (idx / (this.asciiChars.length - 1));
+    return this.materialColor.map(c => c * shade);
   }
 
   clear() {
     for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        this.buffer[y][x] = ' ';
-        this.indexBuffer[y][x] = -1; // reset only current frame buffer; keep prevIndexBuffer for smoothing
-        this.depthBuffer[y][x] = Infinity;
+      this.buffer[y].fill(' ');
+    }
+    this.indexBuffer.fill(-1); // reset only current frame buffer; keep prevIndexBuffer for smoothing
+    this.depthBuffer.fill(Infinity);
+    if (this.outline !== 'off' || this.diagnose) {
+      this.edgeBuffer.fill(0);
+      this.edgeDepthBuffer.fill(Infinity);
+    }
+    if (this.diagnose) this.defectBuffer.fill(0);
+  }
+
+  projectToScreen(point, camera = this.camera) {
+    const out = this.scratchPoints;
+    this.projectInto(point.x, point.y, point.z, camera, out, 0);
+    return { x: out[0], y: out[1], z: out[2] };
+  }
+
+  // Project a view-space point into out[offset..offset+2] as sub-pixel x, y and depth in front
+  // of the camera. `camera` is a Camera, or a bare camera distance as older callers pass it.
+  projectInto(px, py, pz, camera, out, offset) {
+    if (typeof camera === 'number') this.camera.project(px, py, pz, out, offset, camera);
+    else camera.project(px, py, pz, out, offset);
+  }
+
+  // Flat lighting for a face: fractional ramp position from every light, evaluated at the face center
+  faceLevel(nx, ny, nz, cx, cy, cz) {
+    return this.lighting.shade(nx, ny, nz, cx, cy, cz) * (this.asciiChars.length - 1);
+  }
+
+  /**
+   * Hot path: draw a whole RenderMesh. Every distinct vertex and normal is transformed and
+   * projected once per frame into the mesh's typed working buffers, then faces are
+   * culled, lit and rasterized without allocating. Faces crossing the near plane are clipped.
+   */
+  drawMesh(mesh, rotationMatrix, lightDirection, camera = this.camera) {
+    if (typeof camera === 'number') camera = this.camera.withDistance(camera);
+    const [[m00, m01, m02], [m10, m11, m12], [m20, m21, m22]] = rotationMatrix;
+    const { positions, normals, viewPositions, screenPositions, viewNormals } = mesh;
+    const panX = camera.pan.x, panY = camera.pan.y;
+
+    for (let i = 0; i < positions.length; i += 3) {
+      const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+      const vx = x * m00 + y * m01 + z * m02 + panX;
+      const vy = x * m10 + y * m11 + z * m12 + panY;
+      const vz = x * m20 + y * m21 + z * m22;
+      viewPositions[i] = vx;
+      viewPositions[i + 1] = vy;
+      viewPositions[i + 2] = vz;
+      this.projectInto(vx, vy, vz, camera, screenPositions, i);
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+      const x = normals[i], y = normals[i + 1], z = normals[i + 2];
+      viewNormals[i] = x * m00 + y * m01 + z * m02;
+      viewNormals[i + 1] = x * m10 + y * m11 + z * m12;
+      viewNormals[i + 2] = x * m20 + y * m21 + z * m22;
+    }
+
+    const { indices, faceNormalIndices, cornerNormalIndices } = mesh;
+    this.lighting.setFrame(lightDirection, camera);
+    this.setActiveCamera(camera);
+    const needsPosition = this.lighting.needsPosition;
+    const points = this.scratchPoints;
+    const cornerNormals = this.scratchNormals;
+    const corners = this.scratchCorners;
+    const ortho = camera.orthographic;
+    const nearZ = camera.near - camera.distance; // view z of the near plane
+    const { frontFacing } = mesh;
+    // Wireframe draws no faces, so nothing hides the lines
+    const skipFaces = this.outline === 'wireframe';
+    const faceDefects = this.diagnose ? this.meshDefects(mesh).faceDefects : null;
+
+    for (let f = 0; f < mesh.faceCount; f++) {
+      const a = indices[f * 3] * 3, b = indices[f * 3 + 1] * 3, c = indices[f * 3 + 2] * 3;
+      const n = faceNormalIndices[f] * 3;
+      const nx = viewNormals[n], ny = viewNormals[n + 1], nz = viewNormals[n + 2];
+
+      // Backface culling – the camera sits at (0, 0, -distance), or looks straight down +z
+      // when orthographic; only the sign matters. Outlines use the result to find silhouettes.
+      // Defective faces are drawn either way, so a flipped normal cannot hide its own face.
+      let facing;
+      if (ortho) {
+        facing = nz < 0;
+      } else {
+        const toCameraX = -(viewPositions[a] + viewPositions[b] + viewPositions[c]) / 3;
+        const toCameraY = -(viewPositions[a + 1] + viewPositions[b + 1] + viewPositions[c + 1]) / 3;
+        const toCameraZ = -camera.distance - (viewPositions[a + 2] + viewPositions[b + 2] + viewPositions[c + 2]) / 3;
+        facing = nx * toCameraX + ny * toCameraY + nz * toCameraZ > 0;
+      }
+      frontFacing[f] = facing ? 1 : 0;
+      const defect = faceDefects ? faceDefects[f] : 0;
+      if ((!facing && this.culling && !defect) || skipFaces) continue;
+      this.faceDefect = defect || (facing || !faceDefects ? 0 : DEFECTS.BACK_FACE);
+      // Back faces are lit from their visible side
+      const side = facing ? 1 : -1;
+
+      const level = needsPosition
+        ? this.faceLevel(side * nx, side * ny, side * nz,
+          (viewPositions[a] + viewPositions[b] + viewPositions[c]) / 3,
+          (viewPositions[a + 1] + viewPositions[b + 1] + viewPositions[c + 1]) / 3,
+          (viewPositions[a + 2] + viewPositions[b + 2] + viewPositions[c + 2]) / 3)
+        : this.faceLevel(side * nx, side * ny, side * nz);
+      const zA = viewPositions[a + 2], zB = viewPositions[b + 2], zC = viewPositions[c + 2];
+      if (zA < nearZ && zB < nearZ && zC < nearZ) continue; // entirely behind the near plane
+      const clipped = zA < nearZ || zB < nearZ || zC < nearZ;
+
+      for (let k = 0; k < 3; k++) {
+        const v = k === 0 ? a : k === 1 ? b : c;
+        const cn = cornerNormalIndices[f * 3 + k] * 3;
+        if (clipped) {
+          corners[k * 6] = viewPositions[v];
+          corners[k * 6 + 1] = viewPositions[v + 1];
+          corners[k * 6 + 2] = viewPositions[v + 2];
+          corners[k * 6 + 3] = side * viewNormals[cn];
+          corners[k * 6 + 4] = side * viewNormals[cn + 1];
+          corners[k * 6 + 5] = side * viewNormals[cn + 2];
+          continue;
+        }
+        points[k * 3] = screenPositions[v];
+        points[k * 3 + 1] = screenPositions[v + 1];
+        points[k * 3 + 2] = screenPositions[v + 2];
+        cornerNormals[k * 3] = side * viewNormals[cn];
+        cornerNormals[k * 3 + 1] = side * viewNormals[cn + 1];
+        cornerNormals[k * 3 + 2] = side * viewNormals[cn + 2];
       }
+
+      if (clipped) this.rasterizeNearClipped(corners, level, lightDirection, camera);
+      else this.rasterizeProjected(points, level, cornerNormals, lightDirection, !ortho);
     }
+    this.faceDefect = 0;
+
+    if (this.outline !== 'off') this.drawOutline(mesh, camera);
+    if (this.diagnose) this.drawDefectEdges(mesh, camera);
   }
 
-  projectToScreen(point, cameraDistance = 5) {
-    // Perspective projection - match the original camera setup
-    // Original: camera.position.z = ((bbox.max.z * 3))
-    const z = point.z + cameraDistance;
-    if (z <= 0.1) return { x: -1, y: -1, z: point.z }; // Behind camera
-    
-    // More accurate perspective projection
-    const fov = 45 * Math.PI / 180; // Match original camera FOV
-    
-    // Terminal characters are typically 2:1 ratio (twice as tall as wide)
-    // So we need to stretch the Y axis to compensate
-    const charAspectRatio = 2.0; // Terminal character height/width ratio
-    const screenAspect = (this.width / this.height) * charAspectRatio;
-    
-    // Adjust scale for proper size
-    const scale = Math.tan(fov / 2) * z; // Normal scale factor
-    
-    // Center the projection with good screen usage for visibility
-    // Apply aspect ratio correction to Y coordinate
-    const screenX = (point.x / scale) * (this.width * 0.3) + this.width / 2;  // Increased to 0.3 for better visibility
-    const screenY = (-point.y / scale) * (this.height * 0.3) * charAspectRatio + this.height / 2; // Flip Y and stretch
-    
-    // Better stabilization to prevent up-down flickering
-    // Use more stable rounding for both coordinates
-    return { 
-      x: Math.floor(screenX + 0.5), 
-      y: Math.floor(screenY + 0.25), // Floor with smaller offset for stable Y
-      z: point.z 
+  // Defects of a mesh, found once and kept with it
+  meshDefects(mesh) {
+    if (!mesh.defects) mesh.defects = findDefects(mesh);
+    return mesh.defects;
+  }
+
+  // --diagnose: open and non-manifold edges, depth-tested against the surface like outlines
+  drawDefectEdges(mesh, camera) {
+    const { edges } = this.meshDefects(mesh);
+    for (let e = 0; e < edges.count; e++) {
+      this.drawEdge(mesh.viewPositions, edges.vertices[e * 2] * 3, edges.vertices[e * 2 + 1] * 3, camera, edges.kinds[e]);
+    }
+  }
+
+  // Clip a view-space edge (vertex offsets a, b) at the near plane, project it and draw it
+  drawEdge(viewPositions, a, b, camera, defect = 0) {
+    const nearZ = camera.near - camera.distance;
+    const segment = this.scratchSegment;
+    let ax = viewPositions[a], ay = viewPositions[a + 1], az = viewPositions[a + 2];
+    let bx = viewPositions[b], by = viewPositions[b + 1], bz = viewPositions[b + 2];
+    if (az < nearZ && bz < nearZ) return;
+    // Cut the part behind the near plane
+    if (az < nearZ || bz < nearZ) {
+      const t = (nearZ - az) / (bz - az);
+      const cx = ax + (bx - ax) * t, cy = ay + (by - ay) * t;
+      if (az < nearZ) [ax, ay, az] = [cx, cy, nearZ];
+      else [bx, by, bz] = [cx, cy, nearZ];
+    }
+    this.projectInto(ax, ay, az, camera, segment, 0);
+    this.projectInto(bx, by, bz, camera, segment, 3);
+    this.rasterizeLine(segment, !camera.orthographic, defect);
+  }
+
+  /**
+   * Outline pass over a mesh drawMesh has just transformed: silhouette edges (between a face
+   * towards the camera and one away from it) and feature edges (creases sharper than
+   * outlineAngle, open boundaries). Lines are depth-tested against the shaded surface, so edges
+   * behind it stay hidden; wireframe has no surface and shows them all. The line-only modes
+   * drop the shading first.
+   */
+  drawOutline(mesh, camera) {
+    const edges = mesh.featureEdges(this.outlineAngle);
+    const { viewPositions, frontFacing } = mesh;
+    const seeThrough = this.outline === 'wireframe';
+    if (this.outline !== 'overlay') {
+      // Only this viewport's shading goes; its depth stays to hide lines behind the surface
+      for (let row = 0; row < this.indexBuffer.length; row += this.pixelWidth) {
+        this.indexBuffer.fill(-1, row + this.clipLeft, row + this.clipRight);
+        this.defectBuffer.fill(0, row + this.clipLeft, row + this.clipRight);
+      }
+    }
+
+    for (let e = 0; e < edges.count; e++) {
+      const f0 = edges.faces[e * 2], f1 = edges.faces[e * 2 + 1];
+      const front0 = frontFacing[f0] === 1;
+      const front1 = f1 >= 0 && frontFacing[f1] === 1;
+      const silhouette = f1 >= 0 && front0 !== front1;
+      if (!silhouette && !(edges.feature[e] && (seeThrough || front0 || front1))) continue;
+
+      this.drawEdge(viewPositions, edges.vertices[e * 2] * 3, edges.vertices[e * 2 + 1] * 3, camera);
+    }
+  }
+
+  /**
+   * Draw a projected line (x, y, depth for both ends) into the edge buffer. The glyph follows
+   * the line's on-screen slope, measured with the sample pixels' real proportions. A `defect`
+   * kind marks the pixels in the defect buffer instead.
+   */
+  rasterizeLine(segment, perspective = !this.camera.orthographic, defect = 0) {
+    const x0 = segment[0], y0 = segment[1], z0 = segment[2];
+    const dx = segment[3] - x0, dy = segment[4] - y0;
+
+    // Clip the parameter range to the screen (Liang-Barsky), so off-screen ends cost nothing
+    let t0 = 0, t1 = 1;
+    const clip = (p, q) => {
+      if (p === 0) return q >= 0;
+      const t = q / p;
+      if (p < 0) {
+        if (t > t1) return false;
+        if (t > t0) t0 = t;
+      } else {
+        if (t < t0) return false;
+        if (t < t1) t1 = t;
+      }
+      return true;
     };
+    if (!clip(-dx, x0 - this.clipLeft) || !clip(dx, this.clipRight - x0) || !clip(-dy, y0) || !clip(dy, this.pixelHeight - y0)) return;
+
+    // Direction in degrees, 0 pointing right and counter-clockwise on screen, folded to [0, 180)
+    const angle = ((Math.atan2(-dy * this.camera.pixelAspect, dx) * 180 / Math.PI) + 180) % 180;
+    const code = angle < 22.5 || angle >= 157.5 ? 1 : angle < 67.5 ? 4 : angle < 112.5 ? 3 : 5;
+    const top = this.asciiChars.length - 1;
+
+    // Depth is linear in screen space for orthographic, its reciprocal for perspective
+    const w0 = perspective ? 1 / z0 : z0, w1 = perspective ? 1 / segment[5] : segment[5];
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) * (t1 - t0)));
+    for (let step = 0; step <= steps; step++) {
+      const t = t0 + (t1 - t0) * step / steps;
+      const x = x0 + dx * t, y = y0 + dy * t;
+      const px = Math.floor(x), py = Math.floor(y);
+      if (px < this.clipLeft || py < 0 || px >= this.clipRight || py >= this.pixelHeight) continue;
+      const w = w0 + (w1 - w0) * t;
+      const depth = perspective ? 1 / w : w;
+      const pixel = py * this.pixelWidth + px;
+      if (depth > this.depthBuffer[pixel] * (1 + OUTLINE_DEPTH_BIAS) || depth >= this.edgeDepthBuffer[pixel]) continue;
+      if (defect) {
+        this.defectBuffer[pixel] = defect;
+        this.edgeDepthBuffer[pixel] = depth;
+        continue;
+      }
+
+      // Horizontal lines low in their cell sit better as an underscore
+      this.edgeBuffer[pixel] = code === 1 && y - py >= 0.7 ? 2 : code;
+      this.edgeDepthBuffer[pixel] = depth;
+      // Lines are drawn at full brightness, which is also what the sub-pixel modes show
+      this.indexBuffer[pixel] = top;
+      this.levelBuffer[pixel] = top;
+    }
   }
 
-  drawTriangle(triangle, rotationMatrix, lightDirection, cameraDistance = 5) {
+  /**
+   * Clip a view-space triangle against the camera's near plane and rasterize what is left
+   * (nothing, one triangle or a quad split in two). `corners` holds x, y, z, nx, ny, nz per
+   * corner; normals are interpolated along the cut edges.
+   */
+  rasterizeNearClipped(corners, level, lightDirection, camera) {
+    const nearZ = camera.near - camera.distance;
+    const polygon = this.scratchPolygon;
+    let count = 0;
+    for (let i = 0; i < 3; i++) {
+      const p = i * 6, q = ((i + 1) % 3) * 6;
+      const dp = corners[p + 2] - nearZ, dq = corners[q + 2] - nearZ;
+      if (dp >= 0) {
+        for (let k = 0; k < 6; k++) polygon[count * 6 + k] = corners[p + k];
+        count++;
+      }
+      if ((dp >= 0) !== (dq >= 0)) {
+        // The edge crosses the plane: add the intersection point
+        const t = dp / (dp - dq);
+        for (let k = 0; k < 6; k++) polygon[count * 6 + k] = corners[p + k] + (corners[q + k] - corners[p + k]) * t;
+        count++;
+      }
+    }
+
+    const points = this.scratchPoints;
+    const normals = this.scratchNormals;
+    for (let fan = 1; fan + 1 < count; fan++) {
+      [0, fan, fan + 1].forEach((v, k) => {
+        const o = v * 6;
+        this.projectInto(polygon[o], polygon[o + 1], polygon[o + 2], camera, points, k * 3);
+        normals[k * 3] = polygon[o + 3];
+        normals[k * 3 + 1] = polygon[o + 4];
+        normals[k * 3 + 2] = polygon[o + 5];
+      });
+      this.rasterizeProjected(points, level, normals, lightDirection, !camera.orthographic);
+    }
+  }
+
+  drawTriangle(triangle, rotationMatrix, lightDirection, camera = this.camera) {
+    if (typeof camera === 'number') camera = this.camera.withDistance(camera);
     // Transform vertices - rotation should happen around the model's center (0,0,0)
     // Since we already centered the model, rotation should be around origin
-    const v1 = this.applyMatrix(triangle.v1, rotationMatrix);
-    const v2 = this.applyMatrix(triangle.v2, rotationMatrix);
-    const v3 = this.applyMatrix(triangle.v3, rotationMatrix);
+    const pan = new Vector3(camera.pan.x, camera.pan.y, 0);
+    const v1 = this.applyMatrix(triangle.v1, rotationMatrix).add(pan);
+    const v2 = this.applyMatrix(triangle.v2, rotationMatrix).add(pan);
+    const v3 = this.applyMatrix(triangle.v3, rotationMatrix).add(pan);
     // Use smoothed per-vertex normals and interpolate for a Gouraud-like effect
-    const n1 = this.applyMatrix(triangle.vn1 || triangle.normal, rotationMatrix);
-    const n2 = this.applyMatrix(triangle.vn2 || triangle.normal, rotationMatrix);
-    const n3 = this.applyMatrix(triangle.vn3 || triangle.normal, rotationMatrix);
-    const normal = this.applyMatrix(triangle.normal, rotationMatrix);
+    let n1 = this.applyMatrix(triangle.vn1 || triangle.normal, rotationMatrix);
+    let n2 = this.applyMatrix(triangle.vn2 || triangle.normal, rotationMatrix);
+    let n3 = this.applyMatrix(triangle.vn3 || triangle.normal, rotationMatrix);
+    let normal = this.applyMatrix(triangle.normal, rotationMatrix);
 
     // Backface culling – make mesh opaque by discarding triangles facing away
     const centerView = new Vector3(
@@ -256,109 +630,200 @@ class TerminalRenderer {
       (v1.y + v2.y + v3.y) / 3,
       (v1.z + v2.z + v3.z) / 3
     );
-    const cameraPos = new Vector3(0, 0, -cameraDistance);
-    const viewVector = cameraPos.subtract(centerView).normalize();
-    if (normal.dot(viewVector) <= 0) {
-      return; // Back-facing: skip to avoid see-through
+    const viewVector = camera.orthographic
+      ? new Vector3(0, 0, -1)
+      : new Vector3(0, 0, -camera.distance).subtract(centerView).normalize();
+    const facing = normal.dot(viewVector) > 0;
+    if (!facing) {
+      if (this.culling) return; // Back-facing: skip to avoid see-through
+      // Culling off: light the back face from the side that shows
+      [normal, n1, n2, n3] = [normal, n1, n2, n3].map(n => n.multiply(-1));
     }
+    this.faceDefect = !facing && this.diagnose ? DEFECTS.BACK_FACE : 0;
 
-    // Project to screen coordinates using calculated camera distance
-    const p1 = this.projectToScreen(v1, cameraDistance);
-    const p2 = this.projectToScreen(v2, cameraDistance);
-    const p3 = this.projectToScreen(v3, cameraDistance);
-
-    // Calculate dramatic lighting from top-right
-    const dotProduct = normal.dot(lightDirection);
-    const directionalLight = Math.max(0, dotProduct);
-    
-    // Softer, smoother lighting for fewer banding patterns
-    const ambientLight = 0.35; // moderate ambient to fill gaps
-    const smoothLight = Math.pow(directionalLight, 1.2) * 0.7; // slightly softer response
-    
-    // Combine with a gentle minimum to avoid dark banding
-    let lightIntensity = Math.max(0.25, smoothLight + ambientLight);
-    lightIntensity = Math.min(1.0, lightIntensity);
-    
-    const charIndex = Math.floor(lightIntensity * (this.asciiChars.length - 1));
-
-    // Simple triangle rasterization
-    this.rasterizeTriangle(p1, p2, p3, charIndex, [n1, n2, n3], lightDirection);
+    this.lighting.setFrame(lightDirection, camera);
+    this.setActiveCamera(camera);
+    const level = this.faceLevel(normal.x, normal.y, normal.z, centerView.x, centerView.y, centerView.z);
+    const corners = this.scratchCorners;
+    [[v1, n1], [v2, n2], [v3, n3]].forEach(([v, n], k) => {
+      corners.set([v.x, v.y, v.z, n.x, n.y, n.z], k * 6);
+    });
+    this.rasterizeNearClipped(corners, level, lightDirection, camera);
+    this.faceDefect = 0;
   }
 
   rasterizeTriangle(p1, p2, p3, charIndex, vertexNormals = null, lightDirection = null) {
-    // Skip if any points are behind camera
-    if (p1.x < 0 || p1.y < 0 || p2.x < 0 || p2.y < 0 || p3.x < 0 || p3.y < 0) {
-      return;
+    const points = Float64Array.of(p1.x, p1.y, p1.z, p2.x, p2.y, p2.z, p3.x, p3.y, p3.z);
+    const normals = vertexNormals && Float64Array.from(vertexNormals.flatMap(n => [n.x, n.y, n.z]));
+    this.rasterizeProjected(points, charIndex, normals, lightDirection);
+  }
+
+  /**
+   * Rasterize a projected triangle. `points` holds sub-pixel x, y and the depth in front of the
+   * camera for the three corners; `level` is the flat ramp position (may be fractional, dithering
+   * picks the glyph); `normals` (optional) the three view-space vertex normals for per-pixel lighting.
+   *
+   * Pixels are sampled at their centers. Depth and normals are interpolated per pixel with
+   * perspective-correct barycentrics (plain screen-space ones when `perspective` is false), and
+   * the top-left fill rule gives pixels on an edge shared by two triangles to exactly one of them.
+   * Slivers too thin to cover any pixel center are drawn as a one-pixel line instead of vanishing.
+   */
+  rasterizeProjected(points, level, normals = null, lightDirection = null, perspective = !this.camera.orthographic) {
+    let x0 = points[0], y0 = points[1], z0 = points[2];
+    let x1 = points[3], y1 = points[4], z1 = points[5];
+    const x2 = points[6], y2 = points[7], z2 = points[8];
+    let v0 = 0, v1 = 1; // which input corner each of the first two vertices came from
+
+    // Orient counter-clockwise on screen (positive area) so "inside" is the same side of every edge
+    let area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (area < 0) {
+      [x0, y0, z0, x1, y1, z1, v0, v1] = [x1, y1, z1, x0, y0, z0, v1, v0];
+      area = -area;
     }
-    
-    // Find bounding box
-    const minX = Math.max(0, Math.min(p1.x, p2.x, p3.x));
-    const maxX = Math.min(this.width - 1, Math.max(p1.x, p2.x, p3.x));
-    const minY = Math.max(0, Math.min(p1.y, p2.y, p3.y));
-    const maxY = Math.min(this.height - 1, Math.max(p1.y, p2.y, p3.y));
-
-    // Skip degenerate triangles
-    if (minX >= maxX || minY >= maxY) return;
-
-    for (let y = minY; y <= maxY; y++) {
-      for (let x = minX; x <= maxX; x++) {
-        if (this.isPointInTriangle(x, y, p1, p2, p3)) {
-          // Calculate depth (simple average for now)
-          const depth = (p1.z + p2.z + p3.z) / 3;
-          
-          // Simple depth testing with smaller bias to reduce fighting
-          const depthBias = 0.005; // Much smaller bias to reduce artifacts
-          if (depth < this.depthBuffer[y][x] - depthBias) {
-            // If we have per-vertex normals, recompute brightness per-pixel via barycentric interpolation
-            let effectiveIndex = charIndex;
-            if (this.usePerPixelLighting && vertexNormals && lightDirection) {
-              // Barycentric weights for pixel
-              const denom = (p2.y - p3.y) * (p1.x - p3.x) + (p3.x - p2.x) * (p1.y - p3.y);
-              const a = ((p2.y - p3.y) * (x - p3.x) + (p3.x - p2.x) * (y - p3.y)) / denom;
-              const b = ((p3.y - p1.y) * (x - p3.x) + (p1.x - p3.x) * (y - p3.y)) / denom;
-              const c = 1 - a - b;
-              const nx = vertexNormals[0].x * a + vertexNormals[1].x * b + vertexNormals[2].x * c;
-              const ny = vertexNormals[0].y * a + vertexNormals[1].y * b + vertexNormals[2].y * c;
-              const nz = vertexNormals[0].z * a + vertexNormals[1].z * b + vertexNormals[2].z * c;
-              const nInterp = new Vector3(nx, ny, nz).normalize();
-              const dLight = Math.max(0, nInterp.dot(lightDirection));
-              const ambient = 0.35;
-              const smooth = Math.pow(dLight, 1.2) * 0.7;
-              const intensity = Math.min(1, Math.max(0.25, ambient + smooth));
-              effectiveIndex = Math.floor(intensity * (this.asciiChars.length - 1));
-            }
-
-            // Temporal smoothing to reduce mid-shape flicker:
-            const prevIdx = this.prevIndexBuffer[y][x];
-            let blendedIdx = effectiveIndex;
-            if (prevIdx !== -1) {
-              // Lighter temporal smoothing to avoid perceived lag
-              blendedIdx = Math.round(prevIdx * 0.3 + effectiveIndex * 0.7);
-            }
-            this.indexBuffer[y][x] = blendedIdx;
-            this.depthBuffer[y][x] = depth;
-          }
+
+    const minX = Math.min(x0, x1, x2), maxX = Math.max(x0, x1, x2);
+    const minY = Math.min(y0, y1, y2), maxY = Math.max(y0, y1, y2);
+    // Pixel centers inside the bounding box, clipped to the screen edges (the viewport's, in split screen)
+    const startX = Math.max(this.clipLeft, Math.ceil(minX - 0.5)), endX = Math.min(this.clipRight - 1, Math.floor(maxX - 0.5));
+    const startY = Math.max(0, Math.ceil(minY - 0.5)), endY = Math.min(this.pixelHeight - 1, Math.floor(maxY - 0.5));
+
+    // Top-left rule: a center exactly on an edge belongs to the triangle only for top or left edges
+    const topLeft = (ax, ay, bx, by) => by < ay || (by === ay && bx > ax);
+    const tl0 = topLeft(x1, y1, x2, y2), tl1 = topLeft(x2, y2, x0, y0), tl2 = topLeft(x0, y0, x1, y1);
+
+    // Perspective correction interpolates attribute / depth and 1 / depth linearly in screen space
+    const w0 = perspective ? 1 / z0 : 1, w1 = perspective ? 1 / z1 : 1, w2 = perspective ? 1 / z2 : 1;
+    const shade = this.usePerPixelLighting && normals && lightDirection ? normals : null;
+    if (shade) this.lighting.setFrame(lightDirection);
+    let covered = false;
+
+    if (area > 0) {
+      for (let py = startY; py <= endY; py++) {
+        const sy = py + 0.5;
+        for (let px = startX; px <= endX; px++) {
+          const sx = px + 0.5;
+          const e0 = (x2 - x1) * (sy - y1) - (y2 - y1) * (sx - x1);
+          if (e0 < 0 || (e0 === 0 && !tl0)) continue;
+          const e1 = (x0 - x2) * (sy - y2) - (y0 - y2) * (sx - x2);
+          if (e1 < 0 || (e1 === 0 && !tl1)) continue;
+          const e2 = (x1 - x0) * (sy - y0) - (y1 - y0) * (sx - x0);
+          if (e2 < 0 || (e2 === 0 && !tl2)) continue;
+          covered = true;
+
+          // Screen-space barycentrics, then perspective-correct weights
+          const b0 = e0 / area * w0, b1 = e1 / area * w1, b2 = e2 / area * w2;
+          const sum = b0 + b1 + b2;
+          const depth = perspective ? 1 / sum : (b0 * z0 + b1 * z1 + b2 * z2);
+          this.shadePixel(px, py, depth, level, shade, v0, b0 / sum, v1, b1 / sum, b2 / sum);
         }
       }
     }
+    if (covered) return;
+
+    // Sliver: bounding box thinner than a pixel in one direction and no center covered. Walk the
+    // longest edge one pixel at a time so the feature still shows up.
+    if (maxX - minX >= 1 && maxY - minY >= 1) return;
+    const edges = [[x0, y0, 0, x1, y1, 1], [x1, y1, 1, x2, y2, 2], [x2, y2, 2, x0, y0, 0]];
+    let longest = edges[0], longestSq = -1;
+    edges.forEach(edge => {
+      const lengthSq = (edge[3] - edge[0]) ** 2 + (edge[4] - edge[1]) ** 2;
+      if (lengthSq > longestSq) {
+        longest = edge;
+        longestSq = lengthSq;
+      }
+    });
+    const [ax, ay, ia, bx, by, ib] = longest;
+    const zs = [z0, z1, z2], ws = [w0, w1, w2], sources = [v0, v1, 2];
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(bx - ax), Math.abs(by - ay))));
+    for (let step = 0; step <= steps; step++) {
+      const t = step / steps;
+      const px = Math.floor(ax + (bx - ax) * t), py = Math.floor(ay + (by - ay) * t);
+      if (px < this.clipLeft || py < 0 || px >= this.clipRight || py >= this.pixelHeight) continue;
+      const ba = (1 - t) * ws[ia], bb = t * ws[ib];
+      const depth = perspective ? 1 / (ba + bb) : (1 - t) * zs[ia] + t * zs[ib];
+      // Weights for the two edge corners; the third corner gets none
+      const weights = [0, 0, 0];
+      weights[sources[ia]] = ba / (ba + bb);
+      weights[sources[ib]] = bb / (ba + bb);
+      this.shadePixel(px, py, depth, level, shade, 0, weights[0], 1, weights[1], weights[2]);
+    }
   }
 
-  // Helper function to get character brightness level
-  getCharBrightness(char) {
-    const index = this.asciiChars.indexOf(char);
-    return index >= 0 ? index : 0;
+  /**
+   * Depth-test and write one sample. The weights belong to input corners `ia` and `ib` plus the
+   * remaining one (`wc`); they interpolate the vertex normals when per-pixel lighting is on.
+   */
+  shadePixel(px, py, depth, level, normals, ia, wa, ib, wb, wc) {
+    const pixel = py * this.pixelWidth + px;
+    if (!(depth < this.depthBuffer[pixel])) return;
+
+    // If we have per-vertex normals, recompute brightness per-pixel from the interpolated normal
+    if (normals) {
+      const ic = 3 - ia - ib;
+      const oa = ia * 3, ob = ib * 3, oc = ic * 3;
+      const nx = normals[oa] * wa + normals[ob] * wb + normals[oc] * wc;
+      const ny = normals[oa + 1] * wa + normals[ob + 1] * wb + normals[oc + 1] * wc;
+      const nz = normals[oa + 2] * wa + normals[ob + 2] * wb + normals[oc + 2] * wc;
+      let intensity;
+      if (this.lighting.needsPosition) {
+        const p = this.unprojectScratch;
+        (this.activeCamera || this.camera).unproject(px + 0.5, py + 0.5, depth, p);
+        intensity = this.lighting.shade(nx, ny, nz, p[0], p[1], p[2]);
+      } else {
+        intensity = this.lighting.shade(nx, ny, nz);
+      }
+      level = intensity * (this.asciiChars.length - 1);
+    }
+    this.levelBuffer[pixel] = level;
+
+    // Temporal smoothing to reduce mid-shape flicker:
+    const effectiveIndex = this.quantizeLevel(level, px, py);
+    const prevIdx = this.prevIndexBuffer[pixel];
+    let blendedIdx = effectiveIndex;
+    if (prevIdx !== -1) {
+      // Lighter temporal smoothing to avoid perceived lag
+      blendedIdx = Math.round(prevIdx * 0.3 + effectiveIndex * 0.7);
+    }
+    this.indexBuffer[pixel] = blendedIdx;
+    this.depthBuffer[pixel] = depth;
+    this.defectBuffer[pixel] = this.faceDefect;
   }
 
-  isPointInTriangle(px, py, p1, p2, p3) {
-    // Barycentric coordinate method
-    const denom = (p2.y - p3.y) * (p1.x - p3.x) + (p3.x - p2.x) * (p1.y - p3.y);
-    if (Math.abs(denom) < 0.001) return false; // Degenerate triangle
-    
-    const a = ((p2.y - p3.y) * (px - p3.x) + (p3.x - p2.x) * (py - p3.y)) / denom;
-    const b = ((p3.y - p1.y) * (px - p3.x) + (p1.x - p3.x) * (py - p3.y)) / denom;
-    const c = 1 - a - b;
-    
-    return a >= 0 && b >= 0 && c >= 0;
+  // Pick the ramp glyph for a fractional level; ordered dithering offsets it by a Bayer threshold
+  quantizeLevel(level, px, py) {
+    if (this.dither === 'ordered') {
+      const threshold = (BAYER_4X4[py % 4][px % 4] + 0.5) / 16;
+      return Math.min(this.asciiChars.length - 1, Math.floor(level + threshold));
+    }
+    return Math.floor(level);
+  }
+
+  /**
+   * Floyd-Steinberg error diffusion over the finished frame: each covered pixel rounds its level
+   * and pushes the rounding error onto the neighbours it has not visited yet. The pattern itself does
+   * the smoothing, so temporal blending is skipped.
+   */
+  diffuseLevels() {
+    const { pixelWidth, pixelHeight, indexBuffer, levelBuffer } = this;
+    const levels = this.asciiChars.length - 1;
+    const error = this.diffusionError || (this.diffusionError = new Float32Array(levelBuffer.length));
+    error.fill(0);
+    for (let y = 0; y < pixelHeight; y++) {
+      for (let x = 0; x < pixelWidth; x++) {
+        const pixel = y * pixelWidth + x;
+        if (indexBuffer[pixel] === -1) continue;
+        const value = levelBuffer[pixel] + error[pixel];
+        const index = Math.min(levels, Math.max(0, Math.round(value)));
+        indexBuffer[pixel] = index;
+        const err = value - index;
+        if (x + 1 < pixelWidth) error[pixel + 1] += err * 7 / 16;
+        if (y + 1 < pixelHeight) {
+          if (x > 0) error[pixel + pixelWidth - 1] += err * 3 / 16;
+          error[pixel + pixelWidth] += err * 5 / 16;
+          if (x + 1 < pixelWidth) error[pixel + pixelWidth + 1] += err / 16;
+        }
+      }
+    }
   }
 
   applyMatrix(vector, matrix) {
@@ -369,150 +834,1270 @@ class TerminalRenderer {
     );
   }
 
-  render() {
-    // Use cursor positioning instead of console.clear() to reduce flickering
-    process.stdout.write('\x1b[H'); // Move cursor to home position
-    
-    let output = '';
+  // Compose every cell into flat glyph/code arrays (reused between frames, y * width + x).
+  // fgLevels/bgLevels hold the brightness level behind each cell's colors, -1 for none, so
+  // image exports can color cells without parsing escape codes.
+  composeCells({ color = true } = {}) {
+    const colored = color && this.colorMode !== 'none';
+    const compose = this.mode === 'halfblock' ? this.composeHalfBlock
+      : this.mode === 'braille' ? this.composeBraille
+      : this.composeAscii;
+    const cellCount = this.width * this.height;
+    if (!this.cells || this.cells.glyphs.length !== cellCount) {
+      this.cells = {
+        glyphs: new Array(cellCount).fill(' '),
+        codes: new Array(cellCount).fill(ANSI_RESET),
+        fgLevels: new Int16Array(cellCount).fill(-1),
+        bgLevels: new Int16Array(cellCount).fill(-1)
+      };
+    }
+    const { glyphs, codes, fgLevels, bgLevels } = this.cells;
+    if (this.dither === 'diffusion') this.diffuseLevels();
+    const cell = { glyph: ' ', code: ANSI_RESET, fg: -1, bg: -1 };
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const i = y * this.width + x;
+        cell.code = ANSI_RESET;
+        cell.fg = -1;
+        cell.bg = -1;
+        compose.call(this, x, y, colored, cell);
+        glyphs[i] = cell.glyph;
+        codes[i] = colored ? cell.code : ANSI_RESET;
+        fgLevels[i] = cell.fg;
+        bgLevels[i] = cell.bg;
+      }
+    }
+    if (this.diagnose) this.markDefects(colored);
+
+    // Prepare for next frame: carry over the chosen indexes
+    this.prevIndexBuffer.set(this.indexBuffer);
+    return this.cells;
+  }
+
+  // Build the current frame as an array of text lines without writing anything.
+  // Lines include ANSI color sequences unless color is disabled or `color` is false.
+  toLines(options = {}) {
+    const { glyphs, codes } = this.composeCells(options);
+    const lines = new Array(this.height);
+    for (let y = 0; y < this.height; y++) {
+      let line = '';
+      let activeCode = ANSI_RESET; // color currently set on the row, reset = default colors
+      for (let i = y * this.width, end = i + this.width; i < end; i++) {
+        // Only emit escape codes when the color changes along the row
+        if (codes[i] !== activeCode) {
+          line += codes[i];
+          activeCode = codes[i];
+        }
+        line += glyphs[i];
+      }
+      if (activeCode !== ANSI_RESET) line += ANSI_RESET;
+      lines[y] = line;
+    }
+    return lines;
+  }
+
+  // One sample per cell: glyph from the brightness ramp
+  composeAscii(x, y, colored, cell) {
+    // Build cell from indexBuffer; fall back to space when empty
+    const pixel = y * this.pixelWidth + x;
+    const idx = this.indexBuffer[pixel];
+    if (idx < 0) {
+      cell.glyph = ' ';
+      return;
+    }
+    const bg = this.colorTarget === 'bg';
+    const edge = this.edgeBuffer[pixel];
+    if (edge) {
+      // Outline glyphs always need a foreground color to show
+      cell.glyph = EDGE_GLYPHS[edge];
+      cell.fg = idx;
+      if (colored) cell.code = bg ? ANSI_RESET + this.fgCodes[idx] : this.fgCodes[idx];
+      return;
+    }
+    cell.glyph = colored && bg ? ' ' : this.asciiChars[idx];
+    if (colored && bg) cell.bg = idx;
+    else cell.fg = idx;
+    if (colored) cell.code = (bg ? this.bgCodes : this.fgCodes)[idx];
+  }
+
+  // Two vertical samples per cell. With color, the upper sample becomes the foreground of
+  // '▀' and the lower one its background; without color, full cells use shade blocks.
+  composeHalfBlock(x, y, colored, cell) {
+    const top = this.indexBuffer[y * 2 * this.pixelWidth + x];
+    const bottom = this.indexBuffer[(y * 2 + 1) * this.pixelWidth + x];
+    if (top < 0 && bottom < 0) {
+      cell.glyph = ' ';
+    } else if (bottom < 0) {
+      cell.glyph = '▀';
+      cell.fg = top;
+      // Reset first so a background from the previous cell does not leak into this one
+      if (colored) cell.code = ANSI_RESET + this.fgCodes[top];
+    } else if (top < 0) {
+      cell.glyph = '▄';
+      cell.fg = bottom;
+      if (colored) cell.code = ANSI_RESET + this.fgCodes[bottom];
+    } else if (colored) {
+      cell.glyph = '▀';
+      cell.fg = top;
+      cell.bg = bottom;
+      cell.code = this.fgCodes[top] + this.bgCodes[bottom];
+    } else {
+      cell.fg = Math.round((top + bottom) / 2);
+      const level = (top + bottom) / 2 / (this.asciiChars.length - 1);
+      cell.glyph = SHADE_BLOCKS[Math.min(SHADE_BLOCKS.length - 1, Math.floor(level * SHADE_BLOCKS.length))];
+    }
+  }
+
+  // 2x4 dots per cell. Dots are ordered-dithered by brightness so shading shows as dot
+  // density; with color the cell is also tinted by the average brightness of its dots.
+  composeBraille(x, y, colored, cell) {
+    const levels = this.asciiChars.length - 1;
+    let bits = 0;
+    let sum = 0;
+    let count = 0;
+    for (let dy = 0; dy < 4; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        const px = x * 2 + dx;
+        const py = y * 4 + dy;
+        const idx = this.indexBuffer[py * this.pixelWidth + px];
+        if (idx < 0) continue;
+        sum += idx;
+        count++;
+        // Lift the floor so even shadowed surfaces keep a sparse dot pattern
+        const threshold = (BAYER_4X4[py % 4][px % 4] + 0.5) / 16;
+        if (0.3 + 0.7 * (idx / levels) >= threshold) bits |= BRAILLE_DOT_BITS[dy][dx];
+      }
+    }
+    cell.glyph = bits ? String.fromCharCode(0x2800 + bits) : ' ';
+    if (bits) cell.fg = Math.round(sum / count);
+    if (colored && bits) cell.code = this.fgCodes[cell.fg];
+  }
+
+  // --diagnose: cells with a defect in any of their samples show the most severe one's glyph
+  markDefects(colored) {
+    const [subX, subY] = SUBPIXELS[this.mode];
+    const { glyphs, codes, fgLevels, bgLevels } = this.cells;
     for (let y = 0; y < this.height; y++) {
-      // Build line from indexBuffer; fall back to space when empty
-      const line = new Array(this.width);
       for (let x = 0; x < this.width; x++) {
-        const idx = this.indexBuffer[y][x];
-        line[x] = idx >= 0 ? this.asciiChars[idx] : ' ';
-        // Prepare for next frame: carry over the chosen index
-        this.prevIndexBuffer[y][x] = idx;
+        let defect = 0;
+        for (let dy = 0; dy < subY; dy++) {
+          const row = (y * subY + dy) * this.pixelWidth + x * subX;
+          for (let dx = 0; dx < subX; dx++) defect = Math.max(defect, this.defectBuffer[row + dx]);
+        }
+        if (!defect) continue;
+        const i = y * this.width + x;
+        glyphs[i] = DEFECT_GLYPHS[defect];
+        if (colored) codes[i] = this.defectCodes[defect];
+        fgLevels[i] = -1;
+        bgLevels[i] = -1;
       }
-      output += line.join('') + '\n';
     }
-    process.stdout.write(output);
+  }
+
+  // Forget previous frames so the next one is not temporally blended (used for standalone snapshots)
+  resetHistory() {
+    this.prevIndexBuffer.fill(-1);
+  }
+
+  render(stream = process.stdout) {
+    // Use cursor positioning instead of console.clear() to reduce flickering
+    stream.write('\x1b[H'); // Move cursor to home position
+    stream.write(this.toLines().join('\n') + '\n');
   }
 }
 
-function createRotationMatrix(angleX, angleY, angleZ) {
-  // Normalize angles to prevent precision issues
-  angleX = angleX % (2 * Math.PI);
-  angleY = angleY % (2 * Math.PI);
-  angleZ = angleZ % (2 * Math.PI);
-  
-  const cosX = Math.cos(angleX), sinX = Math.sin(angleX);
-  const cosY = Math.cos(angleY), sinY = Math.sin(angleY);
-  const cosZ = Math.cos(angleZ), sinZ = Math.sin(angleZ);
-
-  // Combined rotation matrix (Z * Y * X)
-  return [
-    [cosY * cosZ, -cosY * sinZ, sinY],
-    [sinX * sinY * cosZ + cosX * sinZ, -sinX * sinY * sinZ + cosX * cosZ, -sinX * cosY],
-    [-cosX * sinY * cosZ + sinX * sinZ, cosX * sinY * sinZ + sinX * cosZ, cosX * cosY]
+const EXPORT_FORMATS = ['txt', 'json', ...ANIMATION_FORMATS];
+// Several models: one combined scene, or side-by-side viewports with a shared scale
+const LAYOUTS = ['combined', 'split'];
+
+// Command-line / config-file options. Each spec describes one flag; the same
+// specs drive parsing, validation, config-file checking and --help output.
+const OPTION_SPECS = [
+  { key: 'width', flag: '--width', alias: '-W', type: 'int', min: 10, arg: 'cols', description: 'Render width in columns (default: terminal width)' },
+  { key: 'height', flag: '--height', alias: '-H', type: 'int', min: 5, arg: 'rows', description: 'Render height in rows (default: terminal height)' },
+  { key: 'fps', flag: '--fps', type: 'number', min: 1, max: 120, arg: 'n', description: 'Target frames per second (default: ~16)' },
+  { key: 'axis', flag: '--axis', type: 'enum', values: ['x', 'y', 'z'], arg: 'x|y|z', description: 'Spin axis (default: y)' },
+  { key: 'speed', flag: '--speed', type: 'number', min: -1, max: 1, arg: 'rad', description: 'Rotation per frame in radians, negative spins backwards (default: 0.04)' },
+  { key: 'timeline', flag: '--timeline', type: 'string', arg: 'file', description: 'Play a JSON timeline of keyframed rotation, camera distance and pan, and light, with easing' },
+  { key: 'duration', flag: '--duration', type: 'number', min: 0.1, arg: 's', description: 'Quit the live view after this many seconds, e.g. as a splash screen (default: run until quit)' },
+  { key: 'cameraDistance', flag: '--camera-distance', type: 'number', min: 1, max: 100, arg: 'n', description: 'Camera distance from the model center, with --auto-frame off (default: 3)' },
+  { key: 'projection', flag: '--projection', type: 'enum', values: PROJECTIONS, arg: 'mode', description: 'Camera projection: perspective or orthographic (default: perspective)' },
+  { key: 'fov', flag: '--fov', type: 'number', min: 5, max: 150, arg: 'deg', description: `Field of view across the smaller screen dimension (default: ${DEFAULT_FOV})` },
+  { key: 'cellAspect', flag: '--cell-aspect', type: 'number', min: 0.5, max: 4, arg: 'n', description: `Character cell height / width of your terminal font (default: ${DEFAULT_CELL_ASPECT})` },
+  { key: 'autoFrame', flag: '--auto-frame', type: 'enum', values: ['on', 'off'], arg: 'on|off', description: 'Place the camera so the model fills the view at any rotation; off uses --camera-distance (default: on)' },
+  { key: 'scale', flag: '--scale', type: 'number', min: 0.01, max: 100, arg: 'n', description: 'Model size relative to the view with --auto-frame off, 1.5 fills it nicely (default: 1.5)' },
+  { key: 'lightAngle', flag: '--light-angle', type: 'number', arg: 'deg', description: 'Initial light angle around the ring in degrees (default: 0)' },
+  { key: 'ramp', flag: '--ramp', type: 'enum', values: RAMP_NAMES, arg: 'name', description: `Brightness ramp: ${RAMP_NAMES.join(', ')} (default: standard "${DEFAULT_CHARS}")` },
+  { key: 'chars', flag: '--chars', type: 'string', minLength: 2, arg: 'ramp', description: 'Custom character ramp from dark to bright; overrides --ramp' },
+  { key: 'font', flag: '--font', type: 'string', arg: 'file', description: 'Calibrate the ramp against a BDF or PSF bitmap font: order glyphs by measured ink' },
+  { key: 'rampLevels', flag: '--ramp-levels', type: 'int', min: 2, max: 256, arg: 'n', description: 'With --font: pick n evenly spaced glyphs from the ramp (default: all of them)' },
+  { key: 'calibrate', flag: '--calibrate', type: 'boolean', description: 'Print the resolved ramp with each glyph\'s coverage in --font and exit (no model needed)' },
+  { key: 'lighting', flag: '--lighting', type: 'enum', values: ['smooth', 'flat'], arg: 'smooth|flat', description: 'Per-pixel smooth shading or flat per-triangle shading (default: smooth)' },
+  { key: 'ambient', flag: '--ambient', type: 'number', min: 0, max: 1, arg: 'n', description: `Ambient light level (default: ${DEFAULT_MATERIAL.ambient})` },
+  { key: 'diffuse', flag: '--diffuse', type: 'number', min: 0, max: 2, arg: 'n', description: `Diffuse gain of the lights (default: ${DEFAULT_MATERIAL.diffuse})` },
+  { key: 'specular', flag: '--specular', type: 'number', min: 0, max: 2, arg: 'n', description: 'Blinn-Phong highlight strength, 0 for matte (default: 0)' },
+  { key: 'shininess', flag: '--shininess', type: 'number', min: 1, max: 1024, arg: 'n', description: `Highlight tightness, higher is glossier (default: ${DEFAULT_MATERIAL.shininess})` },
+  { key: 'rim', flag: '--rim', type: 'number', min: 0, max: 2, arg: 'n', description: 'Rim (fresnel) light strength along silhouettes (default: 0)' },
+  { key: 'lights', flag: '--lights', type: 'lights', arg: 'spec', description: 'Extra lights besides the key light, e.g. "dir:-1,1,-1@0.5;point:0,2,-3@0.8"' },
+  { key: 'dither', flag: '--dither', type: 'enum', values: DITHER_MODES, arg: 'mode', description: 'Spread in-between brightness across glyphs: none, ordered or diffusion (default: none)' },
+  { key: 'outline', flag: '--outline', type: 'enum', values: OUTLINE_MODES, arg: 'mode', description: 'Silhouette and crease lines: off, overlay on the shading, hidden-line or wireframe (default: off)' },
+  { key: 'outlineAngle', flag: '--outline-angle', type: 'number', min: 0, max: 180, arg: 'deg', description: `Outline edges whose faces meet at more than this angle (default: ${DEFAULT_OUTLINE_ANGLE})` },
+  { key: 'diagnose', flag: '--diagnose', type: 'boolean', description: 'Mark mesh defects: open and non-manifold edges, flipped normals, bad winding and duplicate facets' },
+  { key: 'culling', flag: '--culling', type: 'enum', values: ['on', 'off'], arg: 'on|off', description: 'Hide faces turned away from the camera; off shows inside-out regions (default: on)' },
+  { key: 'creaseAngle', flag: '--crease-angle', type: 'number', min: 0, max: 180, arg: 'deg', description: `Keep edges sharper than this angle hard when smoothing, 180 smooths all (default: ${DEFAULT_CREASE_ANGLE})` },
+  { key: 'weldTolerance', flag: '--weld-tolerance', type: 'number', min: 0, arg: 'n', description: `Merge vertices closer than this, in model units (default: ${DEFAULT_WELD_TOLERANCE})` },
+  { key: 'transform', flag: '--transform', type: 'transforms', arg: 'spec', description: 'Place each model, ";" between models in file order, e.g. "; move:130,0,0 rotate:0,0,90 scale:2"' },
+  { key: 'layout', flag: '--layout', type: 'enum', values: LAYOUTS, arg: 'mode', description: 'Several models: combined into one scene, or split side by side at a shared scale (default: combined)' },
+  { key: 'targetTriangles', flag: '--decimate', type: 'int', min: 4, arg: 'n', description: 'Simplify the mesh to about n triangles with quadric edge collapse (default: off)' },
+  { key: 'mode', flag: '--mode', type: 'enum', values: RENDER_MODES, arg: 'mode', description: 'Cell layout: ascii ramp, halfblock (2 px per cell) or braille (2x4 dots) (default: ascii)' },
+  { key: 'color', flag: '--color', type: 'enum', values: COLOR_MODES, arg: 'mode', description: `Color output: ${COLOR_MODES.join(', ')} (default: auto; export defaults to none)` },
+  { key: 'colorTarget', flag: '--color-target', type: 'enum', values: ['fg', 'bg'], arg: 'fg|bg', description: 'Color the glyphs or the cell backgrounds (default: fg)' },
+  { key: 'materialColor', flag: '--material-color', type: 'color', arg: 'hex', description: 'Base material color as #rrggbb or #rgb (default: #ffffff)' },
+  { key: 'repaint', flag: '--repaint', type: 'enum', values: ['diff', 'full'], arg: 'diff|full', description: 'Redraw only changed cells or the whole screen each frame (default: diff)' },
+  { key: 'sync', flag: '--sync', type: 'enum', values: ['auto', 'on', 'off'], arg: 'auto|on|off', description: 'Wrap frames in synchronized-output markers (DEC 2026) (default: auto)' },
+  { key: 'stats', flag: '--stats', type: 'boolean', description: 'Show bytes per frame and the paced frame rate on the bottom row' },
+  { key: 'watch', flag: '--watch', type: 'boolean', description: 'Reload the model files when they change on disk, keeping the view and light (live view)' },
+  { key: 'mouse', flag: '--mouse', type: 'enum', values: ['on', 'off'], arg: 'on|off', description: 'Drag to rotate and scroll to zoom in the live view (default: on)' },
+  { key: 'export', flag: '--export', type: 'boolean', description: 'Render frames headlessly to a file or stdout and exit (no interactive UI)' },
+  { key: 'frames', flag: '--frames', type: 'int', min: 1, max: 3600, arg: 'n', description: 'Export: number of frames spread across one full turn (default: 1, or one seamless loop at --speed for cast, svg and gif)' },
+  { key: 'angle', flag: '--angle', type: 'number', arg: 'deg', description: 'Export: rotation of the first frame in degrees (default: 0)' },
+  { key: 'format', flag: '--format', type: 'enum', values: EXPORT_FORMATS, arg: 'format', description: 'Export: txt, a json frame array, an asciinema cast, an animated svg or gif (default: from the -o extension, else txt)' },
+  { key: 'output', flag: '--output', alias: '-o', type: 'string', arg: 'path', description: 'Export: output file, numbered per frame for multi-frame txt (default: stdout)' },
+  { key: 'benchmark', flag: '--benchmark', type: 'boolean', description: 'Time the render pipeline headlessly (--frames frames, default 120) and report ms per frame' },
+  { key: 'telnetPort', flag: '--telnet-port', type: 'int', min: 0, max: 65535, arg: 'n', description: 'serve: telnet port, 0 for none (default: 2323)' },
+  { key: 'httpPort', flag: '--http-port', type: 'int', min: 0, max: 65535, arg: 'n', description: 'serve: HTTP port for browsers and curl, 0 for none (default: 8080)' },
+  { key: 'host', flag: '--host', type: 'string', arg: 'address', description: 'serve: address to listen on; 0.0.0.0 for every interface (default: 127.0.0.1)' },
+  { key: 'json', flag: '--json', type: 'boolean', description: 'info: print the inspection report as JSON' },
+  { key: 'config', flag: '--config', alias: '-c', type: 'string', arg: 'file', description: 'Load options from a JSON config file' },
+  { key: 'help', flag: '--help', alias: '-h', type: 'boolean', description: 'Show this help and exit' }
+];
+
+const DEFAULT_OPTIONS = {
+  width: null,
+  height: null,
+  fps: null, // null keeps the original 60ms frame interval
+  axis: 'y',
+  speed: 0.04,
+  timeline: null,
+  duration: null,
+  cameraDistance: 3.0,
+  projection: 'perspective',
+  fov: DEFAULT_FOV,
+  cellAspect: DEFAULT_CELL_ASPECT,
+  autoFrame: 'on',
+  scale: 1.5,
+  lightAngle: 0,
+  ramp: 'standard',
+  chars: null,
+  font: null,
+  rampLevels: null,
+  calibrate: false,
+  lighting: 'smooth',
+  ambient: DEFAULT_MATERIAL.ambient,
+  diffuse: DEFAULT_MATERIAL.diffuse,
+  specular: DEFAULT_MATERIAL.specular,
+  shininess: DEFAULT_MATERIAL.shininess,
+  rim: DEFAULT_MATERIAL.rim,
+  lights: [],
+  dither: 'none',
+  outline: 'off',
+  outlineAngle: DEFAULT_OUTLINE_ANGLE,
+  diagnose: false,
+  culling: 'on',
+  creaseAngle: DEFAULT_CREASE_ANGLE,
+  weldTolerance: DEFAULT_WELD_TOLERANCE,
+  transform: [],
+  layout: 'combined',
+  targetTriangles: null,
+  mode: 'ascii',
+  color: 'auto',
+  colorTarget: 'fg',
+  materialColor: '#ffffff',
+  repaint: 'diff',
+  sync: 'auto',
+  stats: false,
+  watch: false,
+  mouse: 'on',
+  export: false,
+  frames: null, // null: 1 for txt and json, one full loop for animations
+  angle: 0,
+  format: null, // null: taken from the --output extension, else txt
+  output: null,
+  benchmark: false,
+  telnetPort: 2323,
+  httpPort: 8080,
+  host: '127.0.0.1',
+  json: false
+};
+
+// First positional arguments that name a command instead of a model file
+const SUBCOMMANDS = ['info', 'inspect', 'serve'];
+
+// Config files looked up (in order) when --config is not given
+const RC_FILES = ['.stl-asciirc', '.stl-asciirc.json'];
+
+class OptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptionError';
+  }
+}
+
+function validateOption(spec, value, source) {
+  const label = source === 'config' ? `"${spec.key}" in config` : spec.flag;
+  switch (spec.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new OptionError(`${label} must be true or false`);
+      return value;
+    case 'int':
+    case 'number': {
+      const num = typeof value === 'number' ? value : Number(value);
+      if (value === '' || value === null || !Number.isFinite(num)) {
+        throw new OptionError(`${label} expects a number, got "${value}"`);
+      }
+      if (spec.type === 'int' && !Number.isInteger(num)) {
+        throw new OptionError(`${label} expects an integer, got "${value}"`);
+      }
+      if (spec.min != null && num < spec.min) throw new OptionError(`${label} must be >= ${spec.min}`);
+      if (spec.max != null && num > spec.max) throw new OptionError(`${label} must be <= ${spec.max}`);
+      return num;
+    }
+    case 'lights':
+      try {
+        return parseLights(value);
+      } catch (err) {
+        throw new OptionError(`${label}: ${err.message}`);
+      }
+    case 'transforms':
+      try {
+        return parseTransforms(value);
+      } catch (err) {
+        throw new OptionError(`${label}: ${err.message}`);
+      }
+    case 'color':
+      if (!parseHexColor(value)) throw new OptionError(`${label} expects a hex color like #ff8800, got "${value}"`);
+      return String(value).trim();
+    case 'enum': {
+      const str = String(value).toLowerCase();
+      if (!spec.values.includes(str)) {
+        throw new OptionError(`${label} must be one of: ${spec.values.join(', ')}`);
+      }
+      return str;
+    }
+    default:
+      if (typeof value !== 'string') throw new OptionError(`${label} expects a string`);
+      if (spec.minLength && value.length < spec.minLength) {
+        throw new OptionError(`${label} must be at least ${spec.minLength} characters`);
+      }
+      return value;
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    // Support both "--flag value" and "--flag=value"
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg : arg.slice(0, eq);
+    const spec = OPTION_SPECS.find(s => s.flag === name || s.alias === name);
+    if (!spec) throw new OptionError(`Unknown option: ${name}`);
+
+    if (spec.type === 'boolean') {
+      if (eq !== -1) throw new OptionError(`${spec.flag} does not take a value`);
+      options[spec.key] = true;
+      continue;
+    }
+
+    let value;
+    if (eq !== -1) {
+      value = arg.slice(eq + 1);
+    } else {
+      // Numbers may be negative (e.g. --speed -0.02), so only reject other flags
+      if (i + 1 >= argv.length || /^--?[a-zA-Z]/.test(argv[i + 1])) {
+        throw new OptionError(`${spec.flag} requires a value`);
+      }
+      value = argv[++i];
+    }
+    options[spec.key] = validateOption(spec, value, 'cli');
+  }
+
+  return { options, positionals };
+}
+
+function loadConfigFile(configPath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(configPath, 'utf8');
+  } catch (err) {
+    throw new OptionError(`Cannot read config file ${configPath}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new OptionError(`Invalid JSON in config file ${configPath}: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new OptionError(`Config file ${configPath} must contain a JSON object`);
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    const spec = OPTION_SPECS.find(s => s.key === key);
+    if (!spec || key === 'config' || key === 'help') {
+      throw new OptionError(`Unknown option "${key}" in config file ${configPath}`);
+    }
+    options[key] = validateOption(spec, value, 'config');
+  }
+  return options;
+}
+
+function findRcFile() {
+  const dirs = [process.cwd(), os.homedir()];
+  for (const dir of dirs) {
+    for (const name of RC_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+// Merge defaults < config file < command-line flags
+function resolveOptions(argv) {
+  const { options: cliOptions, positionals } = parseArgs(argv);
+  const configPath = cliOptions.config || findRcFile();
+  const configOptions = configPath ? loadConfigFile(configPath) : {};
+
+  const options = { ...DEFAULT_OPTIONS, ...configOptions, ...cliOptions };
+  delete options.config;
+  return { options, positionals, configPath };
+}
+
+function formatHelp() {
+  const lines = [
+    'Usage: node stl_to_ascii.js [options] <path-to-model>...',
+    '',
+    '       node stl_to_ascii.js --layout split [options] <path-to-model> <path-to-model>',
+    '       node stl_to_ascii.js --export [--frames n] [--format txt|json|cast|svg|gif] [-o path] <path-to-model>',
+    '       node stl_to_ascii.js info [--json] <path-to-model>',
+    '       node stl_to_ascii.js serve [--telnet-port n] [--http-port n] [--host address] <path-to-model>...',
+    '',
+    'Renders an STL, OBJ, PLY or 3MF model as rotating ASCII art in the terminal.',
+    '',
+    'Options:'
   ];
+  const labels = OPTION_SPECS.map(spec => {
+    const names = spec.alias ? `${spec.alias}, ${spec.flag}` : `    ${spec.flag}`;
+    return spec.arg ? `${names} <${spec.arg}>` : names;
+  });
+  const pad = Math.max(...labels.map(l => l.length)) + 2;
+  OPTION_SPECS.forEach((spec, i) => {
+    lines.push(`  ${labels[i].padEnd(pad)}${spec.description}`);
+  });
+  lines.push('');
+  lines.push(`Options can also be set in a JSON config file (--config, or ${RC_FILES.join(' / ')}`);
+  lines.push('in the current or home directory) using the camelCase option names, e.g.');
+  lines.push('  { "axis": "z", "speed": 0.02, "chars": " .oO@" }');
+  lines.push('Command-line flags override config file values.');
+  return lines.join('\n');
+}
+
+// --calibrate: the resolved ramp and how much ink each glyph has in the font
+function formatRampReport(ramp, options) {
+  const { font } = ramp;
+  const lines = [
+    `Ramp "${ramp.name}" calibrated against ${options.font} (${font.format.toUpperCase()}, ${font.width}x${font.height}):`,
+    `  ${JSON.stringify(ramp.chars)}`,
+    ''
+  ];
+  Array.from(ramp.chars).forEach((ch, i) => {
+    const coverage = ramp.coverage[i];
+    lines.push(`  ${JSON.stringify(ch).padEnd(5)}${(coverage * 100).toFixed(1).padStart(5)}%  ${'#'.repeat(Math.round(coverage * 40))}`);
+  });
+  if (ramp.missing.length) {
+    lines.push('');
+    lines.push(`Not in the font: ${JSON.stringify(ramp.missing.join(''))}`);
+  }
+  lines.push('');
+  // Quoted for a shell, so the ramp can be reused without the font
+  lines.push(`Reuse it without the font: --chars '${ramp.chars.replace(/'/g, "'\\''")}'`);
+  return lines.join('\n');
+}
+
+// --diagnose: what each marker glyph means and how many edges or faces carry it
+function formatDefectLegend({ faceDefects, edges }, culling, label = null) {
+  const count = (list, kind) => list.reduce((n, k) => n + (k === kind ? 1 : 0), 0);
+  const entries = [
+    [DEFECTS.OPEN_EDGE, 'open edges', count(edges.kinds, DEFECTS.OPEN_EDGE)],
+    [DEFECTS.NON_MANIFOLD_EDGE, 'non-manifold edges', count(edges.kinds, DEFECTS.NON_MANIFOLD_EDGE)],
+    [DEFECTS.FLIPPED_NORMAL, 'faces with flipped normals', count(faceDefects, DEFECTS.FLIPPED_NORMAL)],
+    [DEFECTS.INCONSISTENT, 'faces wound against a neighbour', count(faceDefects, DEFECTS.INCONSISTENT)],
+    [DEFECTS.DUPLICATE, 'duplicate faces', count(faceDefects, DEFECTS.DUPLICATE)]
+  ];
+  const lines = entries.map(([kind, label, n]) => `  ${DEFECT_GLYPHS[kind]}  ${n} ${label}`);
+  if (!culling) lines.push(`  ${DEFECT_GLYPHS[DEFECTS.BACK_FACE]}  back faces (inside-out where seen from outside)`);
+  return [label ? `Diagnostics for ${label}:` : 'Diagnostics:', ...lines].join('\n');
+}
+
+// `info`: the inspection report as aligned label/value lines
+function formatInspectionReport(report, file, format) {
+  const { boundingBox: { min, max, size }, units, facets, edges } = report;
+  const n = value => value.toFixed(2);
+  const unit = units.unit;
+  const yesNo = value => (value ? 'yes' : 'no');
+  const rows = [
+    ['Model', `${file} (${format.toUpperCase()}, ${report.triangles} triangles, ${report.vertices} vertices after welding)`],
+    ['Bounding box', `X(${n(min.x)}, ${n(max.x)}) Y(${n(min.y)}, ${n(max.y)}) Z(${n(min.z)}, ${n(max.z)})`],
+    ['Size', `${n(size.x)} x ${n(size.y)} x ${n(size.z)} ${unit}`],
+    ['Units', `${units.certain ? 'probably' : 'unsure, maybe'} ${units.name}${unit === 'mm' ? '' : ` (${[size.x, size.y, size.z].map(v => n(v * units.scaleToMm)).join(' x ')} mm)`}`],
+    ['Surface area', `${n(report.surfaceArea)} ${unit}²`],
+    ['Volume', `${n(report.volume)} ${unit}³${report.watertight ? '' : ' (not closed, approximate)'}`],
+    ['Centroid', `(${n(report.centroid.x)}, ${n(report.centroid.y)}, ${n(report.centroid.z)}) of the ${report.centroidOf}`],
+    ['Facets', `${facets.degenerate} degenerate, ${facets.duplicate} duplicate, ${facets.flippedNormals} with flipped normals`],
+    ['Edges', `${edges.total} total, ${edges.open} open, ${edges.nonManifold} non-manifold, ${edges.inconsistent} inconsistently wound`],
+    ['Manifold', yesNo(report.manifold)],
+    ['Watertight', report.insideOut ? 'yes, but inside out (negative volume)' : yesNo(report.watertight)]
+  ];
+  const pad = Math.max(...rows.map(([label]) => label.length)) + 2;
+  return rows.map(([label, value]) => `${(label + ':').padEnd(pad)}${value}`).join('\n');
+}
+
+// `info <model>`: measure and check the model as stored in the file, without rendering it
+function runInspect(positionals, options) {
+  const [file] = positionals;
+  if (!file) {
+    console.error('Error: info needs the path to a model file');
+    process.exit(1);
+  }
+  if (positionals.length > 1) {
+    console.error(`Error: unexpected extra arguments: ${positionals.slice(1).join(' ')}`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(file)) {
+    console.error('Model file not found:', file);
+    process.exit(1);
+  }
+
+  const warnings = [];
+  let triangles, format;
+  try {
+    format = findLoader(file).name;
+    triangles = loadMesh(file, { onWarning: warning => warnings.push(warning.message) });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  const report = inspectMesh(triangles, { weldTolerance: options.weldTolerance });
+
+  if (options.json) {
+    console.log(JSON.stringify({ file, format, ...report, warnings }, null, 2));
+    return;
+  }
+  warnings.forEach(message => console.error(`Warning: ${message}`));
+  console.log(formatInspectionReport(report, file, format));
 }
 
-function setupTerminal() {
+// Signals that end the live view, with the exit code for each (128 + signal number, except
+// Ctrl+C, which is the normal way to quit)
+const EXIT_SIGNALS = { SIGINT: 0, SIGTERM: 143, SIGHUP: 129 };
+
+/**
+ * Switch the terminal into live-view mode and make sure every way out restores it: quit keys,
+ * signals, process.exit(), uncaught errors and a closed output. Returns the restore function,
+ * which is safe to call more than once.
+ */
+function setupTerminal({ mouse = false } = {}) {
   process.stdout.write('\x1b[?25l'); // Hide cursor
   process.stdout.write('\x1b[2J'); // Clear screen
   process.stdout.write('\x1b[H'); // Move cursor to home
   process.stdout.write('\x1b[?1049h'); // Use alternate screen buffer to avoid scrolling
+  if (mouse) process.stdout.write(MOUSE_ON); // Report clicks, drags and the wheel
+
+  let restored = false;
+  function restore() {
+    if (restored) return;
+    restored = true;
+    if (process.stdin.isTTY && process.stdin.isRaw) process.stdin.setRawMode(false);
+    // Nothing can reach a terminal that has gone away
+    if (process.stdout.destroyed) return;
+    process.stdout.write(
+      SYNC_END + // End a frame cut short
+      ANSI_RESET + // Drop any color left by the last frame
+      (mouse ? MOUSE_OFF : '') +
+      '\x1b[?1049l' + // Restore screen
+      '\x1b[?25h' // Show cursor
+    );
+  }
+
+  for (const [signal, code] of Object.entries(EXIT_SIGNALS)) {
+    process.on(signal, () => process.exit(code));
+  }
+  // process.exit() from anywhere ends up here; TTY writes are synchronous, so this still lands
+  process.on('exit', restore);
+  // Restore first, so the error is printed on the normal screen instead of the discarded one
+  const fail = error => {
+    restore();
+    console.error(error && error.stack ? error.stack : error);
+    process.exit(1);
+  };
+  process.on('uncaughtException', fail);
+  process.on('unhandledRejection', fail);
+  return restore;
+}
+
+// Weld, optionally decimate and smooth the mesh, then center and scale it so it fills the view.
+// The input triangles are not modified. Returns the render-ready triangles and the centered
+// (pre-scale) bounding box for reporting. With a referenceSize the scale makes that size fill
+// the view instead of the model's own largest dimension, so several models keep their sizes.
+function prepareMesh(sourceTriangles, {
+  scale: targetSize = 1.5,
+  weldTolerance = DEFAULT_WELD_TOLERANCE,
+  creaseAngle = DEFAULT_CREASE_ANGLE,
+  targetTriangles = null,
+  referenceSize = null
+} = {}) {
+  // Build per-vertex smoothed normals to reduce faceted shading, keeping hard edges sharp
+  const triangles = processMesh(sourceTriangles, { weldTolerance, creaseAngle, targetTriangles });
+
+  // Center the model like the original: myMesh.geometry.center()
+  const vertices = triangles.flatMap(t => [t.v1, t.v2, t.v3]);
+  const center = vertices.reduce((sum, v) => sum.add(v), new Vector3()).multiply(1 / vertices.length);
   
-  // Handle Ctrl+C
-  process.on('SIGINT', () => {
-    process.stdout.write('\x1b[?1049l'); // Restore screen
-    process.stdout.write('\x1b[?25h'); // Show cursor
-    process.stdout.write('\x1b[2J\x1b[H'); // Clear and reset
-    process.exit(0);
+  // Center all triangles
+  triangles.forEach(t => {
+    t.v1 = t.v1.subtract(center);
+    t.v2 = t.v2.subtract(center);
+    t.v3 = t.v3.subtract(center);
+  });
+
+  // Compute bounding box like the original
+  // (a plain loop: spreading millions of coordinates into Math.min overflows the call stack)
+  const { min, max } = computeBounds(triangles);
+  const [minX, maxX, minY, maxY, minZ, maxZ] = [min.x, max.x, min.y, max.y, min.z, max.z];
+  
+  // Scale the model to the requested view size (1.5 by default, 50% larger than before)
+  const maxDimension = Math.max(maxX - minX, maxY - minY, maxZ - minZ);
+  const scale = targetSize / (referenceSize || maxDimension);
+  triangles.forEach(t => {
+    t.v1 = t.v1.multiply(scale);
+    t.v2 = t.v2.multiply(scale);
+    t.v3 = t.v3.multiply(scale);
+  });
+
+  // Keep model perfectly centered for proper rotation; a timeline's pan keyframes can lift it
+  // in view space instead, without moving the center it rotates around
+
+  return {
+    triangles,
+    boundingBox: {
+      min: new Vector3(minX, minY, minZ),
+      max: new Vector3(maxX, maxY, maxZ)
+    }
+  };
+}
+
+// Radius of the smallest origin-centered sphere holding every vertex (packed xyz)
+function boundingRadius(positions) {
+  let maxSq = 0;
+  for (let i = 0; i < positions.length; i += 3) {
+    maxSq = Math.max(maxSq, positions[i] * positions[i] + positions[i + 1] * positions[i + 1] + positions[i + 2] * positions[i + 2]);
+  }
+  return Math.sqrt(maxSq);
+}
+
+function lightDirectionFromAngle(angle, tilt = 0) {
+  return new Vector3(Math.cos(angle), tilt, Math.sin(angle)).normalize();
+}
+
+const degreesToRadians = deg => deg * Math.PI / 180;
+
+// Triangle arrays for createScene's model argument: one path or Triangle array, or a list of them
+function loadSceneModels(meshOrPaths) {
+  if (typeof meshOrPaths === 'string') return [loadMesh(meshOrPaths)];
+  if (Array.isArray(meshOrPaths) && (meshOrPaths.length === 0 || meshOrPaths[0] instanceof Triangle)) return [meshOrPaths];
+  const models = Array.isArray(meshOrPaths) ? meshOrPaths.map(model => (typeof model === 'string' ? loadMesh(model) : model)) : [];
+  if (!models.length || !models.every(Array.isArray)) {
+    throw new TypeError('createScene expects a model file path or an array of Triangles, or a list of those');
+  }
+  return models;
+}
+
+// Place, center, scale and pack the models of a scene: one { triangles, boundingBox, renderMesh }
+// per viewport, all models in one unless the layout is split
+function prepareSceneModels(sources, options) {
+  const transforms = parseTransforms(options.transform);
+  if (transforms.length > sources.length) {
+    throw new Error(`${transforms.length} transforms given for ${sources.length} model(s)`);
+  }
+  // New triangles only where a transform applies; prepareMesh copies the rest
+  const placed = sources.map((source, i) => transformTriangles(source, transforms[i]));
+  const split = options.layout === 'split' && placed.length > 1;
+
+  // prepareMesh builds new triangles, so the caller's mesh keeps its original placement.
+  // Split views scale every model against the largest, so size differences stay visible.
+  const referenceSize = split
+    ? Math.max(...placed.map(source => {
+      const { min, max } = computeBounds(source);
+      return Math.max(max.x - min.x, max.y - min.y, max.z - min.z);
+    }))
+    : null;
+  return (split ? placed : [placed.length === 1 ? placed[0] : placed.flat()]).map(source => {
+    const { triangles, boundingBox } = prepareMesh(source, { ...options, referenceSize });
+    return { triangles, boundingBox, renderMesh: RenderMesh.fromTriangles(triangles) };
+  });
+}
+
+/**
+ * High-level entry point for embedding the renderer in other programs.
+ * Accepts a path to a model file (STL, OBJ, PLY or 3MF) or an array of Triangles (which is copied, not mutated),
+ * prepares the mesh like the CLI does and renders frames to strings without touching the terminal.
+ * A list of paths or Triangle arrays loads several models, placed by the `transform` option and
+ * either combined into one mesh or, with layout 'split', shown side by side at a shared scale.
+ *
+ *   const scene = createScene('logo.stl', { width: 60, height: 20 });
+ *   console.log(scene.renderFrame(30));
+ *
+ * Options are the same camelCase keys the CLI accepts (axis, cameraDistance, projection, fov,
+ * cellAspect, autoFrame, scale, lightAngle, ramp, chars, font, rampLevels, lighting, ambient,
+ * diffuse, specular, shininess, rim, lights, dither, outline, outlineAngle, diagnose, culling, creaseAngle,
+ * weldTolerance, transform, layout, targetTriangles, mode, color, colorTarget, materialColor, width, height).
+ * All angles are in degrees. `timeline` takes a JSON file path, a parsed timeline or a Timeline
+ * (lib/timeline.js) to play with renderTimeline.
+ */
+function createScene(meshOrPath, opts = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...opts };
+  return assembleScene(prepareSceneModels(loadSceneModels(meshOrPath), options), options);
+}
+
+// Cameras, renderer and methods of a scene around models from prepareSceneModels
+function assembleScene(models, options) {
+  const views = models.map(({ triangles, boundingBox, renderMesh }) => {
+    const camera = new Camera({
+      projection: options.projection,
+      fov: options.fov,
+      distance: options.cameraDistance,
+      cellAspect: options.cellAspect
+    });
+    return { triangles, boundingBox, renderMesh, camera };
+  });
+  if (options.autoFrame === 'on') {
+    // One distance for every view, fitting the largest model
+    const radius = Math.max(...views.map(view => boundingRadius(view.renderMesh.positions)));
+    views.forEach(view => view.camera.frameSphere(radius));
+  }
+  const { triangles, boundingBox, renderMesh, camera } = views[0];
+  // Timeline distances are relative to where the camera starts
+  const startDistance = camera.distance;
+  const timeline = options.timeline ? loadTimeline(options.timeline) : null;
+
+  // Named or custom glyphs, reordered by measured ink when a font is given
+  const ramp = resolveRamp(options);
+
+  const lightingModel = new LightingModel({
+    material: {
+      ambient: options.ambient,
+      diffuse: options.diffuse,
+      specular: options.specular,
+      shininess: options.shininess,
+      rim: options.rim
+    },
+    lights: options.lights
+  });
+
+  const renderer = new TerminalRenderer(options.width || 80, options.height || 24, {
+    camera,
+    lightingModel,
+    dither: options.dither,
+    outline: options.outline,
+    outlineAngle: options.outlineAngle,
+    diagnose: options.diagnose,
+    culling: options.culling,
+    perPixelLighting: options.lighting === 'smooth',
+    frameIntervalMs: options.fps ? 1000 / options.fps : 60,
+    chars: ramp.chars,
+    mode: options.mode,
+    colorMode: options.color,
+    colorTarget: options.colorTarget,
+    materialColor: parseHexColor(options.materialColor) || [255, 255, 255]
+  });
+  // Split layout: one viewport per model
+  if (views.length > 1) renderer.setViewports(views.map(view => view.camera));
+
+  // The rasterized frame as renderFrame's `format`: 'cells' are copies, since the renderer reuses its arrays
+  function formatFrame(format) {
+    if (format === 'cells') {
+      const { glyphs, codes, fgLevels, bgLevels } = renderer.composeCells();
+      return { glyphs: glyphs.slice(), codes: codes.slice(), fgLevels: fgLevels.slice(), bgLevels: bgLevels.slice() };
+    }
+    // Grids hold one character per cell, so they never carry escape codes
+    const lines = renderer.toLines({ color: format !== 'grid' });
+    if (format === 'lines') return lines;
+    if (format === 'grid') return lines.map(line => Array.from(line));
+    return lines.join('\n');
+  }
+
+  const scene = {
+    triangles,
+    renderMesh,
+    boundingBox,
+    renderer,
+    camera,
+    // One entry per viewport ({ triangles, boundingBox, renderMesh, camera }); the first is the scene's own
+    views,
+    timeline,
+    ramp,
+    options,
+    lightDirection: lightDirectionFromAngle(degreesToRadians(options.lightAngle)),
+
+    // Swap in new models (anything createScene takes), prepared the same way. Cameras, light and
+    // renderer settings stay, so a live view carries on from where it was; the number of
+    // viewports must not change.
+    replaceModels(meshOrPaths) {
+      const prepared = prepareSceneModels(loadSceneModels(meshOrPaths), options);
+      if (prepared.length !== views.length) {
+        throw new Error(`the scene shows ${views.length} viewport(s), the new models need ${prepared.length}`);
+      }
+      prepared.forEach((models, i) => Object.assign(views[i], models));
+      Object.assign(scene, prepared[0]);
+    },
+
+    // Another scene of the same models, sharing their prepared meshes, with its own cameras and
+    // renderer; `overrides` change options such as width and height
+    clone(overrides = {}) {
+      const shared = views.map(({ triangles, boundingBox, renderMesh }) => ({ triangles, boundingBox, renderMesh }));
+      return assembleScene(shared, { ...options, timeline, ...overrides });
+    },
+
+    setLightAngle(angle, tilt = 0) {
+      scene.lightDirection = lightDirectionFromAngle(degreesToRadians(angle), tilt);
+    },
+
+    // Rasterize the mesh with an arbitrary rotation into the renderer buffers (no output).
+    // Split views turn together and follow the first camera's zoom and pan.
+    drawRotation(rotationMatrix) {
+      renderer.clear();
+      for (const view of views) {
+        view.camera.distance = camera.distance;
+        view.camera.pan = camera.pan;
+        renderer.drawMesh(view.renderMesh, rotationMatrix, scene.lightDirection, view.camera);
+      }
+    },
+
+    /**
+     * Render one frame spun `angle` degrees around the configured axis.
+     * format: 'string' (newline-joined), 'lines' (array of strings), 'grid' (2D array of chars)
+     * or 'cells' (a copy of composeCells' flat glyph, code and level arrays).
+     * blend: keep temporal smoothing with the previous frame, useful for animations.
+     */
+    renderFrame(angle = 0, { format = 'string', blend = false } = {}) {
+      if (!blend) renderer.resetHistory();
+      scene.drawRotation(rotationForAxis(options.axis, degreesToRadians(angle)));
+      return formatFrame(format);
+    },
+
+    // Pose the model, camera and light `seconds` into the timeline and rasterize (no output).
+    // Returns the pose, so a live view can take over from it.
+    drawTimeline(seconds) {
+      if (!timeline) throw new Error('the scene has no timeline');
+      const pose = timeline.sample(seconds);
+      camera.distance = startDistance * pose.distance;
+      camera.pan = { x: pose.pan[0], y: pose.pan[1] };
+      scene.setLightAngle(pose.lightAngle === null ? options.lightAngle : pose.lightAngle, pose.lightTilt);
+      scene.drawRotation(createRotationMatrix(...pose.rotation.map(degreesToRadians)));
+      return pose;
+    },
+
+    // Play the timeline as `count` frames `intervalMs` apart (the frame interval by default),
+    // one full pass unless a count is given; formats are those of renderFrame
+    renderTimeline({ intervalMs = renderer.frameIntervalMs, count = null, format = 'string', blend = false } = {}) {
+      if (!timeline) throw new Error('the scene has no timeline');
+      const frames = [];
+      const total = count || timeline.frameCount(intervalMs);
+      for (let i = 0; i < total; i++) {
+        if (!blend) renderer.resetHistory();
+        scene.drawTimeline(i * intervalMs / 1000);
+        frames.push(formatFrame(format));
+      }
+      return frames;
+    },
+
+    // Render `count` evenly spaced frames covering one full turn (direction -1 spins backwards)
+    renderTurn(count, { startAngle = 0, format = 'string', blend = false, direction = 1 } = {}) {
+      const frames = [];
+      for (let i = 0; i < count; i++) {
+        frames.push(scene.renderFrame(startAngle + direction * (i / count) * 360, { format, blend }));
+      }
+      return frames;
+    }
+  };
+  return scene;
+}
+
+// Output path for frame `index` when a text export writes one file per frame
+function frameFilePath(output, index, count) {
+  if (count === 1) return output;
+  const digits = Math.max(3, String(count - 1).length);
+  const suffix = String(index).padStart(digits, '0');
+  if (fs.existsSync(output) && fs.statSync(output).isDirectory()) {
+    return path.join(output, `frame-${suffix}.txt`);
+  }
+  const ext = path.extname(output);
+  return `${output.slice(0, output.length - ext.length)}-${suffix}${ext || '.txt'}`;
+}
+
+// Export format from --format, else the --output extension, else plain text
+function exportFormat(options) {
+  return options.format || formatFromPath(options.output) || 'txt';
+}
+
+// Animated exports: one seamless turn in the spin direction, or one pass of the timeline, timed
+// like the live view. A timeline that does not loop plays once.
+function runAnimationExport(scene, options, format, log) {
+  const { renderer, timeline } = scene;
+  // Frames are not blended, so the last one leads into the first exactly like any other pair
+  const frames = timeline
+    ? scene.renderTimeline({ count: options.frames, format: 'cells' })
+    : scene.renderTurn(options.frames || loopFrameCount(options.speed), { startAngle: options.angle, format: 'cells', direction: options.speed < 0 ? -1 : 1 });
+  const count = frames.length;
+  const loop = !timeline || timeline.loop;
+  const round = rgb => rgb.map(c => Math.round(c));
+  const encodeOptions = {
+    width: renderer.width,
+    height: renderer.height,
+    delayMs: renderer.frameIntervalMs,
+    loop,
+    cellAspect: scene.camera.cellAspect,
+    colors: {
+      background: [0, 0, 0],
+      foreground: round(renderer.materialColor),
+      // Per-level shading only when a color mode was asked for, like the text formats
+      levels: renderer.colorMode === 'none' ? null : Array.from(renderer.asciiChars, (_, idx) => round(renderer.levelColor(idx)))
+    }
+  };
+  const data = format === 'cast' ? encodeAsciicast(frames, encodeOptions)
+    : format === 'svg' ? encodeSvg(frames, encodeOptions)
+    : encodeAnimatedGif(frames, encodeOptions);
+
+  if (options.output) {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, data);
+    log(`Wrote ${count} frame(s) to ${options.output} (${format}, ${(count * renderer.frameIntervalMs / 1000).toFixed(2)}s${loop ? ' loop' : ''})`);
+  } else {
+    process.stdout.write(data);
+  }
+}
+
+// Headless export: render one frame (or N frames across a full turn, or a timeline pass) to text
+// files, a JSON frame array, an animation, or stdout. Never touches raw mode or the alternate screen.
+function runExport(scene, options, log) {
+  const format = exportFormat(options);
+  if (ANIMATION_FORMATS.includes(format)) {
+    runAnimationExport(scene, options, format, log);
+    return;
+  }
+  const { renderer, timeline } = scene;
+  // Trailing spaces are noise in READMEs and logs
+  const trim = lines => lines.map(line => line.replace(/\s+$/, ''));
+  let frames;
+  if (timeline) {
+    frames = scene.renderTimeline({ count: options.frames, format: 'lines' })
+      .map((lines, index) => ({ index, time: +(index * renderer.frameIntervalMs / 1000).toFixed(6), lines: trim(lines) }));
+  } else {
+    const count = options.frames || 1;
+    frames = scene.renderTurn(count, { startAngle: options.angle, format: 'lines' })
+      .map((lines, index) => ({
+        index,
+        angle: ((options.angle + index * 360 / count) % 360 + 360) % 360,
+        lines: trim(lines)
+      }));
+  }
+
+  if (format === 'json') {
+    const json = JSON.stringify({
+      width: renderer.width,
+      height: renderer.height,
+      axis: options.axis,
+      frames
+    }, null, 2) + '\n';
+    if (options.output) {
+      fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+      fs.writeFileSync(options.output, json);
+      log(`Wrote ${frames.length} frame(s) to ${options.output}`);
+    } else {
+      process.stdout.write(json);
+    }
+    return;
+  }
+
+  if (!options.output) {
+    // Frames on stdout are separated by a blank line
+    process.stdout.write(frames.map(frame => frame.lines.join('\n') + '\n').join('\n'));
+    return;
+  }
+
+  frames.forEach(frame => {
+    const file = frameFilePath(options.output, frame.index, frames.length);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, frame.lines.join('\n') + '\n');
+  });
+  log(`Wrote ${frames.length} frame(s) to ${frameFilePath(options.output, 0, frames.length)}${frames.length > 1 ? ' ...' : ''}`);
+}
+
+function summarizeTimings(samples) {
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const mean = samples.reduce((sum, t) => sum + t, 0) / samples.length;
+  const pick = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return { mean, median: pick(0.5), p95: pick(0.95), min: sorted[0] };
+}
+
+// --benchmark: time the render pipeline headlessly and report ms per frame. The legacy
+// per-triangle path (drawTriangle for every Triangle) is timed too, for comparison.
+function runBenchmark(scene, options) {
+  const { renderer, renderMesh, triangles } = scene;
+  const frameCount = options.frames == null ? 120 : options.frames;
+  const warmup = Math.min(10, frameCount);
+  const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+  function measure(draw) {
+    const raster = [];
+    const output = [];
+    for (let i = -warmup; i < frameCount; i++) {
+      const rotationMatrix = rotationForAxis(options.axis, (i * options.speed) % (2 * Math.PI));
+      const start = now();
+      renderer.clear();
+      draw(rotationMatrix);
+      const drawn = now();
+      renderer.toLines();
+      const done = now();
+      if (i >= 0) {
+        raster.push(drawn - start);
+        output.push(done - drawn);
+      }
+    }
+    const total = summarizeTimings(raster.map((t, i) => t + output[i]));
+    return { total, raster: summarizeTimings(raster), output: summarizeTimings(output) };
+  }
+
+  const typed = measure(rotationMatrix => {
+    renderer.drawMesh(renderMesh, rotationMatrix, scene.lightDirection, scene.camera);
+  });
+  const legacy = measure(rotationMatrix => {
+    triangles.forEach(triangle => {
+      renderer.drawTriangle(triangle, rotationMatrix, scene.lightDirection, scene.camera);
+    });
+  });
+
+  const row = (label, r) => `  ${label.padEnd(14)} ${r.total.mean.toFixed(2).padStart(7)} ms/frame`
+    + `  (median ${r.total.median.toFixed(2)}, p95 ${r.total.p95.toFixed(2)}, min ${r.total.min.toFixed(2)};`
+    + ` raster ${r.raster.mean.toFixed(2)} + output ${r.output.mean.toFixed(2)})`;
+  console.log(`Benchmark: ${renderMesh.faceCount} triangles, ${renderMesh.vertexCount} vertices, `
+    + `${renderer.width}x${renderer.height} cells (${renderer.mode}, ${renderer.pixelWidth}x${renderer.pixelHeight} samples), `
+    + `${frameCount} frames`);
+  console.log(row('typed mesh', typed));
+  console.log(row('per-triangle', legacy));
+  console.log(`  speedup        ${(legacy.total.mean / typed.total.mean).toFixed(2)}x`
+    + ` (~${Math.floor(1000 / typed.total.mean)} fps max)`);
+}
+
+// `serve`: stream the animation to telnet, curl and browser clients until interrupted. Each
+// client renders its own copy of the scene at its own size; all of them share one clock.
+async function runServe(scene, options) {
+  const { renderer, timeline } = scene;
+  const server = new FrameServer({
+    frameIntervalMs: renderer.frameIntervalMs,
+    defaultSize: { width: renderer.width, height: renderer.height },
+    openView: (width, height) => scene.clone({ width, height }),
+    draw(view, seconds) {
+      if (timeline) {
+        view.drawTimeline(seconds);
+        return;
+      }
+      // The same turn the live view makes: --speed radians per frame interval
+      view.drawRotation(rotationForAxis(options.axis, options.speed * seconds * 1000 / renderer.frameIntervalMs));
+    },
+    log: message => console.log(message)
   });
+
+  try {
+    if (options.telnetPort) {
+      const { address, port } = await server.listenTelnet(options.telnetPort, options.host);
+      console.log(`Serving telnet on ${address}:${port} (telnet ${address} ${port})`);
+    }
+    if (options.httpPort) {
+      const { address, port } = await server.listenHttp(options.httpPort, options.host);
+      console.log(`Serving http://${address}:${port}/ (curl for the terminal stream)`);
+    }
+  } catch (error) {
+    console.error(`Error: cannot listen on ${options.host}: ${error.message}`);
+    process.exit(1);
+  }
+  console.log('Press Ctrl+C to stop');
+
+  // End every session cleanly, so telnet clients get their screen back
+  for (const [signal, code] of Object.entries(EXIT_SIGNALS)) {
+    process.on(signal, () => {
+      server.close().then(() => process.exit(code));
+      // Clients that never acknowledge the close do not hold the server up
+      setTimeout(() => process.exit(code), 1000).unref();
+    });
+  }
 }
 
 async function main() {
-  const stlFile = process.argv[2];
+  // A closed pipe or terminal (`| head`, a dropped SSH session) just ends the program
+  process.stdout.on('error', error => {
+    if (error.code === 'EPIPE' || error.code === 'EIO') process.exit(0);
+    throw error;
+  });
+
+  let resolved;
+  try {
+    resolved = resolveOptions(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof OptionError)) throw error;
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage.');
+    process.exit(1);
+  }
+  const { options, positionals, configPath } = resolved;
+
+  if (options.help) {
+    console.log(formatHelp());
+    process.exit(0);
+  }
+
+  const command = SUBCOMMANDS.includes(positionals[0]) ? positionals[0] : null;
+  if (command === 'info' || command === 'inspect') {
+    runInspect(positionals.slice(1), options);
+    return;
+  }
+  const serve = command === 'serve';
+  if (serve && (options.export || options.benchmark)) {
+    console.error(`Error: serve cannot be combined with ${options.export ? '--export' : '--benchmark'}`);
+    process.exit(1);
+  }
+  if (serve && !options.telnetPort && !options.httpPort) {
+    console.error('Error: serve needs a --telnet-port or an --http-port');
+    process.exit(1);
+  }
+
+  // Resolve the ramp and timeline up front: a bad font or timeline fails before the model loads,
+  // and --calibrate needs nothing else
+  let ramp;
+  let timeline = null;
+  try {
+    if (options.calibrate && !options.font) throw new Error('--calibrate needs a --font to measure');
+    ramp = resolveRamp(options);
+    if (options.timeline && !options.calibrate) timeline = loadTimeline(options.timeline);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  if (options.calibrate) {
+    console.log(formatRampReport(ramp, options));
+    process.exit(0);
+  }
+
+  const modelFiles = serve ? positionals.slice(1) : positionals;
   
-  if (!stlFile) {
-    console.log('Usage: node stl_to_ascii.js <path-to-stl-file>');
-    console.log('Please provide the path to your deco logo STL file');
+  if (!modelFiles.length) {
+    console.log(formatHelp());
+    console.log('');
+    console.log('Please provide the path to a model file (STL, OBJ, PLY or 3MF), e.g. the deco logo STL');
+    process.exit(1);
+  }
+  if (options.transform.length > modelFiles.length) {
+    console.error(`Error: --transform places ${options.transform.length} models, but ${modelFiles.length} model file(s) were given`);
     process.exit(1);
   }
 
-  if (!fs.existsSync(stlFile)) {
-    console.error('STL file not found:', stlFile);
+  const missing = modelFiles.find(file => !fs.existsSync(file));
+  if (missing) {
+    console.error('Model file not found:', missing);
     process.exit(1);
   }
 
-  console.log('Loading STL file:', stlFile);
+  // Without a terminal on stdout there is nothing to animate: write text frames like --export
+  // instead of streaming escape codes into a pipe or file
+  const textOutput = !serve && (options.export || (!options.benchmark && !process.stdout.isTTY));
+  // Status goes to stderr when exporting or benchmarking so stdout carries only the results
+  const log = textOutput || options.benchmark ? console.error : console.log;
+  // --stats and --watch report on the bottom row, which the frame leaves free
+  const statusRow = options.stats || options.watch;
+  if (textOutput && exportFormat(options) === 'gif' && !options.output && process.stdout.isTTY) {
+    console.error('Error: a GIF needs --output (or stdout redirected to a file)');
+    process.exit(1);
+  }
+
+  if (configPath) log('Using config file:', configPath);
+  if (ramp.missing.length) log(`Warning: ${options.font} has no glyph for ${JSON.stringify(ramp.missing.join(''))}, left out of the ramp`);
   
   try {
-    const triangles = STLParser.parseSTL(stlFile);
-    console.log(`Loaded ${triangles.length} triangles from STL file`);
-    
-    // Build per-vertex smoothed normals to reduce faceted shading
-    const vertexMap = new Map(); // key: "x,y,z" -> { normalSum: Vector3, count: number }
-    function keyOf(v) { return `${v.x.toFixed(5)},${v.y.toFixed(5)},${v.z.toFixed(5)}`; }
-    // First pass: accumulate normals for shared vertices
-    triangles.forEach(t => {
-      const n = t.normal;
-      [t.v1, t.v2, t.v3].forEach(v => {
-        const k = keyOf(v);
-        const entry = vertexMap.get(k) || { normalSum: new Vector3(0,0,0), count: 0 };
-        entry.normalSum = entry.normalSum.add(n);
-        entry.count += 1;
-        vertexMap.set(k, entry);
-      });
-    });
-    // Second pass: assign averaged normals to triangle vertices
-    triangles.forEach(t => {
-      const k1 = keyOf(t.v1); const k2 = keyOf(t.v2); const k3 = keyOf(t.v3);
-      t.vn1 = vertexMap.get(k1).normalSum.multiply(1 / vertexMap.get(k1).count).normalize();
-      t.vn2 = vertexMap.get(k2).normalSum.multiply(1 / vertexMap.get(k2).count).normalize();
-      t.vn3 = vertexMap.get(k3).normalSum.multiply(1 / vertexMap.get(k3).count).normalize();
+    const models = modelFiles.map(file => {
+      log('Loading model file:', file);
+      const triangles = loadMesh(file, { onWarning: warning => log(`Warning: ${warning.message}`) });
+      log(`Loaded ${triangles.length} triangles from ${findLoader(file).name.toUpperCase()} file`);
+      // Report the model where the file puts it; the scene's box is already centered
+      const { min, max } = computeBounds(triangles);
+      log(`Bounding box: X(${min.x.toFixed(2)}, ${max.x.toFixed(2)}) Y(${min.y.toFixed(2)}, ${max.y.toFixed(2)}) Z(${min.z.toFixed(2)}, ${max.z.toFixed(2)})`);
+      return triangles;
     });
-
-    // Center the model like the original: myMesh.geometry.center()
-    const vertices = triangles.flatMap(t => [t.v1, t.v2, t.v3]);
-    const center = vertices.reduce((sum, v) => sum.add(v), new Vector3()).multiply(1 / vertices.length);
     
-    // Center all triangles
-    triangles.forEach(t => {
-      t.v1 = t.v1.subtract(center);
-      t.v2 = t.v2.subtract(center);
-      t.v3 = t.v3.subtract(center);
+    const scene = createScene(models, {
+      ...options,
+      // Already calibrated and loaded above
+      chars: ramp.chars,
+      font: null,
+      timeline,
+      // Exported and served frames stay plain text unless a color mode is requested explicitly
+      color: (textOutput || serve) && options.color === 'auto' ? 'none' : options.color,
+      width: options.width || (textOutput || serve ? null : process.stdout.columns || 120),
+      height: options.height || (textOutput || serve ? null : (process.stdout.rows || 40) - (statusRow ? 1 : 0))
     });
+    const { renderer } = scene;
+    if (options.diagnose) {
+      // Split views are checked one model at a time, a combined scene as a whole
+      scene.views.forEach((view, i) => {
+        const label = scene.views.length > 1 ? modelFiles[i] : null;
+        log(formatDefectLegend(renderer.meshDefects(view.renderMesh), renderer.culling, label));
+      });
+    }
 
-    // Compute bounding box like the original
-    const centeredVertices = triangles.flatMap(t => [t.v1, t.v2, t.v3]);
-    const minX = Math.min(...centeredVertices.map(v => v.x));
-    const maxX = Math.max(...centeredVertices.map(v => v.x));
-    const minY = Math.min(...centeredVertices.map(v => v.y));
-    const maxY = Math.max(...centeredVertices.map(v => v.y));
-    const minZ = Math.min(...centeredVertices.map(v => v.z));
-    const maxZ = Math.max(...centeredVertices.map(v => v.z));
-    
-    console.log(`Bounding box: X(${minX.toFixed(2)}, ${maxX.toFixed(2)}) Y(${minY.toFixed(2)}, ${maxY.toFixed(2)}) Z(${minZ.toFixed(2)}, ${maxZ.toFixed(2)})`);
-
-    // Scale the model 50% larger
-    const maxDimension = Math.max(maxX - minX, maxY - minY, maxZ - minZ);
-    const scale = 1.5 / maxDimension; // 50% larger than before
-    triangles.forEach(t => {
-      t.v1 = t.v1.multiply(scale);
-      t.v2 = t.v2.multiply(scale);
-      t.v3 = t.v3.multiply(scale);
-    });
+    if (textOutput) {
+      if (!options.export) log('Output is not a terminal: writing text frames instead of the live view (see --export)');
+      runExport(scene, options, log);
+      return;
+    }
+    if (options.benchmark) {
+      runBenchmark(scene, options);
+      return;
+    }
+    if (serve) {
+      await runServe(scene, options);
+      return;
+    }
 
-    // Recompute bounding box after scaling
-    const scaledVertices = triangles.flatMap(t => [t.v1, t.v2, t.v3]);
-    const scaledMinZ = Math.min(...scaledVertices.map(v => v.z));
-    const scaledMaxZ = Math.max(...scaledVertices.map(v => v.z));
-    
-    // Keep model perfectly centered for proper rotation
-    // Don't add Y offset - let it rotate around its true center
-    // const modelOffsetY = (scaledMaxZ - scaledMinZ) / 5;
-    // triangles.forEach(t => {
-    //   t.v1.y += modelOffsetY;
-    //   t.v2.y += modelOffsetY;
-    //   t.v3.y += modelOffsetY;
-    // });
-
-    setupTerminal();
+    // Keys and mouse need a terminal on stdin too; piped input is left alone
+    const interactive = !!process.stdin.isTTY;
+    setupTerminal({ mouse: options.mouse === 'on' && interactive });
     
-    const renderer = new TerminalRenderer(null, null, { perPixelLighting: true, frameIntervalMs: 60 });
-    // Light control via keyboard – all rows act as ring keys (horizontal ring)
+    console.log(`Terminal size: ${renderer.width}x${renderer.height}`);
+    // Light control via keyboard – all rows act as ring keys (horizontal ring); the camera
+    // keys (h j k l r) are taken first, so those letters steer the view instead
     const row1 = 'qwertyuiop';
     const row2 = 'asdfghjkl;';
     const row3 = 'zxcvbnm,./';
@@ -522,10 +2107,9 @@ async function main() {
       const n = row.length; // map evenly around 360
       return (idx / n) * Math.PI * 2;
     }
-    let currentAngle = 0; // preset 1 (first of 8 evenly spaced positions)
-    let tiltY = 0; // horizontal ring by default
-    let currentLightDir = new Vector3(Math.cos(currentAngle), tiltY, Math.sin(currentAngle)).normalize();
-    let autoOrbit = false; // no default auto-orbit
+    let currentAngle = options.lightAngle * Math.PI / 180; // 0 = preset 1 (first of 8 evenly spaced positions)
+    let tiltY = 0; // horizontal ring by default, [ and ] raise or lower it
+    let currentLightDir = lightDirectionFromAngle(currentAngle, tiltY);
 
     function updateLightFromKeys(keyChar) {
       const c = (keyChar || '').toLowerCase();
@@ -534,84 +2118,134 @@ async function main() {
       if (ang == null) ang = angleForRowKey(row3, c);
       if (ang != null) {
         currentAngle = ang;
-        currentLightDir = new Vector3(Math.cos(currentAngle), 0, Math.sin(currentAngle)).normalize();
+        currentLightDir = lightDirectionFromAngle(currentAngle, tiltY);
       }
     }
 
-    // Keypress handling to switch light presets dynamically
-    readline.emitKeypressEvents(process.stdin);
-    if (process.stdin.isTTY) process.stdin.setRawMode(true);
-    process.stdin.on('keypress', (str, key) => {
-      if (key?.ctrl && key?.name === 'c') {
-        process.kill(process.pid, 'SIGINT');
-        return;
-      }
-      if (key?.name === 'escape') {
-        process.kill(process.pid, 'SIGINT');
-        return;
-      }
-      // any other key disables auto-orbit and lets the user steer
-      autoOrbit = false;
-      // Numeric 1-8 set 8 evenly spaced ring presets (diagonals/cardinals)
-      const num = parseInt(key?.sequence, 10);
-      if (!Number.isNaN(num) && num >= 1 && num <= 8) {
-        const step = (num - 1) / 8 * Math.PI * 2;
-        currentAngle = step;
-        currentLightDir = new Vector3(Math.cos(currentAngle), tiltY, Math.sin(currentAngle)).normalize();
-        return;
-      }
-      if (typeof str === 'string' && str.length === 1) {
-        updateLightFromKeys(str);
+    const view = new ViewController({ axis: options.axis, speed: options.speed, camera: scene.camera });
+
+    // A timeline drives the view until the first key or mouse input, then the user steers from
+    // wherever it left the model, camera and light
+    let timelinePlaying = !!timeline;
+    let timelinePose = null;
+    function takeOverFromTimeline() {
+      if (!timelinePlaying) return;
+      timelinePlaying = false;
+      if (!timelinePose) return;
+      view.startFrom(createRotationMatrix(...timelinePose.rotation.map(degreesToRadians)));
+      if (timelinePose.lightAngle !== null) currentAngle = degreesToRadians(timelinePose.lightAngle);
+      tiltY = timelinePose.lightTilt;
+      currentLightDir = lightDirectionFromAngle(currentAngle, tiltY);
+    }
+
+    // Raw input: keys steer the camera and light, the mouse drags and zooms the view
+    const input = new TerminalInput({
+      onKey(str, key) {
+        if ((key.ctrl && key.name === 'c') || key.name === 'escape') {
+          process.kill(process.pid, 'SIGINT');
+          return;
+        }
+        // any other key stops the timeline and lets the user steer
+        takeOverFromTimeline();
+        if (view.handleKey(str, key)) return;
+        if (str === '[' || str === ']') {
+          tiltY = Math.max(-2, Math.min(2, tiltY + (str === ']' ? 0.25 : -0.25)));
+          currentLightDir = lightDirectionFromAngle(currentAngle, tiltY);
+          return;
+        }
+        // Numeric 1-8 set 8 evenly spaced ring presets (diagonals/cardinals)
+        const num = parseInt(key.sequence, 10);
+        if (!Number.isNaN(num) && num >= 1 && num <= 8) {
+          currentAngle = (num - 1) / 8 * Math.PI * 2;
+          currentLightDir = lightDirectionFromAngle(currentAngle, tiltY);
+          return;
+        }
+        if (typeof str === 'string' && str.length === 1) {
+          updateLightFromKeys(str);
+        }
+      },
+      onMouse(mouse) {
+        takeOverFromTimeline();
+        view.handleMouse(mouse, renderer);
       }
     });
-    
-    // Calculate camera distance based on bounding box like the original
-    // Original: camera.position.z = ((bbox.max.z * 3))
-    // Keep camera at a fixed distance for stable rotation
-    const cameraDistance = 3.0; // Fixed distance to prevent depth shifting during rotation
-    
-    let rotationZ = 0;
-    const rotationSpeed = 0.04; // Twice as fast again (4x original speed)
+    if (interactive) {
+      process.stdin.setRawMode(true);
+      input.attach(process.stdin);
+    }
     
     console.log('Rendering... Press Ctrl+C to stop');
+
+    const writer = new FrameWriter(process.stdout, {
+      diff: options.repaint === 'diff',
+      sync: options.sync === 'auto' ? supportsSynchronizedOutput() : options.sync === 'on'
+    });
+
+    // Terminal resized (SIGWINCH): refit sizes that follow the terminal and repaint everything,
+    // since the terminal has reflowed or cleared what was on screen
+    process.stdout.on('resize', () => {
+      const width = options.width || process.stdout.columns || renderer.width;
+      const height = options.height || (process.stdout.rows || renderer.height + 1) - (statusRow ? 1 : 0);
+      if (width !== renderer.width || height !== renderer.height) renderer.resize(width, height);
+      writer.invalidate();
+      process.stdout.write('\x1b[2J');
+    });
     
+    // --watch: each re-export shows up in place, turned and lit as before. A file that does not
+    // parse, often because it is still being written, leaves the last good model on screen.
+    let watchStatus = options.watch ? `Watching ${modelFiles.join(', ')}` : null;
+    if (options.watch) {
+      new ModelWatcher({
+        files: modelFiles,
+        models,
+        load: loadMesh,
+        onReload(reloaded, file) {
+          scene.replaceModels(reloaded);
+          const count = reloaded.reduce((sum, triangles) => sum + triangles.length, 0);
+          watchStatus = `Reloaded ${file} at ${new Date().toLocaleTimeString()} (${count} triangles)`;
+        },
+        onError(error, file) {
+          watchStatus = `Cannot reload ${file}: ${error.message} (showing the last good model)`;
+        }
+      }).start();
+    }
+
+    const startTime = Date.now();
     function tick() {
-      renderer.clear();
-      
-      // Slow rotation like the original - mainly around Z axis
-      // Keep rotation angle bounded to prevent precision accumulation
-      rotationZ += rotationSpeed;
-      rotationZ = rotationZ % (2 * Math.PI); // Keep angle between 0 and 2π to prevent accumulation
-      
-      // Create rotation matrix - adjust for proper logo viewing angle
-      const rotationMatrix = createRotationMatrix(
-        0,               // No X rotation - view from front
-        rotationZ,       // Y rotation for spinning
-        0                // No Z rotation
-      );
-      
-      // Auto orbit light counter to model rotation for stability until first user input
-      if (autoOrbit) {
-        // Light rotates slower, opposite the logo rotation
-        currentAngle = Math.PI / 4 - rotationZ * 0.5; // half speed, counter-rotating
-        currentLightDir = new Vector3(Math.cos(currentAngle), tiltY, Math.sin(currentAngle)).normalize();
+      // --duration: a timed run (a splash screen) ends on its own; the exit handler restores the terminal
+      const elapsed = Date.now() - startTime;
+      if (options.duration && elapsed >= options.duration * 1000) process.exit(0);
+
+      // The previous frame has not reached the terminal yet: drop this one rather than queue it
+      if (writer.pending) {
+        setTimeout(tick, renderer.frameIntervalMs);
+        return;
       }
 
-      // Render all triangles
-      triangles.forEach(triangle => {
-        renderer.drawTriangle(triangle, rotationMatrix, currentLightDir, cameraDistance);
-      });
+      if (timelinePlaying) {
+        // Timelines play in real time, so dropped frames do not slow them down
+        timelinePose = scene.drawTimeline(elapsed / 1000);
+      } else {
+        view.advance();
+        // Render all triangles
+        scene.lightDirection = currentLightDir;
+        scene.drawRotation(view.rotationMatrix());
+      }
       
-      renderer.render();
+      const stats = options.stats
+        ? `${writer.lastBytes} B/frame (avg ${Math.round(writer.averageBytes)})  ${writer.effectiveFps(renderer.frameIntervalMs).toFixed(1)} fps  ${options.repaint}${writer.sync ? ' sync' : ''}${view.paused ? '  paused' : ''}`
+        : null;
+      const status = statusRow ? [stats, watchStatus].filter(Boolean).join('  ').slice(0, renderer.width) : null;
+      writer.writeFrame(renderer.composeCells(), renderer.width, renderer.height, status);
       
-      // Use CPU-friendly frame rate
-      setTimeout(tick, renderer.frameIntervalMs);
+      // Use CPU-friendly frame rate, stretched when the terminal link is the bottleneck
+      setTimeout(tick, writer.nextDelay(renderer.frameIntervalMs));
     }
     
     tick();
     
   } catch (error) {
-    console.error('Error processing STL file:', error.message);
+    console.error('Error processing model file:', error.message);
     process.exit(1);
   }
 }
@@ -620,4 +2254,24 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { STLParser, TerminalRenderer, Vector3, Triangle };
+module.exports = {
+  STLParser,
+  STLParseError,
+  OBJParser,
+  PLYParser,
+  ThreeMFParser,
+  registerLoader,
+  findLoader,
+  loadMesh,
+  TerminalRenderer,
+  RenderMesh,
+  Vector3,
+  Triangle,
+  createScene,
+  prepareMesh,
+  createRotationMatrix,
+  detectColorMode,
+  parseArgs,
+  resolveOptions,
+  OptionError
+};
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createScene } = require('../stl_to_ascii');
+const { lzwEncode } = require('../lib/gif_encoder');
+const { CELL_WIDTH, CELL_HEIGHT } = require('../lib/bitmap_font');
+const { formatFromPath, loopFrameCount, encodeAsciicast, encodeSvg, encodeAnimatedGif } = require('../lib/animation_export');
+
+const MODEL = path.join(__dirname, '..', 'deco_logo_120mm_x_12mm.stl');
+const COLORS = { background: [0, 0, 0], foreground: [255, 255, 255], levels: null };
+
+// Reference GIF LZW decoder: sub-blocks in, palette indices out
+function lzwDecode(data) {
+  const minCodeSize = data[0];
+  const bytes = [];
+  for (let pos = 1; data[pos] !== 0; pos += data[pos] + 1) bytes.push(...data.subarray(pos + 1, pos + 1 + data[pos]));
+  const clearCode = 1 << minCodeSize;
+  const out = [];
+  let table, codeSize, previous;
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+  for (let bit = 0; bit + codeSize <= bytes.length * 8;) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      if (bytes[bit >> 3] & (1 << (bit & 7))) code |= 1 << i;
+    }
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === clearCode + 1) break;
+    const entry = code < table.length ? table[code] : [...previous, previous[0]];
+    out.push(...entry);
+    if (previous && table.length < 4096) table.push([...previous, entry[0]]);
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+    previous = entry;
+  }
+  return out;
+}
+
+// Decode an animated GIF into full frames of palette indices, with each frame's delay
+function decodeGif(buffer) {
+  assert.strictEqual(buffer.toString('ascii', 0, 6), 'GIF89a');
+  const width = buffer.readUInt16LE(6);
+  const height = buffer.readUInt16LE(8);
+  let pos = 13 + 3 * (2 << (buffer[10] & 7));
+  const frames = [];
+  let canvas = new Uint8Array(width * height);
+  let delay = 0;
+  while (buffer[pos] !== 0x3b) {
+    if (buffer[pos] === 0x21) {
+      if (buffer[pos + 1] === 0xf9) delay = buffer.readUInt16LE(pos + 4);
+      pos += 2;
+      while (buffer[pos] !== 0) pos += buffer[pos] + 1;
+      pos++;
+      continue;
+    }
+    assert.strictEqual(buffer[pos], 0x2c);
+    const [x, y, w, h] = [1, 3, 5, 7].map(offset => buffer.readUInt16LE(pos + offset));
+    pos += 10;
+    const start = pos;
+    pos++;
+    while (buffer[pos] !== 0) pos += buffer[pos] + 1;
+    pos++;
+    const pixels = lzwDecode(buffer.subarray(start, pos));
+    assert.strictEqual(pixels.length, w * h);
+    canvas = canvas.slice();
+    for (let row = 0; row < h; row++) canvas.set(pixels.slice(row * w, (row + 1) * w), (y + row) * width + x);
+    frames.push({ pixels: canvas, delay });
+  }
+  return { width, height, frames };
+}
+
+test('LZW output decodes back to the input, across dictionary resets', () => {
+  const input = new Uint8Array(20000);
+  let seed = 7;
+  for (let i = 0; i < input.length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    // Mostly runs with some noise, so both long matches and table overflow happen
+    input[i] = i % 300 < 200 ? (i >> 6) & 3 : seed >> 20 & 0xff;
+  }
+  assert.deepStrictEqual(lzwDecode(lzwEncode(input)), [...input]);
+});
+
+test('output file extensions pick the export format', () => {
+  assert.strictEqual(formatFromPath('logo.cast'), 'cast');
+  assert.strictEqual(formatFromPath('out/LOGO.GIF'), 'gif');
+  assert.strictEqual(formatFromPath('frames.json'), 'json');
+  assert.strictEqual(formatFromPath('frame.txt'), null);
+  assert.strictEqual(formatFromPath(null), null);
+});
+
+test('loop length follows the rotation speed', () => {
+  assert.strictEqual(loopFrameCount(0.04), 157);
+  assert.strictEqual(loopFrameCount(-0.04), 157);
+  assert.strictEqual(loopFrameCount(0), 1);
+  assert.strictEqual(loopFrameCount(1), 6);
+});
+
+test('animated exports of a rotation loop', async t => {
+  const scene = createScene(MODEL, { width: 30, height: 10, color: 'none' });
+  const frames = scene.renderTurn(8, { format: 'cells' });
+  const { width, height } = scene.renderer;
+  const options = { width, height, delayMs: 50, colors: COLORS };
+
+  await t.test('asciicast has a header and timed frame events', () => {
+    const lines = encodeAsciicast(frames, options).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines[0], { version: 2, width: 30, height: 10, env: { TERM: 'xterm-256color' } });
+    const events = lines.slice(1);
+    assert.strictEqual(events.length, 9);
+    assert.deepStrictEqual(events.map(([time]) => time), [0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4]);
+    assert.ok(events[0][2].startsWith('\x1b[?25l\x1b[2J'));
+    assert.ok(events.slice(1, -1).every(([, type, data]) => type === 'o' && data.length < events[0][2].length));
+    // The closing event only holds the last frame until the loop restarts
+    assert.strictEqual(events[8][2], '');
+  });
+
+  await t.test('SVG shows each frame for one slot of the loop', () => {
+    const svg = encodeSvg(frames, options);
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="252" height="168"/);
+    assert.match(svg, /animation:frame 0\.4s steps\(1,end\) infinite/);
+    assert.match(svg, /@keyframes frame\{0%\{visibility:visible\}12\.5%,100%\{visibility:hidden\}\}/);
+    const delays = [...svg.matchAll(/<g class="f" style="animation-delay:([\d.]+)s">/g)].map(match => Number(match[1]));
+    assert.deepStrictEqual(delays, [0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35]);
+  });
+
+  await t.test('SVG text is escaped', () => {
+    const cells = { glyphs: ['<', '&', '>', ' '], codes: [], fgLevels: new Int16Array(4).fill(-1), bgLevels: new Int16Array(4).fill(-1) };
+    const svg = encodeSvg([cells], { ...options, width: 4, height: 1 });
+    assert.match(svg, /<g>\n<text x="0" y="12\.6" fill="#ffffff" textLength="25\.2" lengthAdjust="spacingAndGlyphs">&lt;&amp;&gt;<\/text>\n<\/g>/);
+  });
+
+  await t.test('GIF frames match the rendered cells', () => {
+    const gif = decodeGif(encodeAnimatedGif(frames, options));
+    assert.strictEqual(gif.width, width * CELL_WIDTH);
+    assert.strictEqual(gif.height, height * CELL_HEIGHT);
+    assert.strictEqual(gif.frames.length, frames.length);
+    gif.frames.forEach((frame, index) => {
+      assert.strictEqual(frame.delay, 5);
+      // A cell has ink exactly when it holds a visible glyph
+      for (let i = 0; i < width * height; i++) {
+        const x = i % width;
+        const y = Math.floor(i / width);
+        let ink = false;
+        for (let py = 0; py < CELL_HEIGHT && !ink; py++) {
+          const row = (y * CELL_HEIGHT + py) * gif.width + x * CELL_WIDTH;
+          ink = frame.pixels.subarray(row, row + CELL_WIDTH).some(p => p !== 0);
+        }
+        assert.strictEqual(ink, frames[index].glyphs[i] !== ' ', `frame ${index} cell ${x},${y}`);
+      }
+    });
+  });
+
+  await t.test('identical frames are merged into a longer delay', () => {
+    const still = [frames[0], frames[0], frames[0], frames[1]];
+    const gif = decodeGif(encodeAnimatedGif(still, options));
+    assert.deepStrictEqual(gif.frames.map(frame => frame.delay), [15, 5]);
+  });
+
+  await t.test('colored exports shade cells by brightness level', () => {
+    const colored = createScene(MODEL, { width: 30, height: 10, color: 'truecolor', materialColor: '#ff8000', mode: 'halfblock' });
+    const cells = colored.renderFrame(20, { format: 'cells' });
+    const levels = Array.from(colored.renderer.asciiChars, (_, idx) => colored.renderer.levelColor(idx).map(Math.round));
+    const svg = encodeSvg([cells], { ...options, colors: { ...COLORS, levels } });
+    const fills = new Set([...svg.matchAll(/fill="#([0-9a-f]{6})"/g)].map(match => match[1]));
+    fills.delete('000000');
+    assert.ok(fills.size > 3);
+    for (const fill of fills) {
+      // Every shade is the material color scaled down
+      const [r, g, b] = [0, 2, 4].map(i => parseInt(fill.slice(i, i + 2), 16));
+      assert.ok(Math.abs(g - r / 2) <= 1 && b === 0, fill);
+    }
+    // Half-blocks with both halves covered color the cell background too
+    assert.match(svg, /<rect x="[\d.]+" y="[\d.]+" width="[\d.]+" height="16\.8" fill="#/);
+  });
+});
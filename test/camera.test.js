@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Camera } = require('../lib/camera');
+const { TerminalRenderer } = require('../stl_to_ascii');
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected} ${message || ''}`);
+
+// Twice the signed screen area of the triangle in points[0..8]; its sign gives the winding
+function signedArea(p) {
+  return (p[3] - p[0]) * (p[7] - p[1]) - (p[6] - p[0]) * (p[4] - p[1]);
+}
+
+function projectAll(camera, vertices) {
+  const out = new Float64Array(vertices.length * 3);
+  vertices.forEach(([x, y, z], i) => camera.project(x, y, z, out, i * 3));
+  return out;
+}
+
+test('unproject inverts project in both projections', () => {
+  for (const projection of ['perspective', 'orthographic']) {
+    const camera = new Camera({ projection, distance: 4 });
+    // A side-by-side viewport with tall sub-pixels
+    camera.setViewport(60, 40, 2.5, 10);
+    for (const point of [[0, 0, 0], [0.3, -0.2, 0.5], [-1.5, 2, -1]]) {
+      const screen = new Float64Array(3);
+      camera.project(...point, screen, 0);
+      const back = camera.unproject(screen[0], screen[1], screen[2], new Float64Array(3));
+      point.forEach((value, i) => close(back[i], value, `${projection} ${point}`));
+    }
+    const screen = new Float64Array(3);
+    camera.project(0, 0, 0, screen, 0);
+    assert.deepStrictEqual([...screen], [10 + 30, 20, 4]);
+  }
+
+  // Perspective draws farther points closer to the center; orthographic does not
+  const perspective = projectAll(new Camera({ distance: 4 }), [[1, 0, 0], [1, 0, 2]]);
+  assert.ok(perspective[3] < perspective[0]);
+  const orthographic = projectAll(new Camera({ projection: 'orthographic', distance: 4 }), [[1, 0, 0], [1, 0, 2]]);
+  close(orthographic[3], orthographic[0]);
+});
+
+test('triangles crossing the near plane are clipped, not turned inside out', () => {
+  const renderer = new TerminalRenderer(40, 20, { colorMode: 'none' });
+  const camera = renderer.camera;
+  camera.distance = 3;
+  const drawn = [];
+  renderer.rasterizeProjected = points => drawn.push(Array.from(points));
+
+  const nearZ = camera.near - camera.distance;
+  const winding = (vertices, distance) => Math.sign(signedArea(projectAll(camera.withDistance(distance), vertices)));
+  // Projected as it is, a corner behind the camera is mirrored through the center and flips the winding
+  const crossing = [[-1, -1, 0], [1, -1, 0], [0, 1, -5]];
+  assert.notStrictEqual(winding(crossing, 3), winding(crossing, 20));
+
+  // One corner behind the camera leaves a quad (two triangles), two corners leave a triangle
+  const cases = [
+    [crossing, 2],
+    [[[0, -1, 0], [1, 1, -5], [-1, 1, -5]], 1]
+  ];
+  for (const [vertices, pieces] of cases) {
+    drawn.length = 0;
+    const corners = new Float64Array(vertices.flatMap(v => [...v, 0, 0, -1]));
+    renderer.rasterizeNearClipped(corners, 1, null, camera);
+    assert.strictEqual(drawn.length, pieces);
+
+    // From farther back on the same side of its plane the whole triangle is in front: its true winding
+    const reference = winding(vertices, 20);
+    for (const points of drawn) {
+      [2, 5, 8].forEach(i => assert.ok(points[i] >= camera.near - 1e-9, `depth ${points[i]}`));
+      assert.strictEqual(Math.sign(signedArea(points)), reference);
+    }
+    // The cut corners sit on the near plane
+    assert.ok(drawn.flat().some((value, i) => i % 3 === 2 && Math.abs(value - camera.depth(nearZ)) < 1e-9));
+  }
+});
+
+test('frameSphere fits the sphere inside both axes of the view', () => {
+  const radius = 2.5;
+  // Points on the sphere's surface, dense enough to reach its silhouette
+  const sphere = [];
+  for (let i = 0; i <= 60; i++) {
+    for (let j = 0; j < 120; j++) {
+      const theta = Math.PI * i / 60, phi = 2 * Math.PI * j / 120;
+      sphere.push([radius * Math.sin(theta) * Math.cos(phi), radius * Math.cos(theta), radius * Math.sin(theta) * Math.sin(phi)]);
+    }
+  }
+
+  for (const projection of ['perspective', 'orthographic']) {
+    for (const cellAspect of [1, 2, 2.5]) {
+      // Limited by the height, then by the width
+      for (const [width, height] of [[80, 24], [30, 60]]) {
+        const camera = new Camera({ projection, cellAspect, fov: 50 });
+        camera.setViewport(width, height);
+        const distance = camera.frameSphere(radius);
+        assert.strictEqual(camera.distance, distance);
+        const screen = projectAll(camera, sphere);
+        const xs = [], ys = [];
+        for (let i = 0; i < screen.length; i += 3) {
+          xs.push(screen[i]);
+          ys.push(screen[i + 1]);
+        }
+        const label = `${projection} ${cellAspect} ${width}x${height}`;
+        assert.ok(Math.min(...xs) >= 0 && Math.max(...xs) <= width, label);
+        assert.ok(Math.min(...ys) >= 0 && Math.max(...ys) <= height, label);
+        // Snug along the limiting axis: only the framing margin is left over
+        const fill = Math.max((Math.max(...xs) - Math.min(...xs)) / width, (Math.max(...ys) - Math.min(...ys)) / height);
+        assert.ok(fill > 0.9, `${label} fills ${fill}`);
+      }
+    }
+  }
+});
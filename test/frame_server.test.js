@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const http = require('http');
+const { rotationForAxis } = require('../lib/geometry');
+const { FrameServer, TelnetDecoder } = require('../lib/frame_server');
+const { createScene } = require('../stl_to_ascii');
+const { box } = require('./helpers');
+
+const IAC = 255, SB = 250, SE = 240, NAWS = 31;
+
+test('telnet input is split into data and window sizes across chunks', () => {
+  const decoder = new TelnetDecoder();
+  // WILL NAWS, then a size of 255 x 40 (the 255 doubled), cut in the middle
+  const first = decoder.push(Buffer.from([0x61, IAC, 251, NAWS, IAC, SB, NAWS, 0, IAC]));
+  assert.deepStrictEqual([...first.data], [0x61]);
+  assert.deepStrictEqual(first.sizes, []);
+  const second = decoder.push(Buffer.from([IAC, 0, 40, IAC, SE, IAC, IAC, 0x71]));
+  assert.deepStrictEqual(second.sizes, [{ width: 255, height: 40 }]);
+  assert.deepStrictEqual([...second.data], [IAC, 0x71]);
+});
+
+test('scene clones share the meshes and render at their own size', () => {
+  const scene = createScene(box([-0.5, -0.5, -0.5]), { width: 40, height: 16, color: 'none' });
+  const small = scene.clone({ width: 20, height: 8 });
+  assert.strictEqual(small.renderMesh, scene.renderMesh);
+  assert.notStrictEqual(small.renderer, scene.renderer);
+  const lines = small.renderFrame(30, { format: 'lines' });
+  assert.deepStrictEqual([lines.length, lines[0].length], [8, 20]);
+  assert.strictEqual(scene.renderer.width, 40);
+});
+
+test('each client gets frames at its own size', async t => {
+  const scene = createScene(box([-0.5, -0.5, -0.5]), { width: 40, height: 16, color: 'none' });
+  const server = new FrameServer({
+    frameIntervalMs: 20,
+    openView: (width, height) => scene.clone({ width, height }),
+    draw: (view, seconds) => view.drawRotation(rotationForAxis('y', seconds))
+  });
+  t.after(() => server.close());
+  const telnet = await server.listenTelnet(0, '127.0.0.1');
+  const web = await server.listenHttp(0, '127.0.0.1');
+
+  // Server-sent events: plain text frames of the requested size
+  const event = await new Promise((resolve, reject) => {
+    http.get({ port: web.port, host: '127.0.0.1', path: '/frames?cols=24&rows=6' }, res => {
+      assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+        const match = /^data: (.*)\n\n/.exec(body);
+        if (match) {
+          res.destroy();
+          resolve(JSON.parse(match[1]));
+        }
+      });
+    }).on('error', reject);
+  });
+  const lines = event.split('\n');
+  assert.deepStrictEqual([lines.length, lines[0].length], [6, 24]);
+
+  // Telnet: the window size sent through NAWS bounds the cursor moves; q ends the session
+  const received = await new Promise((resolve, reject) => {
+    const socket = net.connect(telnet.port, '127.0.0.1');
+    let bytes = Buffer.alloc(0);
+    socket.on('connect', () => socket.write(Buffer.from([IAC, SB, NAWS, 0, 30, 0, 8, IAC, SE])));
+    socket.on('data', chunk => {
+      bytes = Buffer.concat([bytes, chunk]);
+      if (bytes.length > 200 && !socket.quitting) {
+        socket.quitting = true;
+        socket.write('q');
+      }
+    });
+    socket.on('close', () => resolve(bytes));
+    socket.on('error', reject);
+  });
+  assert.deepStrictEqual([...received.subarray(0, 3)], [IAC, 251, 1]);
+  const text = received.toString('latin1');
+  const moves = [...text.matchAll(/\x1b\[(\d+);(\d+)H/g)].map(([, row, col]) => [+row, +col]);
+  assert.ok(moves.length > 0);
+  // The first frame may go out at the default size before the client's size arrives
+  const last = text.slice(text.lastIndexOf('\x1b[2J'));
+  for (const [, row, col] of last.matchAll(/\x1b\[(\d+);(\d+)H/g)) assert.ok(+row <= 8 && +col <= 30, `${row};${col}`);
+  assert.ok(text.endsWith('\x1b[?1049l'));
+  assert.strictEqual(server.clients.size, 0);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const { FrameWriter, supportsSynchronizedOutput, SYNC_BEGIN, SYNC_END } = require('../lib/frame_writer');
+
+const RESET = '\x1b[0m';
+const RED = '\x1b[31m';
+
+// Cells as composeCells returns them, one string per row; `colored` lists indices drawn in red
+function cells(rows, colored = []) {
+  const glyphs = [...rows.join('')];
+  return { glyphs, codes: glyphs.map((_, i) => (colored.includes(i) ? RED : RESET)) };
+}
+
+const BLANK = ['..............', '..............'];
+// Row 0 with `changed` columns replaced by '#'
+const changedAt = (...columns) => [[...BLANK[0]].map((c, x) => (columns.includes(x) ? '#' : c)).join(''), BLANK[1]];
+
+test('the first frame is painted in full, later ones only where they changed', () => {
+  const writer = new FrameWriter(null);
+  assert.strictEqual(writer.encode(cells(BLANK), 14, 2), `\x1b[1;1H${BLANK[0]}\x1b[2;1H${BLANK[1]}`);
+  assert.strictEqual(writer.encode(cells(BLANK), 14, 2), '');
+  assert.strictEqual(writer.encode(cells(['..#...........', '.............#']), 14, 2), '\x1b[1;3H#\x1b[2;14H#');
+  // Repaints everything again after invalidate(), or always with diffing off
+  writer.invalidate();
+  assert.match(writer.encode(cells(BLANK), 14, 2), /^\x1b\[1;1H\.{14}\x1b\[2;1H/);
+  const plain = new FrameWriter(null, { diff: false });
+  plain.encode(cells(BLANK), 14, 2);
+  assert.strictEqual(plain.encode(cells(BLANK), 14, 2).length, 2 * 14 + 12);
+});
+
+test('changes up to MAX_GAP cells apart are rewritten in one run', () => {
+  const writer = new FrameWriter(null);
+  writer.encode(cells(BLANK), 14, 2);
+  // Six unchanged cells between the changes: cheaper to rewrite than to move the cursor
+  assert.strictEqual(writer.encode(cells(changedAt(2, 9)), 14, 2), '\x1b[1;3H#......#');
+  writer.encode(cells(BLANK), 14, 2);
+  // Seven: two runs
+  assert.strictEqual(writer.encode(cells(changedAt(2, 10)), 14, 2), '\x1b[1;3H#\x1b[1;11H#');
+  writer.encode(cells(BLANK), 14, 2);
+  // A color change alone counts as a change, and the color is reset at the end
+  assert.strictEqual(writer.encode(cells(BLANK, [4, 5]), 14, 2), `\x1b[1;5H${RED}..${RESET}`);
+});
+
+test('synchronized output wraps every frame, status row included', () => {
+  const writer = new FrameWriter(null, { sync: true });
+  const first = writer.encode(cells(BLANK), 14, 2, 'fps 16');
+  assert.ok(first.startsWith(SYNC_BEGIN) && first.endsWith(SYNC_END));
+  assert.ok(first.includes('\x1b[3;1Hfps 16\x1b[K'));
+  assert.strictEqual(writer.encode(cells(changedAt(0)), 14, 2), `${SYNC_BEGIN}\x1b[1;1H#${SYNC_END}`);
+  assert.strictEqual(writer.encode(cells(changedAt(0)), 14, 2), SYNC_BEGIN + SYNC_END);
+  assert.ok(!new FrameWriter(null).encode(cells(BLANK), 14, 2).includes(SYNC_BEGIN));
+
+  assert.strictEqual(supportsSynchronizedOutput({ TERM_PROGRAM: 'WezTerm' }), true);
+  assert.strictEqual(supportsSynchronizedOutput({ TERM: 'xterm-kitty' }), true);
+  assert.strictEqual(supportsSynchronizedOutput({ TERM: 'xterm-256color' }), false);
+  assert.strictEqual(supportsSynchronizedOutput({}), false);
+});
+
+// Writable that carries `bytesPerMs`, holding up to `highWaterMark` bytes before it pushes back
+function link(bytesPerMs, highWaterMark) {
+  return new Writable({
+    highWaterMark,
+    write(chunk, encoding, done) {
+      setTimeout(done, chunk.length / bytesPerMs);
+    }
+  });
+}
+
+const drained = writer => new Promise(resolve => (writer.pending ? writer.stream.once('drain', resolve) : resolve()));
+
+test('pacing stretches to what a slow link carries', async () => {
+  // 80 x 20 cells repainted in full: about 1.7 kB a frame over a 50 kB/s link, some 35 ms each
+  const rows = Array.from({ length: 20 }, () => '#'.repeat(80));
+  const writer = new FrameWriter(link(50, 1024), { diff: false });
+  const delays = [];
+  for (let i = 0; i < 5; i++) {
+    const bytes = writer.writeFrame(cells(rows), 80, 20);
+    assert.ok(bytes > 1024);
+    // Past the high-water mark: the frame counts as in flight until the stream drains
+    assert.strictEqual(writer.pending, true);
+    await drained(writer);
+    assert.strictEqual(writer.pending, false);
+    delays.push(writer.nextDelay(5));
+  }
+  const expected = writer.averageBytes / 50 * 1.25;
+  assert.ok(delays.every(delay => delay > 5), delays.join(', '));
+  assert.ok(delays[4] > expected / 2 && delays[4] < expected * 5, `${delays[4]} ms, expected about ${expected}`);
+
+  // A link with room to spare takes every frame at once and keeps the target interval
+  const fast = new FrameWriter(link(1e6, 1 << 20), { diff: false });
+  for (let i = 0; i < 5; i++) {
+    fast.writeFrame(cells(rows), 80, 20);
+    assert.strictEqual(fast.pending, false);
+    await drained(fast);
+  }
+  assert.strictEqual(fast.nextDelay(5), 5);
+});
+
+test('the estimate recovers once the link keeps up again', async () => {
+  const writer = new FrameWriter(link(1, 16));
+  writer.writeFrame(cells(BLANK), 14, 2);
+  await drained(writer);
+  const slow = writer.throughput;
+  assert.ok(slow > 0);
+  // Frames the stream takes without pushing back raise the estimate bit by bit
+  writer.stream = link(1e6, 1 << 20);
+  writer.writeFrame(cells(changedAt(3)), 14, 2);
+  writer.writeFrame(cells(changedAt(4)), 14, 2);
+  assert.ok(writer.throughput > slow * 1.4);
+});
@@ -0,0 +1,70 @@
+/**
+ * Golden-frame tests: render the bundled logo with fixed settings and compare against the
+ * frames checked in under test/golden. After an intentional rendering change, regenerate them with
+ *
+ *   UPDATE_GOLDEN=1 node --test test/
+ *
+ * and review the diff before committing.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createScene } = require('../stl_to_ascii');
+
+const MODEL = path.join(__dirname, '..', 'deco_logo_120mm_x_12mm.stl');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+// name -> scene options and rotation in degrees; color is off so frames are plain text
+const CASES = {
+  'ascii-0': { options: {}, angle: 0 },
+  'ascii-30': { options: {}, angle: 30 },
+  'ascii-90': { options: {}, angle: 90 },
+  'ascii-flat-45': { options: { lighting: 'flat' }, angle: 45 },
+  'ascii-orthographic-30': { options: { projection: 'orthographic' }, angle: 30 },
+  'ascii-axis-x-60': { options: { axis: 'x' }, angle: 60 },
+  'ascii-outline-30': { options: { outline: 'overlay' }, angle: 30 },
+  'ascii-hidden-line-0': { options: { outline: 'hidden-line' }, angle: 0 },
+  'braille-wireframe-30': { options: { outline: 'wireframe', mode: 'braille', width: 40, height: 14 }, angle: 30 },
+  'halfblock-30': { options: { mode: 'halfblock', width: 40, height: 14 }, angle: 30 },
+  'braille-30': { options: { mode: 'braille', width: 40, height: 14 }, angle: 30 }
+};
+
+// Parsing and preprocessing dominate, so each distinct mesh setup is loaded once
+const scenes = new Map();
+function sceneFor(options) {
+  const key = JSON.stringify(options);
+  if (!scenes.has(key)) {
+    scenes.set(key, createScene(MODEL, { width: 60, height: 20, color: 'none', ...options }));
+  }
+  return scenes.get(key);
+}
+
+for (const [name, { options, angle }] of Object.entries(CASES)) {
+  test(`golden frame: ${name}`, () => {
+    const frame = sceneFor(options).renderFrame(angle) + '\n';
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.txt`);
+    if (UPDATE) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenPath, frame);
+      return;
+    }
+    assert.ok(fs.existsSync(goldenPath), `missing ${goldenPath}; run with UPDATE_GOLDEN=1 to create it`);
+    assert.strictEqual(frame, fs.readFileSync(goldenPath, 'utf8'));
+  });
+}
+
+test('rendering the same frame twice is deterministic', () => {
+  const scene = sceneFor({});
+  assert.strictEqual(scene.renderFrame(30), scene.renderFrame(30));
+});
+
+test('a resized renderer matches one created at the new size', () => {
+  const resized = createScene(MODEL, { width: 60, height: 20, color: 'none' });
+  resized.renderFrame(30);
+  resized.renderer.resize(40, 12);
+  const fresh = createScene(MODEL, { width: 40, height: 12, color: 'none' });
+  assert.strictEqual(resized.renderFrame(30), fresh.renderFrame(30));
+});
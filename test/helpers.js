@@ -0,0 +1,14 @@
+// Fixtures shared by the test files
+const { Vector3, Triangle } = require('../lib/geometry');
+
+// Axis-aligned box from `origin` with edge length `size`, wound counter-clockwise from outside
+function box(origin = [0, 0, 0], size = 1) {
+  const corner = i => new Vector3(origin[0] + (i & 1) * size, origin[1] + (i >> 1 & 1) * size, origin[2] + (i >> 2 & 1) * size);
+  const quads = [[0, 2, 3, 1], [4, 5, 7, 6], [0, 1, 5, 4], [2, 6, 7, 3], [0, 4, 6, 2], [1, 3, 7, 5]];
+  return quads.flatMap(([a, b, c, d]) => [
+    new Triangle(corner(a), corner(b), corner(c)),
+    new Triangle(corner(a), corner(c), corner(d))
+  ]);
+}
+
+module.exports = { box };
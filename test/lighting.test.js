@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LightingModel, parseLights } = require('../lib/lighting');
+const { parseArgs } = require('../stl_to_ascii');
+
+test('light specs list directional and point lights', () => {
+  assert.deepStrictEqual(parseLights('dir:-1,1,-1@0.5; POINT: 0, 2.5, -3e0 ;directional:0,0,-1'), [
+    { type: 'directional', direction: [-1, 1, -1], intensity: 0.5 },
+    { type: 'point', position: [0, 2.5, -3], intensity: 1 },
+    { type: 'directional', direction: [0, 0, -1], intensity: 1 }
+  ]);
+  assert.deepStrictEqual(parseLights(''), []);
+  assert.deepStrictEqual(parseLights(undefined), []);
+  assert.deepStrictEqual(parseLights(';'), []);
+});
+
+test('config arrays are checked and normalized', () => {
+  assert.deepStrictEqual(parseLights([
+    { type: 'dir', direction: [1, 0, 0] },
+    { type: 'point', position: [0, 1, 0], intensity: 2, range: 5 }
+  ]), [
+    { type: 'directional', direction: [1, 0, 0], intensity: 1 },
+    { type: 'point', position: [0, 1, 0], intensity: 2, range: 5 }
+  ]);
+});
+
+test('malformed lights say what is wrong', () => {
+  const invalid = /invalid light ".*", expected dir:x,y,z@intensity or point:x,y,z@intensity/;
+  for (const spec of ['spot:0,0,1', 'dir:0,0', 'dir:0,0,1@', 'point 0,0,1', 'dir:a,b,c']) {
+    assert.throws(() => parseLights(spec), invalid, spec);
+  }
+  assert.throws(() => parseLights('dir:0,0,1;dir:1,2'), /invalid light "dir:1,2"/);
+  assert.throws(() => parseLights('dir:1.2.3,0,0'), /light direction must be three numbers/);
+  assert.throws(() => parseLights('point:0,1-1,0'), /point light position must be three numbers/);
+  assert.throws(() => parseLights('dir:0,0,1@-1'), /light intensity must be a number >= 0/);
+  assert.throws(() => parseLights('dir:0,0,1@1e'), /light intensity must be a number >= 0/);
+
+  assert.throws(() => parseLights({ type: 'point' }), /lights must be a spec string or an array of light objects/);
+  assert.throws(() => parseLights([null]), /each light must be an object/);
+  assert.throws(() => parseLights([{ type: 'spot', direction: [0, 0, 1] }]), /unknown light type "spot", expected directional or point/);
+  assert.throws(() => parseLights([{ type: 'directional', direction: [0, 1] }]), /light direction must be three numbers/);
+  assert.throws(() => parseLights([{ type: 'point', position: [0, 0, '1'] }]), /point light position must be three numbers/);
+  assert.throws(() => parseLights([{ type: 'point', position: [0, 0, 1], range: 0 }]), /point light range must be > 0/);
+  assert.throws(() => parseLights([{ type: 'dir', direction: [0, 0, 1], intensity: -2 }]), /light intensity must be a number >= 0/);
+
+  // On the command line the flag is named
+  assert.throws(() => parseArgs(['model.stl', '--lights', 'dir:0,0']), /--lights: invalid light "dir:0,0"/);
+});
+
+test('extra lights add to the key light', () => {
+  const facing = new LightingModel({ material: { ambient: 0, floor: 0, diffuse: 0.5, diffuseExponent: 1 } });
+  const lit = new LightingModel({
+    material: { ambient: 0, floor: 0, diffuse: 0.5, diffuseExponent: 1 },
+    lights: 'dir:0,0,-2@0.5'
+  });
+  // A normal facing the viewer gets the key light, plus half again from the extra light (whose direction is normalized)
+  assert.strictEqual(facing.shade(0, 0, -1), 0.5);
+  assert.strictEqual(lit.shade(0, 0, -1), 0.75);
+  assert.strictEqual(lit.shade(0, 0, 1), 0);
+});
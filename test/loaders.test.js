@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { OBJParser, PLYParser, ThreeMFParser } = require('../lib/loaders');
+const { findLoader, loadMesh } = require('../stl_to_ascii');
+
+const coords = v => [v.x, v.y, v.z];
+const corners = t => [t.v1, t.v2, t.v3].map(coords);
+
+// Write files to a temporary directory; returns their paths by name
+function writeFiles(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loaders-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return Object.fromEntries(Object.entries(files).map(([name, data]) => {
+    fs.writeFileSync(path.join(dir, name), data);
+    return [name, path.join(dir, name)];
+  }));
+}
+
+// Zip archive of name -> text entries, deflated when `deflate` names them
+function zip(files, deflate = []) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const method = deflate.includes(name) ? 8 : 0;
+    const data = method === 8 ? zlib.deflateRawSync(text) : Buffer.from(text);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(text.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(text.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    parts.push(local, nameBytes, data);
+    directory.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const centralBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(directory.length / 2, 8);
+  end.writeUInt16LE(directory.length / 2, 10);
+  end.writeUInt32LE(centralBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, centralBytes, end]);
+}
+
+// A pentagon with normals, then a quad addressed with negative indices over a continued line
+const OBJ = `# exported by hand
+o pentagon
+v 0 0 0
+v 2 0 0
+v 3 1 0
+v 1 3 0
+v -1 1 0
+vn 0 0 2
+f 1//1 2//1 3//1 4//1 5//1
+
+v 0 0 1
+v 1 0 1
+v 1 1 1 1.0
+v 0 1 1
+f -4 -3 \\
+  -2 -1
+`;
+
+test('OBJ polygons are fanned and negative indices count back', () => {
+  const triangles = OBJParser.parseOBJText(OBJ.replace(/\n/g, '\r\n'));
+  assert.strictEqual(triangles.length, 5);
+  assert.deepStrictEqual(triangles.slice(0, 3).map(corners), [
+    [[0, 0, 0], [2, 0, 0], [3, 1, 0]],
+    [[0, 0, 0], [3, 1, 0], [1, 3, 0]],
+    [[0, 0, 0], [1, 3, 0], [-1, 1, 0]]
+  ]);
+  assert.deepStrictEqual(coords(triangles[0].vn2), [0, 0, 1]);
+  assert.deepStrictEqual(triangles.slice(3).map(corners), [
+    [[0, 0, 1], [1, 0, 1], [1, 1, 1]],
+    [[0, 0, 1], [1, 1, 1], [0, 1, 1]]
+  ]);
+  assert.strictEqual(triangles[3].vn1, null);
+});
+
+test('OBJ vertices need three finite coordinates', () => {
+  assert.throws(() => OBJParser.parseOBJText('v 0 0 0\nv 1 0\nv 0 1 0\nf 1 2 3\n'),
+    /Invalid vertex on OBJ line 2: expected 3 numbers, got "v 1 0"/);
+  assert.throws(() => OBJParser.parseOBJText('v 0 0 0\n\nv 1 nan 0\n'), /Invalid vertex on OBJ line 3/);
+  assert.throws(() => OBJParser.parseOBJText('v 0 0 0\nvn 0 0 1e999\n'), /Invalid normal on OBJ line 2/);
+  assert.throws(() => OBJParser.parseOBJText('v 0 0 0\nv 1 0 0\nf 1 2 3\n'), /Invalid face on OBJ line 3/);
+});
+
+// A unit square with normals (one quad) next to a triangle
+const PLY_VERTICES = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [2, 0, 0]];
+const PLY_FACES = [[0, 1, 2, 3], [1, 4, 2]];
+
+function plyHeader(format) {
+  return [
+    'ply', `format ${format} 1.0`, 'comment made for the tests',
+    `element vertex ${PLY_VERTICES.length}`, 'property float x', 'property float y', 'property float z',
+    'property float nx', 'property float ny', 'property float nz',
+    `element face ${PLY_FACES.length}`, 'property list uchar int vertex_indices', 'end_header', ''
+  ].join('\n');
+}
+
+function checkPLY(triangles) {
+  assert.deepStrictEqual(triangles.map(corners), [
+    [[0, 0, 0], [1, 0, 0], [1, 1, 0]],
+    [[0, 0, 0], [1, 1, 0], [0, 1, 0]],
+    [[1, 0, 0], [2, 0, 0], [1, 1, 0]]
+  ]);
+  assert.deepStrictEqual(coords(triangles[2].vn3), [0, 0, 1]);
+}
+
+test('ASCII PLY', () => {
+  const body = [
+    ...PLY_VERTICES.map(v => `${v.join(' ')} 0 0 1`),
+    ...PLY_FACES.map(f => `${f.length} ${f.join(' ')}`)
+  ].join('\n');
+  checkPLY(PLYParser.parsePLYBuffer(Buffer.from(`${plyHeader('ascii')}${body}\n`)));
+});
+
+test('binary PLY in either byte order', () => {
+  for (const littleEndian of [true, false]) {
+    const body = Buffer.alloc(PLY_VERTICES.length * 24 + PLY_FACES.reduce((sum, f) => sum + 1 + f.length * 4, 0));
+    let pos = 0;
+    const float = value => { pos = littleEndian ? body.writeFloatLE(value, pos) : body.writeFloatBE(value, pos); };
+    const int = value => { pos = littleEndian ? body.writeInt32LE(value, pos) : body.writeInt32BE(value, pos); };
+    PLY_VERTICES.forEach(v => [...v, 0, 0, 1].forEach(float));
+    PLY_FACES.forEach(f => {
+      pos = body.writeUInt8(f.length, pos);
+      f.forEach(int);
+    });
+    const format = littleEndian ? 'binary_little_endian' : 'binary_big_endian';
+    checkPLY(PLYParser.parsePLYBuffer(Buffer.concat([Buffer.from(plyHeader(format)), body])));
+    assert.throws(() => PLYParser.parsePLYBuffer(Buffer.concat([Buffer.from(plyHeader(format)), body.subarray(0, 50)])),
+      /Unexpected end of PLY data/);
+  }
+});
+
+test('PLY vertices need finite coordinates', () => {
+  const flat = plyHeader('ascii').replace('property float z\n', '');
+  const body = `${PLY_VERTICES.map(v => `${v[0]} ${v[1]} 0 0 1`).join('\n')}\n3 0 1 2\n3 1 4 2\n`;
+  assert.throws(() => PLYParser.parsePLYBuffer(Buffer.from(flat + body)), /Invalid PLY vertex 0: expected finite x, y and z/);
+  const rows = PLY_VERTICES.map(v => `${v.join(' ')} 0 0 1`);
+  rows[2] = '1 abc 0 0 0 1';
+  assert.throws(() => PLYParser.parsePLYBuffer(Buffer.from(`${plyHeader('ascii')}${rows.join('\n')}\n3 0 1 2\n3 1 4 2\n`)),
+    /Invalid PLY vertex 2: expected finite x, y and z, got 1, NaN, 0/);
+  rows[2] = '1 1 0 0 nan 1';
+  assert.throws(() => PLYParser.parsePLYBuffer(Buffer.from(`${plyHeader('ascii')}${rows.join('\n')}\n3 0 1 2\n3 1 4 2\n`)),
+    /Invalid PLY normal on vertex 2/);
+});
+
+// One triangle placed twice by an assembly, which the build scales by 2 and lifts by 5
+const MODEL = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
+  <resources>
+    <object id="1" type="model">
+      <mesh>
+        <vertices>
+          <vertex x="0" y="0" z="0" />
+          <vertex x="1" y="0" z="0" />
+          <vertex x="0" y="1" z="0" />
+        </vertices>
+        <triangles>
+          <triangle v1="0" v2="1" v3="2" />
+        </triangles>
+      </mesh>
+    </object>
+    <object id="2" type="model">
+      <components>
+        <component objectid="1" />
+        <component objectid="1" transform="1 0 0 0 1 0 0 0 1 10 0 0" />
+      </components>
+    </object>
+  </resources>
+  <build>
+    <item objectid="2" transform="2 0 0 0 2 0 0 0 2 0 0 5" />
+  </build>
+</model>
+`;
+
+test('3MF components and build transforms', t => {
+  const { part } = writeFiles(t, {
+    part: zip({ '[Content_Types].xml': '<Types/>', '3D/3dmodel.model': MODEL }, ['3D/3dmodel.model'])
+  });
+  assert.deepStrictEqual(ThreeMFParser.parse3MF(part).map(corners), [
+    [[0, 0, 5], [2, 0, 5], [0, 2, 5]],
+    [[20, 0, 5], [22, 0, 5], [20, 2, 5]]
+  ]);
+  // Without a build section every object no other one uses is shown as-is
+  const unplaced = ThreeMFParser.parseModelXml(MODEL.replace(/<build>[\s\S]*<\/build>/, ''));
+  assert.deepStrictEqual(unplaced.map(corners)[1], [[10, 0, 0], [11, 0, 0], [10, 1, 0]]);
+  assert.throws(() => ThreeMFParser.parseModelXml(MODEL.replace('objectid="2"', 'objectid="7"')), /unknown object 7/);
+});
+
+test('3MF vertices need finite coordinates', () => {
+  assert.throws(() => ThreeMFParser.parseModelXml(MODEL.replace('<vertex x="1" y="0" z="0" />', '<vertex x="abc" y="0" z="0" />')),
+    /Invalid vertex 1 in 3MF object 1: expected finite x, y and z, got <vertex x="abc"/);
+  assert.throws(() => ThreeMFParser.parseModelXml(MODEL.replace('<vertex x="0" y="1" z="0" />', '<vertex x="0" y="1" />')),
+    /Invalid vertex 2 in 3MF object 1/);
+});
+
+test('files without a known extension are recognized by their first bytes', t => {
+  const stl = Buffer.alloc(84 + 50);
+  stl.writeUInt32LE(1, 80);
+  const files = writeFiles(t, {
+    'model.obj.txt': OBJ,
+    'scan.bin': `${plyHeader('ascii')}${PLY_VERTICES.map(v => `${v.join(' ')} 0 0 1`).join('\n')}\n3 0 1 2\n3 1 4 2\n`,
+    'download': zip({ '3D/3dmodel.model': MODEL }),
+    'part.dat': `solid part\n${'facet normal 0 0 1\n outer loop\n  vertex 0 0 0\n  vertex 1 0 0\n  vertex 0 1 0\n endloop\nendfacet\n'}endsolid\n`,
+    'binary.dat': stl,
+    'notes.txt': 'just some notes\n',
+    'empty.obj': '# nothing here\n'
+  });
+  assert.deepStrictEqual(
+    ['model.obj.txt', 'scan.bin', 'download', 'part.dat', 'binary.dat'].map(name => findLoader(files[name]).name),
+    ['obj', 'ply', '3mf', 'stl', 'stl']
+  );
+  assert.strictEqual(loadMesh(files['download']).length, 2);
+  assert.strictEqual(loadMesh(files['scan.bin']).length, 2);
+  assert.throws(() => findLoader(files['notes.txt']), /Unrecognized model format: .*notes\.txt/);
+  // The extension wins, even for a file with nothing in it
+  assert.throws(() => loadMesh(files['empty.obj']), /No triangles found in .*empty\.obj/);
+});
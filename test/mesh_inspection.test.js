@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vector3, Triangle } = require('../lib/geometry');
+const { RenderMesh } = require('../lib/render_mesh');
+const { DEFECTS, inspectMesh, findDefects, guessUnits } = require('../lib/mesh_inspection');
+const { createScene } = require('../stl_to_ascii');
+const { box } = require('./helpers');
+
+test('a closed box is measured in its original placement', () => {
+  const report = inspectMesh(box([10, 20, 30], 2));
+  assert.deepStrictEqual(report.boundingBox.min, new Vector3(10, 20, 30));
+  assert.deepStrictEqual(report.boundingBox.size, new Vector3(2, 2, 2));
+  assert.strictEqual(report.surfaceArea, 24);
+  assert.ok(Math.abs(report.volume - 8) < 1e-9);
+  assert.strictEqual(report.centroidOf, 'volume');
+  ['x', 'y', 'z'].forEach((axis, i) => assert.ok(Math.abs(report.centroid[axis] - [11, 21, 31][i]) < 1e-9));
+  assert.deepStrictEqual(report.facets, { degenerate: 0, duplicate: 0, flippedNormals: 0 });
+  assert.deepStrictEqual(report.edges, { total: 18, open: 0, nonManifold: 0, inconsistent: 0 });
+  assert.strictEqual(report.vertices, 8);
+  assert.ok(report.watertight && report.manifold && !report.insideOut);
+});
+
+test('holes, duplicates and bad facets are counted', () => {
+  const triangles = box();
+  const removed = triangles.pop();
+  const open = inspectMesh(triangles);
+  assert.strictEqual(open.watertight, false);
+  assert.strictEqual(open.edges.open, 3);
+  assert.strictEqual(open.centroidOf, 'surface');
+
+  triangles.push(removed, removed, new Triangle(removed.v1, removed.v1, removed.v2));
+  // A facet whose stored normal disagrees with its winding
+  const { v1, v2, v3 } = triangles[0];
+  triangles[0] = new Triangle(v1, v2, v3, triangles[0].normal.multiply(-1));
+  const report = inspectMesh(triangles);
+  assert.deepStrictEqual(report.facets, { degenerate: 1, duplicate: 1, flippedNormals: 1 });
+  assert.strictEqual(report.edges.nonManifold, 3);
+  assert.strictEqual(report.manifold, false);
+  assert.strictEqual(report.watertight, false);
+});
+
+test('winding problems are told apart from holes', () => {
+  const flipped = box();
+  const { v1, v2, v3 } = flipped[0];
+  flipped[0] = new Triangle(v1, v3, v2);
+  const report = inspectMesh(flipped);
+  assert.strictEqual(report.watertight, true);
+  assert.strictEqual(report.edges.inconsistent, 3);
+
+  const insideOut = inspectMesh(box().map(t => new Triangle(t.v1, t.v3, t.v2)));
+  assert.ok(insideOut.volume < 0);
+  assert.strictEqual(insideOut.insideOut, true);
+});
+
+test('vertices within the weld tolerance connect facets', () => {
+  const triangles = box();
+  triangles[0] = new Triangle(triangles[0].v1.add(new Vector3(1e-7, 0, 0)), triangles[0].v2, triangles[0].v3);
+  assert.strictEqual(inspectMesh(triangles).watertight, true);
+  assert.strictEqual(inspectMesh(triangles, { weldTolerance: 0 }).watertight, false);
+});
+
+test('units are guessed from the part size', () => {
+  assert.strictEqual(guessUnits(120).unit, 'mm');
+  assert.strictEqual(guessUnits(12).unit, 'mm');
+  assert.strictEqual(guessUnits(4).unit, 'in');
+  assert.strictEqual(guessUnits(0.15).unit, 'm');
+  assert.deepStrictEqual(guessUnits(20000), { unit: 'mm', name: 'millimeters', certain: false, scaleToMm: 1 });
+});
+
+test('defects are found per face and per edge for diagnostic rendering', () => {
+  const triangles = box();
+  triangles.pop();
+  triangles.push(triangles[6]);
+  const { v1, v2, v3, normal } = triangles[0];
+  triangles[0] = new Triangle(v1, v2, v3, normal.multiply(-1));
+  const { faceDefects, edges } = findDefects(RenderMesh.fromTriangles(triangles));
+  assert.strictEqual(faceDefects[0], DEFECTS.FLIPPED_NORMAL);
+  assert.strictEqual(faceDefects[6], 0);
+  assert.strictEqual(faceDefects[11], DEFECTS.DUPLICATE);
+  assert.strictEqual(faceDefects.filter(kind => kind !== 0).length, 2);
+  // The hole left by the last face, and the duplicate's edges shared by three faces
+  assert.deepStrictEqual([...edges.kinds].sort(), [5, 5, 5, 6, 6, 6]);
+});
+
+test('--diagnose marks defects in the render', () => {
+  // The -z side faces the camera: drop one of its halves and flip the other's stored normal
+  const triangles = box([-0.5, -0.5, -0.5]);
+  const { v1, v2, v3, normal } = triangles[0];
+  triangles[0] = new Triangle(v1, v2, v3, normal.multiply(-1));
+  triangles.splice(1, 1);
+  const render = options => createScene(triangles, { width: 40, height: 16, color: 'none', ...options }).renderFrame(20);
+
+  const plain = render({});
+  const marked = render({ diagnose: true });
+  assert.doesNotMatch(plain, /[o!]/);
+  assert.match(marked, /o/);
+  // Drawn although its stored normal points away, which culls it in the plain render
+  assert.match(marked, /!/);
+
+  // Seen through the hole with culling off, the inside of the box is marked as back faces
+  assert.match(render({ diagnose: true, culling: 'off' }), /~/);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vector3, Triangle } = require('../lib/geometry');
+const { weldVertices, computeVertexNormals, decimate } = require('../lib/mesh_processing');
+const { inspectMesh } = require('../lib/mesh_inspection');
+const { box } = require('./helpers');
+
+// Closed UV sphere of `rings` x `segments` quads; the quads at the poles collapse into triangles when welded
+function sphere(rings, segments) {
+  const point = (i, j) => {
+    const theta = Math.PI * i / rings;
+    const phi = 2 * Math.PI * (j % segments) / segments;
+    return new Vector3(Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi));
+  };
+  const triangles = [];
+  for (let i = 0; i < rings; i++) {
+    for (let j = 0; j < segments; j++) {
+      triangles.push(new Triangle(point(i, j), point(i, j + 1), point(i + 1, j + 1)));
+      triangles.push(new Triangle(point(i, j), point(i + 1, j + 1), point(i + 1, j)));
+    }
+  }
+  return triangles;
+}
+
+const toTriangles = mesh => mesh.faces.map(([a, b, c]) => new Triangle(mesh.positions[a], mesh.positions[b], mesh.positions[c]));
+const close = (a, b) => a.subtract(b).length() < 1e-9;
+
+test('vertices within the tolerance are welded', () => {
+  // Two triangles sharing an edge, the second one's copy of it off by a rounding error
+  const a = new Vector3(0, 0, 0), b = new Vector3(1, 0, 0), c = new Vector3(0, 1, 0), d = new Vector3(1, 1, 0);
+  const nudge = v => v.add(new Vector3(4e-6, -4e-6, 0));
+  const triangles = [new Triangle(a, b, c), new Triangle(nudge(b), d, nudge(c))];
+
+  const welded = weldVertices(triangles);
+  assert.strictEqual(welded.positions.length, 4);
+  assert.deepStrictEqual(welded.faces, [[0, 1, 2], [1, 3, 2]]);
+  assert.strictEqual(weldVertices(triangles, 1e-6).positions.length, 6);
+  assert.strictEqual(weldVertices(triangles, 0).positions.length, 6);
+
+  // A triangle with two corners within the tolerance collapses and is dropped; faceSource skips it
+  const sliver = new Triangle(a, b, new Vector3(1e-6, 0, 0));
+  const mesh = weldVertices([sliver, ...triangles], 1e-5);
+  assert.strictEqual(mesh.faces.length, 2);
+  assert.deepStrictEqual(mesh.faceSource, [1, 2]);
+  assert.strictEqual(weldVertices(box()).positions.length, 8);
+});
+
+test('normals are smoothed across shallow edges and split at the crease angle', () => {
+  // Two faces folded along the x axis by `angle` degrees
+  const fold = angle => {
+    const rad = angle * Math.PI / 180;
+    const lifted = new Vector3(0, Math.cos(rad), Math.sin(rad));
+    return weldVertices([
+      new Triangle(new Vector3(0, 0, 0), new Vector3(0, -1, 0), new Vector3(1, 0, 0)),
+      new Triangle(new Vector3(0, 0, 0), new Vector3(1, 0, 0), lifted)
+    ]);
+  };
+  const shallow = computeVertexNormals(fold(30), 45);
+  // The shared corners get one averaged normal, the lone corners keep their face's
+  assert.ok(close(shallow[0][0], shallow[1][0]));
+  assert.ok(close(shallow[0][2], shallow[1][1]));
+  assert.ok(close(shallow[0][0], new Vector3(0, -Math.sin(Math.PI / 12), Math.cos(Math.PI / 12))));
+  assert.ok(close(shallow[0][1], new Vector3(0, 0, 1)));
+
+  const sharp = computeVertexNormals(fold(50), 45);
+  assert.ok(close(sharp[0][0], new Vector3(0, 0, 1)));
+  assert.ok(!close(sharp[0][0], sharp[1][0]));
+  // 180 smooths everything
+  const smooth = computeVertexNormals(fold(50), 180);
+  assert.ok(close(smooth[0][0], smooth[1][0]));
+
+  // The box's right-angled edges stay hard at the default angle
+  const cube = weldVertices(box());
+  const faceNormals = toTriangles(cube).map(t => t.normal);
+  computeVertexNormals(cube).forEach((corners, f) => corners.forEach(n => assert.ok(close(n, faceNormals[f]))));
+});
+
+test('decimation reaches the target and keeps a closed mesh closed', () => {
+  const mesh = weldVertices(sphere(8, 16));
+  assert.strictEqual(mesh.faces.length, 224);
+  assert.ok(inspectMesh(toTriangles(mesh)).watertight);
+
+  for (const target of [120, 60]) {
+    const reduced = decimate(mesh, target);
+    // Each collapse removes the two faces along the edge
+    assert.ok(reduced.faces.length <= target && reduced.faces.length >= target - 1, `${reduced.faces.length} for ${target}`);
+    assert.strictEqual(reduced.faceSource, null);
+    const report = inspectMesh(toTriangles(reduced));
+    assert.ok(report.watertight && report.manifold, `closed at ${target}`);
+    assert.strictEqual(report.facets.degenerate, 0);
+    // Still a sphere: every vertex stays near the surface
+    reduced.positions.forEach(p => assert.ok(Math.abs(p.length() - 1) < 0.2));
+  }
+  assert.strictEqual(mesh.faces.length, 224, 'the input is left alone');
+  assert.strictEqual(decimate(mesh, 500).faces.length, 224);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Vector3, Triangle } = require('../lib/geometry');
+const { ModelWatcher } = require('../lib/model_watcher');
+const { createScene, loadMesh } = require('../stl_to_ascii');
+const { box } = require('./helpers');
+
+// ASCII STL text for a list of triangles
+function asciiSTL(triangles) {
+  const vertex = v => `      vertex ${v.x} ${v.y} ${v.z}\n`;
+  const facets = triangles.map(t => `  facet normal 0 0 0\n    outer loop\n${vertex(t.v1)}${vertex(t.v2)}${vertex(t.v3)}    endloop\n  endfacet\n`);
+  return `solid box\n${facets.join('')}endsolid box\n`;
+}
+
+test('replacing the models keeps the view', () => {
+  const scene = createScene(box([-0.5, -0.5, -0.5]), { width: 40, height: 16, color: 'none' });
+  scene.camera.distance *= 1.5;
+  const { distance } = scene.camera;
+  const before = scene.renderFrame(30);
+
+  // Half as tall: the scene scales it like any model, so it comes out flatter, not smaller
+  const flat = box([-0.5, -0.5, -0.5]).map(t => new Triangle(...[t.v1, t.v2, t.v3].map(v => new Vector3(v.x, v.y / 2, v.z))));
+  scene.replaceModels(flat);
+  assert.strictEqual(scene.camera.distance, distance);
+  assert.strictEqual(scene.renderMesh, scene.views[0].renderMesh);
+  assert.notStrictEqual(scene.renderFrame(30), before);
+  scene.replaceModels(box([-0.5, -0.5, -0.5]));
+  assert.strictEqual(scene.renderFrame(30), before);
+
+  const split = createScene([box(), box()], { width: 40, height: 16, color: 'none', layout: 'split' });
+  assert.throws(() => split.replaceModels([box()]), /2 viewport\(s\), the new models need 1/);
+});
+
+test('watched files reload once written, and bad writes keep the last good model', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'part.stl');
+  const text = asciiSTL(box());
+  fs.writeFileSync(file, text);
+
+  const events = [];
+  let notify = () => {};
+  const watcher = new ModelWatcher({
+    files: [file],
+    models: [loadMesh(file)],
+    load: loadMesh,
+    interval: 20,
+    settleMs: 60,
+    onReload: (models, changed) => { events.push({ models, changed }); notify(); },
+    onError: (error, changed) => { events.push({ error, changed }); notify(); }
+  });
+  t.after(() => watcher.stop());
+  watcher.start();
+  const next = () => new Promise(resolve => { notify = resolve; });
+
+  // Cut off before "endsolid", as if the exporter were still writing
+  let event = next();
+  fs.writeFileSync(file, text.slice(0, text.lastIndexOf('endsolid')));
+  await event;
+  assert.match(events[0].error.message, /partly written/);
+  assert.strictEqual(events[0].changed, file);
+  assert.strictEqual(watcher.models[0].length, 12);
+
+  event = next();
+  fs.writeFileSync(file, asciiSTL(box().slice(0, 10)));
+  await event;
+  assert.strictEqual(events[1].models[0].length, 10);
+  assert.strictEqual(watcher.models[0].length, 10);
+
+  // A scene that rejects the models counts as a failed reload too
+  watcher.onReload = () => { throw new Error('rejected'); };
+  event = next();
+  fs.writeFileSync(file, text);
+  await event;
+  assert.match(events[2].error.message, /rejected/);
+  assert.strictEqual(watcher.models[0].length, 10);
+});
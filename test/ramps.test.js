@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RAMPS, parseBDF, parsePSF, measureCoverage, calibrateRamp, resolveRamp } = require('../lib/ramps');
+
+// 4x4 font whose glyphs have the given number of inked pixels, filled row by row
+function bdfFont(inkByChar) {
+  const lines = ['STARTFONT 2.1', 'FONTBOUNDINGBOX 4 4 0 0', `CHARS ${Object.keys(inkByChar).length}`];
+  for (const [ch, ink] of Object.entries(inkByChar)) {
+    lines.push(`STARTCHAR U+${ch.codePointAt(0).toString(16)}`, `ENCODING ${ch.codePointAt(0)}`, 'BBX 4 4 0 0', 'BITMAP');
+    for (let row = 0; row < 4; row++) {
+      const bits = Math.max(0, Math.min(4, ink - row * 4));
+      // Low nibble set too: bits past the glyph width must not count
+      lines.push(((0xf0 << (4 - bits)) & 0xf0 | 0x0f).toString(16).padStart(2, '0'));
+    }
+    lines.push('ENDCHAR');
+  }
+  lines.push('ENDFONT');
+  return lines.join('\n');
+}
+
+function psf2Font(inkByChar) {
+  const chars = Object.keys(inkByChar);
+  const header = Buffer.alloc(32);
+  [0x864ab572, 0, 32, 1, chars.length, 8, 8, 8].forEach((value, i) => header.writeUInt32LE(value, i * 4));
+  const glyphs = Buffer.concat(chars.map(ch => {
+    const glyph = Buffer.alloc(8);
+    for (let i = 0; i < inkByChar[ch]; i++) glyph[i >> 3] |= 0x80 >> (i & 7);
+    return glyph;
+  }));
+  const table = Buffer.concat(chars.map(ch => Buffer.concat([Buffer.from(ch, 'utf8'), Buffer.of(0xff)])));
+  return Buffer.concat([header, glyphs, table]);
+}
+
+test('BDF glyphs are measured by inked pixels within their width', () => {
+  const font = parseBDF(bdfFont({ '.': 1, '+': 5, '#': 16 }));
+  assert.strictEqual(font.width, 4);
+  assert.strictEqual(font.height, 4);
+  assert.deepStrictEqual([...font.glyphs], [['.', 1], ['+', 5], ['#', 16]]);
+});
+
+test('PSF2 glyphs are found through the Unicode table', () => {
+  const font = parsePSF(psf2Font({ '.': 2, '░': 16, '@': 40 }));
+  assert.strictEqual(font.format, 'psf2');
+  assert.deepStrictEqual([...font.glyphs], [['.', 2], ['░', 16], ['@', 40]]);
+});
+
+test('calibration sorts glyphs by coverage', () => {
+  const font = parseBDF(bdfFont({ '#': 12, '.': 1, '@': 16, ':': 3 }));
+  const { coverage, missing } = measureCoverage(font, ' .:#@x');
+  assert.deepStrictEqual(missing, ['x']);
+  const ramp = calibrateRamp(coverage);
+  assert.strictEqual(ramp.chars, ' .:#@');
+  assert.deepStrictEqual(ramp.coverage, [0, 1 / 16, 3 / 16, 12 / 16, 1]);
+});
+
+test('calibration picks evenly spaced levels', () => {
+  const ink = { a: 0, b: 1, c: 2, d: 7, e: 8, f: 9, g: 15, h: 16 };
+  const { coverage } = measureCoverage(parseBDF(bdfFont(ink)), Object.keys(ink).join(''));
+  // Targets 0, 8 and 16 pixels
+  assert.strictEqual(calibrateRamp(coverage, 3).chars, 'aeh');
+  // Every level gets its own glyph even when several targets are nearest the same one
+  assert.strictEqual(calibrateRamp(coverage, 7).chars.length, 7);
+});
+
+test('resolveRamp uses named ramps, --chars and fonts', () => {
+  assert.strictEqual(resolveRamp({}).chars, RAMPS.standard);
+  assert.strictEqual(resolveRamp({ ramp: 'blocks' }).chars, RAMPS.blocks);
+  assert.strictEqual(resolveRamp({ ramp: 'long', chars: ' .oO@' }).name, 'custom');
+  assert.throws(() => resolveRamp({ ramp: 'custom' }), /--chars/);
+
+  const file = path.join(os.tmpdir(), `ramp-test-${process.pid}.bdf`);
+  fs.writeFileSync(file, bdfFont({ '.': 2, ':': 4, '-': 3, '+': 6, '*': 9, '=': 8, '%': 12, '@': 14, '#': 10 }));
+  try {
+    const ramp = resolveRamp({ font: file });
+    assert.strictEqual(ramp.chars, ' .-:+=*#%@');
+    assert.strictEqual(resolveRamp({ font: file, rampLevels: 4 }).chars.length, 4);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TerminalRenderer } = require('../stl_to_ascii');
+
+// Renderer that records how often each pixel is written instead of shading it
+function countingRenderer(width = 20, height = 10) {
+  const renderer = new TerminalRenderer(width, height, { colorMode: 'none' });
+  const counts = new Uint8Array(renderer.pixelWidth * renderer.pixelHeight);
+  renderer.shadePixel = (px, py) => {
+    counts[py * renderer.pixelWidth + px]++;
+  };
+  return { renderer, counts };
+}
+
+function triangle(renderer, a, b, c, depths = [1, 1, 1]) {
+  renderer.rasterizeProjected(Float64Array.of(a[0], a[1], depths[0], b[0], b[1], depths[1], c[0], c[1], depths[2]), 1, null, null, false);
+}
+
+test('pixels on a shared edge belong to exactly one triangle (top-left rule)', () => {
+  const { renderer, counts } = countingRenderer();
+  // Unit-aligned square split along its diagonal; every pixel center on the diagonal is on both edges
+  triangle(renderer, [2, 1], [12, 1], [12, 9]);
+  triangle(renderer, [2, 1], [12, 9], [2, 9]);
+  for (let y = 0; y < 10; y++) {
+    for (let x = 0; x < 20; x++) {
+      const inside = x >= 2 && x < 12 && y >= 1 && y < 9;
+      assert.strictEqual(counts[y * 20 + x], inside ? 1 : 0, `pixel ${x},${y}`);
+    }
+  }
+});
+
+test('pixels on a horizontal or vertical edge are not drawn twice', () => {
+  const { renderer, counts } = countingRenderer();
+  // Edges exactly through pixel centers
+  triangle(renderer, [1.5, 1.5], [10.5, 1.5], [1.5, 8.5]);
+  triangle(renderer, [10.5, 1.5], [10.5, 8.5], [1.5, 8.5]);
+  assert.ok(counts.every(count => count <= 1));
+});
+
+test('thin one-row triangles are drawn', () => {
+  const { renderer, counts } = countingRenderer();
+  // Entirely between two rows of pixel centers
+  triangle(renderer, [2, 4.6], [15, 4.8], [9, 4.9]);
+  const drawn = Array.from(counts).reduce((sum, count) => sum + count, 0);
+  assert.ok(drawn >= 13, `expected a row of pixels, got ${drawn}`);
+});
+
+test('depth is interpolated per pixel so intersecting faces cross over', () => {
+  const renderer = new TerminalRenderer(20, 10, { colorMode: 'none' });
+  renderer.clear();
+  // Two quads tilted in opposite directions in depth; each is in front on one half of the screen
+  const quad = (left, right, charIndex) => {
+    renderer.rasterizeProjected(Float64Array.of(0, 0, left, 20, 0, right, 20, 10, right), charIndex);
+    renderer.rasterizeProjected(Float64Array.of(0, 0, left, 20, 10, right, 0, 10, left), charIndex);
+  };
+  quad(1, 3, 2);
+  quad(3, 1, 7);
+  const row = Array.from(renderer.indexBuffer.subarray(5 * 20, 6 * 20));
+  assert.deepStrictEqual(row.slice(0, 5), [2, 2, 2, 2, 2]);
+  assert.deepStrictEqual(row.slice(15), [7, 7, 7, 7, 7]);
+});
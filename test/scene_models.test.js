@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inspectMesh } = require('../lib/mesh_inspection');
+const { parseTransforms, transformTriangles } = require('../lib/scene_models');
+const { createScene } = require('../stl_to_ascii');
+const { box } = require('./helpers');
+
+// Columns [start, end) of a rendered frame that hold anything
+function inkColumns(lines, start, end) {
+  let count = 0;
+  for (let x = start; x < end; x++) {
+    if (lines.some(line => line[x] && line[x] !== ' ')) count++;
+  }
+  return count;
+}
+
+test('transform specs list one placement per model', () => {
+  const [first, second, third] = parseTransforms(' ; move:10,0,-5 rotate:0,0,90 ; scale:2;');
+  assert.strictEqual(first, null);
+  assert.deepStrictEqual(second, { move: [10, 0, -5], rotate: [0, 0, 90], scale: [1, 1, 1] });
+  assert.deepStrictEqual(third, { move: [0, 0, 0], rotate: [0, 0, 0], scale: [2, 2, 2] });
+  assert.strictEqual(parseTransforms('; scale:2;;').length, 2);
+  assert.deepStrictEqual(parseTransforms([null, { scale: [1, 2, 3] }])[1].scale, [1, 2, 3]);
+
+  assert.throws(() => parseTransforms('spin:1,2,3'), /unknown transform "spin"/);
+  assert.throws(() => parseTransforms('move:1,2'), /move expects 3 numbers/);
+  assert.throws(() => parseTransforms('scale:0'), /must not be 0/);
+  assert.throws(() => parseTransforms('move'), /invalid transform/);
+});
+
+test('transforms scale, rotate and move the triangles in file units', () => {
+  const [transform] = parseTransforms('scale:2 rotate:0,0,90 move:10,0,0');
+  const placed = transformTriangles(box(), transform);
+  const report = inspectMesh(placed);
+  const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+  close(report.boundingBox.min.x, 8);
+  close(report.boundingBox.max.x, 10);
+  close(report.boundingBox.min.y, 0);
+  close(report.boundingBox.max.y, 2);
+  close(report.volume, 8);
+  assert.strictEqual(report.facets.flippedNormals, 0);
+  assert.strictEqual(transformTriangles(placed, null), placed);
+});
+
+test('a mirroring scale keeps the facets facing out', () => {
+  const [mirror] = parseTransforms('scale:-1,1,1');
+  const report = inspectMesh(transformTriangles(box(), mirror));
+  assert.ok(report.volume > 0);
+  assert.strictEqual(report.facets.flippedNormals, 0);
+  assert.strictEqual(report.edges.inconsistent, 0);
+});
+
+test('several models combine into one scene', () => {
+  const options = { width: 60, height: 16, color: 'none' };
+  const scene = createScene([box(), box()], { ...options, transform: '; move:3,0,0' });
+  assert.strictEqual(scene.views.length, 1);
+  assert.strictEqual(scene.renderMesh.faceCount, 24);
+  // Two boxes side by side, with empty columns between them
+  const lines = scene.renderFrame(0, { format: 'lines' });
+  const columns = Array.from(lines[0], (_, x) => lines.some(line => line[x] !== ' '));
+  const runs = columns.map(Number).join('').split(/0+/).filter(Boolean);
+  assert.strictEqual(runs.length, 2);
+
+  assert.throws(() => createScene([box()], { ...options, transform: '; move:3,0,0' }), /2 transforms given for 1 model/);
+});
+
+test('split layout shows each model in its own viewport at a shared scale', () => {
+  const options = { width: 41, height: 16, color: 'none', layout: 'split' };
+  const scene = createScene([box([-1, -1, -1], 2), box()], options);
+  assert.strictEqual(scene.views.length, 2);
+  const [left, right] = scene.views.map(view => view.camera);
+  // 20 columns each, with the odd column left over at the right edge
+  assert.deepStrictEqual([left.originX, left.pixelWidth, right.originX, right.pixelWidth], [0, 20, 20, 20]);
+  assert.strictEqual(left.distance, right.distance);
+
+  const lines = scene.renderFrame(30, { format: 'lines' });
+  const big = inkColumns(lines, 0, 20);
+  const small = inkColumns(lines, 20, 40);
+  // The half-size box covers about half the columns of the big one
+  assert.ok(small > 0 && Math.abs(big / small - 2) < 0.5, `${big} vs ${small}`);
+  assert.strictEqual(inkColumns(lines, 40, 41), 0);
+
+  // Line-only outlines clear the shading of one viewport, not the other's lines
+  const outlined = createScene([box(), box()], { ...options, outline: 'hidden-line' }).renderFrame(30, { format: 'lines' });
+  assert.ok(inkColumns(outlined, 0, 20) > 0 && inkColumns(outlined, 20, 40) > 0);
+  assert.doesNotMatch(outlined.join(''), /[.:=+*#%@]/);
+});
+
+test('split views follow the first camera when zooming', () => {
+  const scene = createScene([box(), box()], { width: 40, height: 16, color: 'none', layout: 'split' });
+  const halves = () => {
+    const lines = scene.renderFrame(30, { format: 'lines' });
+    return [lines.map(line => line.slice(0, 20)).join('\n'), lines.map(line => line.slice(20)).join('\n')];
+  };
+  const [before] = halves();
+  scene.camera.distance *= 2;
+  const [left, right] = halves();
+  assert.notStrictEqual(left, before);
+  assert.strictEqual(left, right);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { STLParser, STLParseError } = require('../lib/stl_parser');
+const { box } = require('./helpers');
+
+// Binary STL of `triangles` with a header naming `count` facets (default: the real number)
+function binarySTL(triangles, { header = 'binary', count = triangles.length } = {}) {
+  const data = Buffer.alloc(84 + triangles.length * 50);
+  data.write(header, 0, 'latin1');
+  data.writeUInt32LE(count, 80);
+  triangles.forEach((t, i) => {
+    [t.normal, t.v1, t.v2, t.v3].forEach((v, k) => {
+      [v.x, v.y, v.z].forEach((value, c) => data.writeFloatLE(value, 84 + i * 50 + k * 12 + c * 4));
+    });
+  });
+  return data;
+}
+
+const FACET = 'facet normal 0 0 1\n outer loop\n  vertex 0 0 0\n  vertex 1 0 0\n  vertex 0 1 0\n endloop\nendfacet\n';
+
+// Parse a file written to a temporary directory, collecting warnings
+function parseFile(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stl-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'model.stl');
+  fs.writeFileSync(file, data);
+  const warnings = [];
+  const triangles = STLParser.parseSTL(file, { onWarning: warning => warnings.push(warning) });
+  return { triangles, warnings };
+}
+
+test('ASCII STL with CRLF line ends and blank lines', () => {
+  const text = `solid part\r\n\r\n${FACET}\n\n${FACET}endsolid part\r\n`.replace(/(?<!\r)\n/g, '\r\n');
+  const warnings = [];
+  const triangles = STLParser.parseAsciiSTL(text, { onWarning: warning => warnings.push(warning) });
+  assert.strictEqual(triangles.length, 2);
+  assert.deepStrictEqual([triangles[1].v2.x, triangles[1].v3.y], [1, 1]);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('solid names may hold spaces and non-ASCII characters', t => {
+  for (const name of ['Teil_ä', 'part with spaces', '零件 exported by CAD']) {
+    const { triangles, warnings } = parseFile(t, Buffer.from(`solid ${name}\n${FACET}endsolid ${name}\n`, 'utf8'));
+    assert.strictEqual(triangles.length, 1, name);
+    assert.deepStrictEqual(warnings, [], name);
+  }
+  // A name too long for the first facet to be in sight: the size rules out binary instead
+  const long = 'ä'.repeat(600);
+  const { triangles } = parseFile(t, Buffer.from(`solid ${long}\n${FACET}endsolid\n`, 'utf8'));
+  assert.strictEqual(triangles.length, 1);
+});
+
+test('binary headers starting with "solid" are still binary', async t => {
+  const { triangles, warnings } = parseFile(t, binarySTL(box(), { header: 'solid exported by a CAD tool' }));
+  assert.strictEqual(triangles.length, 12);
+  assert.deepStrictEqual(warnings, []);
+
+  // Trailing bytes break the size check; the control bytes in the records still give it away
+  const header = 'solid part exported by SolidWorks';
+  const padded = Buffer.concat([binarySTL(box().slice(0, 3), { header }), Buffer.from('\n\n\n\n\n\n\n')]);
+  const trailing = parseFile(t, padded);
+  assert.strictEqual(trailing.triangles.length, 3);
+  assert.deepStrictEqual(trailing.warnings.map(w => [w.code, w.offset]), [['trailing-bytes', 84 + 3 * 50]]);
+  const streamed = [];
+  assert.strictEqual((await STLParser.parseStream(Readable.from([padded]), { onWarning: w => streamed.push(w) })).length, 3);
+  assert.deepStrictEqual(streamed.map(w => w.code), ['trailing-bytes']);
+});
+
+test('trailing bytes are reported where they start', async () => {
+  // More than a record's worth of extra bytes
+  const data = Buffer.concat([binarySTL(box().slice(0, 2)), Buffer.alloc(70, 0xab)]);
+  const expected = 84 + 2 * 50;
+  const warnings = [];
+  assert.strictEqual(STLParser.parseBinarySTL(data, { onWarning: warning => warnings.push(warning) }).length, 2);
+  assert.deepStrictEqual(warnings.map(w => [w.code, w.offset]), [['trailing-bytes', expected]]);
+  assert.match(warnings[0].message, /Ignored 70 trailing bytes .*\(byte offset 184\)/);
+
+  // The same when the extra bytes arrive over several chunks after the first kilobyte
+  const large = Buffer.concat([binarySTL([...box(), ...box()]), Buffer.alloc(70, 0xab)]);
+  const chunks = [large.subarray(0, 1100), large.subarray(1100, 1290), large.subarray(1290, 1300), large.subarray(1300)];
+  const chunked = [];
+  await STLParser.parseStream(Readable.from(chunks), { onWarning: warning => chunked.push(warning) });
+  assert.deepStrictEqual(chunked.map(w => [w.code, w.offset]), [['trailing-bytes', 84 + 24 * 50]]);
+});
+
+test('truncated binary files keep the facets they have', () => {
+  const warnings = [];
+  const data = binarySTL(box().slice(0, 2), { count: 5 });
+  assert.strictEqual(STLParser.parseBinarySTL(data, { onWarning: warning => warnings.push(warning) }).length, 2);
+  assert.deepStrictEqual(warnings.map(w => w.code), ['count-mismatch']);
+  assert.match(warnings[0].message, /declares 5 facets but the file only contains 2/);
+});
+
+test('parse errors are STLParseErrors with a line or byte offset', () => {
+  const broken = `solid part\n${FACET.replace('vertex 1 0 0', 'vertex 1 zero 0')}endsolid part\n`;
+  assert.throws(() => STLParser.parseAsciiSTL(broken), error => {
+    assert.ok(error instanceof STLParseError);
+    assert.strictEqual(error.line, 5);
+    assert.strictEqual(error.offset, null);
+    assert.match(error.message, /Expected a number but found "zero" \(line 5\)/);
+    return true;
+  });
+  assert.throws(() => STLParser.parseAsciiSTL(`solid part\n${FACET.slice(0, 40)}`), /Unexpected end of file inside the facet starting at line 2/);
+  assert.throws(() => STLParser.parseBinarySTL(Buffer.alloc(20)), STLParseError);
+
+  const error = new STLParseError('Bad record', { offset: 134 });
+  assert.deepStrictEqual([error.name, error.line, error.offset, error.message], ['STLParseError', null, 134, 'Bad record (byte offset 134)']);
+  // Skipped records point at their offset too
+  const nan = binarySTL(box().slice(0, 2));
+  nan.writeFloatLE(NaN, 84 + 50 + 12);
+  const warnings = [];
+  STLParser.parseBinarySTL(nan, { onWarning: warning => warnings.push(warning) });
+  assert.deepStrictEqual(warnings.map(w => [w.code, w.offset]), [['nan-vertex', 134]]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { TerminalInput, parseMouse } = require('../lib/terminal_input');
+
+// Decoder that records what it reports as [kind, details] pairs
+function recorder() {
+  const events = [];
+  const input = new TerminalInput({
+    onKey: (str, key) => events.push(['key', str, key]),
+    onMouse: mouse => events.push(['mouse', mouse])
+  });
+  return { input, events };
+}
+
+const keyNames = events => events.map(([kind, , key]) => kind === 'key' ? key.name : kind);
+
+test('SGR mouse reports are decoded', () => {
+  assert.deepStrictEqual(parseMouse(0, 10, 5, 'M'),
+    { x: 9, y: 4, button: 'left', shift: false, meta: false, ctrl: false, action: 'press' });
+  assert.deepStrictEqual(parseMouse(2 | 4 | 16, 1, 1, 'M'),
+    { x: 0, y: 0, button: 'right', shift: true, meta: false, ctrl: true, action: 'press' });
+  assert.strictEqual(parseMouse(32 | 1, 3, 3, 'M').action, 'drag');
+  assert.strictEqual(parseMouse(32 | 1, 3, 3, 'M').button, 'middle');
+  assert.strictEqual(parseMouse(0, 3, 3, 'm').action, 'release');
+  assert.deepStrictEqual([64, 65].map(code => parseMouse(code, 1, 1, 'M')).map(m => [m.action, m.button]),
+    [['wheel', 'wheelup'], ['wheel', 'wheeldown']]);
+
+  // Coordinates past 223 columns only fit the SGR encoding
+  const { input, events } = recorder();
+  input.feed('\x1b[<0;300;5M\x1b[<32;301;6M\x1b[<0;301;6mq');
+  assert.deepStrictEqual(events.slice(0, 3).map(([, mouse]) => [mouse.action, mouse.x, mouse.y]),
+    [['press', 299, 4], ['drag', 300, 5], ['release', 300, 5]]);
+  assert.deepStrictEqual(keyNames(events), ['mouse', 'mouse', 'mouse', 'q']);
+});
+
+test('keys get readline-style names and modifiers', () => {
+  const { input, events } = recorder();
+  input.feed('aA\x03 \r\x1b[1;2C\x1b[5~\x1bOA\x1bx😀');
+  assert.deepStrictEqual(keyNames(events), ['a', 'a', 'c', 'space', 'return', 'right', 'pageup', 'up', 'x', undefined]);
+  assert.strictEqual(events[1][2].shift, true);
+  assert.strictEqual(events[2][2].ctrl, true);
+  assert.deepStrictEqual([events[5][2].shift, events[5][2].sequence], [true, '\x1b[1;2C']);
+  assert.deepStrictEqual([events[8][1], events[8][2].meta, events[8][2].sequence], ['x', true, '\x1bx']);
+  assert.strictEqual(events[9][1], '😀');
+});
+
+test('escape sequences split across chunks are put back together', async () => {
+  const { input, events } = recorder();
+  input.feed('\x1b');
+  input.feed('[<0;1');
+  input.feed('2;7M\x1b[');
+  assert.deepStrictEqual(keyNames(events), ['mouse']);
+  assert.deepStrictEqual([events[0][1].x, events[0][1].y], [11, 6]);
+  input.feed('D');
+  assert.deepStrictEqual(keyNames(events), ['mouse', 'left']);
+
+  // A lone ESC is the Escape key once nothing follows it
+  input.feed('\x1b');
+  assert.strictEqual(events.length, 2);
+  await sleep(100);
+  assert.deepStrictEqual(keyNames(events).slice(2), ['escape']);
+
+  // A sequence that never completes is reported as Escape and the keys typed after it
+  input.feed('\x1b[<1');
+  await sleep(100);
+  assert.deepStrictEqual(events.slice(3).map(([, str, key]) => str || key.name), ['escape', '[', '<', '1']);
+});
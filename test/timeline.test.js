@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Timeline, parseEasing } = require('../lib/timeline');
+const { encodeSvg, encodeAnimatedGif } = require('../lib/animation_export');
+const { createScene } = require('../stl_to_ascii');
+const { box } = require('./helpers');
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected} ${message || ''}`);
+
+test('easing curves run from 0 to 1', () => {
+  for (const name of ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'cubic-bezier(0.1, 0.7, 1, 0.1)']) {
+    const ease = parseEasing(name);
+    close(ease(0), 0, name);
+    close(ease(1), 1, name);
+  }
+  close(parseEasing('ease-in-out')(0.5), 0.5);
+  assert.ok(parseEasing('ease-in')(0.25) < 0.25);
+  assert.ok(parseEasing('ease-out')(0.25) > 0.25);
+  assert.strictEqual(parseEasing('step')(0.99), 0);
+  assert.throws(() => parseEasing('bounce'), /unknown easing "bounce"/);
+  assert.throws(() => parseEasing('cubic-bezier(2,0,1,1)'), /unknown easing/);
+});
+
+test('each property moves between the keyframes that set it', () => {
+  const timeline = new Timeline({
+    loop: false,
+    keyframes: [
+      { time: 0, rotation: [0, 0, 0], distance: 2 },
+      { time: 1, lightAngle: 90 },
+      { time: 2, rotation: [0, 360, 0], lightAngle: 180, easing: 'step' },
+      { time: 4, distance: 1, pan: [0, 0.5] }
+    ]
+  });
+  assert.strictEqual(timeline.duration, 4);
+  const mid = timeline.sample(1);
+  assert.deepStrictEqual(mid.rotation, [0, 180, 0]);
+  close(mid.distance, 2 - 1 / 4);
+  assert.strictEqual(mid.lightAngle, 90);
+  // Held before a property's first keyframe and after its last
+  assert.strictEqual(timeline.sample(0.5).lightAngle, 90);
+  assert.deepStrictEqual(timeline.sample(3).rotation, [0, 360, 0]);
+  assert.deepStrictEqual(timeline.sample(3).pan, [0, 0.5]);
+  // Untouched properties keep their defaults, and a single pass holds its end
+  assert.strictEqual(timeline.sample(2).lightTilt, 0);
+  assert.deepStrictEqual(timeline.sample(10), timeline.sample(4));
+  assert.deepStrictEqual(timeline.sample(-1), timeline.sample(0));
+});
+
+test('looping timelines wrap around and count frames for a seamless loop', () => {
+  const timeline = new Timeline({ duration: 4, keyframes: [{ time: 0, lightAngle: 0 }, { time: 2, lightAngle: 100 }] });
+  assert.strictEqual(timeline.loop, true);
+  close(timeline.sample(5).lightAngle, 50);
+  assert.strictEqual(timeline.sample(7).lightAngle, 100);
+  assert.strictEqual(timeline.sample(3).lightAngle === null, false);
+  assert.strictEqual(new Timeline({ keyframes: [{ time: 0 }] }).sample(3).lightAngle, null);
+
+  assert.strictEqual(timeline.frameCount(100), 40);
+  assert.strictEqual(new Timeline({ loop: false, keyframes: [{ time: 0 }, { time: 1 }] }).frameCount(250), 5);
+});
+
+test('malformed timelines are rejected with the offending keyframe', () => {
+  const keyframes = [{ time: 0 }];
+  assert.throws(() => new Timeline([]), /JSON object/);
+  assert.throws(() => new Timeline({ keyframes: [] }), /non-empty array/);
+  assert.throws(() => new Timeline({ keyframes, speed: 1 }), /unknown timeline key "speed"/);
+  assert.throws(() => new Timeline({ keyframes: [{ time: 1 }, { time: 1 }] }), /keyframe 2: times must increase/);
+  assert.throws(() => new Timeline({ keyframes: [{ time: 0, rotation: [1, 2] }] }), /keyframe 1: "rotation" must be an array of 3 numbers/);
+  assert.throws(() => new Timeline({ keyframes: [{ time: 0, distance: 0 }] }), /"distance" must be > 0/);
+  assert.throws(() => new Timeline({ keyframes: [{ time: 0, zoom: 2 }] }), /unknown property "zoom"/);
+  assert.throws(() => new Timeline({ keyframes: [{ time: 0, easing: 'wobble' }] }), /unknown easing/);
+  assert.throws(() => new Timeline({ keyframes: [{ time: 0 }, { time: 2 }], duration: 1 }), /"duration" must be/);
+});
+
+test('scenes play timelines frame by frame', () => {
+  const options = { width: 40, height: 16, color: 'none', fps: 4 };
+  // A linear turn around y is the same motion renderTurn makes
+  const turn = { keyframes: [{ time: 0, rotation: [0, 0, 0] }, { time: 1, rotation: [0, 360, 0] }] };
+  const scene = createScene(box([-0.5, -0.5, -0.5]), { ...options, timeline: turn });
+  assert.deepStrictEqual(scene.renderTimeline(), scene.renderTurn(4));
+  assert.strictEqual(scene.renderTimeline({ count: 6 }).length, 6);
+
+  // Pulling the camera back to twice the distance shrinks the model
+  const ink = frame => frame.replace(/\s/g, '').length;
+  const zoom = createScene(box([-0.5, -0.5, -0.5]), { ...options, timeline: { loop: false, keyframes: [{ time: 0, distance: 1 }, { time: 1, distance: 2 }] } });
+  const [near, , far] = zoom.renderTimeline({ intervalMs: 500 });
+  assert.ok(ink(far) < ink(near) / 2);
+  assert.throws(() => createScene(box(), options).renderTimeline(), /no timeline/);
+});
+
+test('animations of a single pass play once', () => {
+  const cells = { glyphs: ['#', ' '], codes: [], fgLevels: new Int16Array(2).fill(-1), bgLevels: new Int16Array(2).fill(-1) };
+  const frames = [cells, { ...cells, glyphs: [' ', '#'] }];
+  const colors = { background: [0, 0, 0], foreground: [255, 255, 255], levels: null };
+  const options = { width: 2, height: 1, delayMs: 100, colors };
+
+  assert.match(encodeSvg(frames, options), /infinite/);
+  const once = encodeSvg(frames, { ...options, loop: false });
+  assert.match(once, /\.f\{visibility:hidden;animation:frame 0\.2s steps\(1,end\) 1\}/);
+  // The last frame stays up once the others are done
+  assert.match(once, /<g class="l" style="animation-delay:0\.1s">/);
+
+  const netscape = gif => gif.includes(Buffer.from('NETSCAPE2.0'));
+  assert.ok(netscape(encodeAnimatedGif(frames, options)));
+  assert.ok(!netscape(encodeAnimatedGif(frames, { ...options, loop: false })));
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Camera } = require('../lib/camera');
+const { ViewController } = require('../lib/view_controls');
+
+const STEP = Math.PI / 36;
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+function controller() {
+  const camera = new Camera({ distance: 4 });
+  return { camera, view: new ViewController({ camera }) };
+}
+
+test('keys orbit, pan, zoom, pause and reset', () => {
+  const { camera, view } = controller();
+  // Arrows and h/j/k/l turn the side facing the camera towards the key
+  assert.strictEqual(view.handleKey(undefined, { name: 'left' }), true);
+  view.handleKey('h', { name: 'h' });
+  close(view.yaw, 2 * STEP);
+  view.handleKey(undefined, { name: 'up' });
+  view.handleKey('j', { name: 'j' });
+  view.handleKey('j', { name: 'j' });
+  close(view.pitch, -STEP);
+
+  // Shift pans instead: right moves the model right, up moves it up
+  view.handleKey(undefined, { name: 'right', shift: true });
+  view.handleKey('K', { name: 'k', shift: true });
+  assert.ok(camera.pan.x > 0 && camera.pan.y > 0);
+  close(camera.pan.x, camera.pan.y);
+  close(view.yaw, 2 * STEP);
+
+  view.handleKey('+', { name: undefined });
+  close(camera.distance, 4 / 1.15);
+  view.handleKey('-', { name: undefined });
+  view.handleKey('_', { name: undefined });
+  close(camera.distance, 4 * 1.15);
+
+  view.handleKey(' ', { name: 'space' });
+  assert.strictEqual(view.paused, true);
+  view.advance();
+  assert.strictEqual(view.spin, 0);
+  view.handleKey('r', { name: 'r' });
+  assert.deepStrictEqual([view.yaw, view.pitch, camera.distance, camera.pan], [0, 0, 4, { x: 0, y: 0 }]);
+  assert.strictEqual(view.paused, true, 'reset keeps the pause');
+
+  // Keys the controller does not use are left to the caller
+  assert.strictEqual(view.handleKey('q', { name: 'q' }), false);
+  assert.strictEqual(view.handleKey(undefined, { name: 'left', ctrl: true }), false);
+  assert.strictEqual(view.yaw, 0);
+});
+
+test('zoom stays within 0.1x and 20x of the starting distance', () => {
+  const { camera, view } = controller();
+  for (let i = 0; i < 40; i++) view.handleKey('+', {});
+  close(camera.distance, 0.4);
+  for (let i = 0; i < 80; i++) view.handleMouse({ action: 'wheel', button: 'wheeldown' });
+  close(camera.distance, 80);
+  view.handleMouse({ action: 'wheel', button: 'wheelup' });
+  close(camera.distance, 80 / 1.15);
+});
+
+test('dragging orbits, or pans with Shift or another button', () => {
+  const { camera, view } = controller();
+  const viewport = { width: 80, height: 24, pixelWidth: 80, pixelHeight: 24 };
+  // Moves without a press are ignored
+  view.handleMouse({ action: 'drag', x: 50, y: 10 }, viewport);
+  assert.strictEqual(view.yaw, 0);
+
+  // Across the whole width is half a turn
+  view.handleMouse({ action: 'press', button: 'left', x: 0, y: 10 }, viewport);
+  view.handleMouse({ action: 'drag', button: 'left', x: 40, y: 10 }, viewport);
+  view.handleMouse({ action: 'drag', button: 'left', x: 80, y: 10 }, viewport);
+  close(view.yaw, -Math.PI);
+  view.handleMouse({ action: 'release', button: 'left', x: 80, y: 10 }, viewport);
+  view.handleMouse({ action: 'drag', button: 'left', x: 0, y: 10 }, viewport);
+  close(view.yaw, -Math.PI);
+
+  for (const press of [{ button: 'left', shift: true }, { button: 'right' }]) {
+    view.reset();
+    view.handleMouse({ action: 'press', x: 10, y: 10, ...press }, viewport);
+    view.handleMouse({ action: 'drag', x: 14, y: 8, ...press }, viewport);
+    close(camera.pan.x, 4 * camera.unitsPerPixel());
+    close(camera.pan.y, 2 * camera.unitsPerPixel() * camera.pixelAspect);
+    assert.strictEqual(view.yaw, 0);
+  }
+});